@@ -1,6 +1,6 @@
 import * as THREE from './lib/three.module.min.js';
-import { uniforms, updateCameraUniforms, getRotationMatrix } from './shaders.js';
-import { isWheelButtonPressed } from './interactions.js'; // Import for mouse wheel press detection
+import { uniforms, updateCameraUniforms, updateDepthOfFieldUniforms, updateStereoUniforms, updateProjectionUniforms, getRotationMatrix } from './shaders.js';
+import { isWheelButtonPressed, estimateSceneDistance } from './interactions.js'; // Mouse wheel press detection, distance to the fractal for stereo
 import { CONFIG } from './config.js'; // Import configuration values
 
 // --- Camera Object ---
@@ -47,6 +47,20 @@ export const cameraState = {
     // --- Lens Parameters ---
     focalLength: CONFIG.CAMERA.DEFAULT_FOCAL_LENGTH, // Camera focal length, affects field of view (Z/X keys)
     defaultFocalLength: CONFIG.CAMERA.DEFAULT_FOCAL_LENGTH, // Default focal length used for reset (R key)
+    aperture: 0.0, // Thin-lens aperture radius, 0 = pinhole (no depth of field)
+    focusDistance: CONFIG.CAMERA.DEFAULT_FOCUS_DISTANCE, // Distance of the sharp plane (click a surface to focus)
+    bokehBlades: 0, // Aperture shape: 0 = circle, 5/6/8 = polygon with that many blades
+
+    // --- Stereo Parameters ---
+    stereoMode: 0, // 0 = mono, 1 = red/cyan anaglyph, 2 = side-by-side, 3 = half side-by-side, 4 = over-under, 5 = cross-eye
+    stereoAuto: true, // Derive interocular and convergence from the camera's distance to the fractal
+    interocular: CONFIG.CAMERA.STEREO.DEFAULT_INTEROCULAR, // Eye separation in world units
+    convergence: CONFIG.CAMERA.STEREO.DEFAULT_CONVERGENCE, // Distance that appears at screen depth
+
+    // --- Projection Parameters ---
+    projection: 0, // 0 = perspective, 1 = equirectangular 360°, 2 = cubemap (3×2 faces), 3 = domemaster fisheye
+    domeFov: CONFIG.CAMERA.PROJECTION.DEFAULT_DOME_FOV, // Domemaster field of view (degrees)
+    domeTilt: CONFIG.CAMERA.PROJECTION.DEFAULT_DOME_TILT, // Domemaster zenith elevation above the view axis (degrees)
 
     // --- Movement Modifiers ---
     decelerationEnabled: true // We're keeping this property but we're not exposing it in the UI anymore
@@ -73,6 +87,9 @@ export function setupInitialCamera() {
 
 // --- Update Functions ---
 
+// Aspect the canvas was last fitted to (null: the whole window)
+let lastPanoramaAspect = null;
+
 // Updates the actual THREE.js camera and uniforms based on cameraState
 export function updateCameraState() {
     camera.position.copy(cameraState.position);
@@ -83,6 +100,45 @@ export function updateCameraState() {
     const rotMatrix = getRotationMatrix(cameraState.rotation);
     updateCameraUniforms(cameraState.position, rotMatrix);
     uniforms.u_focalLength.value = cameraState.focalLength; // Update focal length uniform
+    updateDepthOfFieldUniforms(cameraState);
+    if (cameraState.stereoMode > 0 && cameraState.stereoAuto) {
+        updateAutoStereo();
+    }
+    updateStereoUniforms(cameraState);
+    updateProjectionUniforms(cameraState);
+
+    // Panoramas need a fixed image aspect; the resize handler fits the canvas to it
+    const panoramaAspect = getPanoramaAspect();
+    if (panoramaAspect !== lastPanoramaAspect) {
+        lastPanoramaAspect = panoramaAspect;
+        window.dispatchEvent(new Event('resize'));
+    }
+}
+
+// Image aspect (width / height) the panoramic projection needs, null for the perspective
+// camera. Full side-by-side views double the width and over-under views the height;
+// half side-by-side squeezes both views into one frame.
+export function getPanoramaAspect() {
+    const aspect = CONFIG.CAMERA.PROJECTION.ASPECTS[cameraState.projection];
+    if (!aspect) return null;
+    switch (cameraState.stereoMode) {
+        case 2: // Side-by-side
+        case 5: // Cross-eye
+            return aspect * 2;
+        case 4: // Over-under
+            return aspect / 2;
+        default:
+            return aspect;
+    }
+}
+
+// Scales the eye separation and convergence with the distance to the fractal,
+// so the depth effect stays comfortable from far away down to close-ups
+function updateAutoStereo() {
+    const { INTEROCULAR_RATIO, CONVERGENCE_RATIO, MIN_DISTANCE } = CONFIG.CAMERA.STEREO;
+    const distance = Math.max(MIN_DISTANCE, estimateSceneDistance(cameraState.position));
+    cameraState.interocular = distance * INTEROCULAR_RATIO;
+    cameraState.convergence = distance * CONVERGENCE_RATIO;
 }
 
 // Updates camera position based on orbital parameters (radius, theta, phi)
@@ -9,13 +9,31 @@ export const CONFIG = {
         INITIAL_RADIUS: 2.0,           // Initial camera distance from scene center
         MAX_DISTANCE: 2.4,             // Maximum allowed distance from center
         DEFAULT_FOCAL_LENGTH: 1.5,     // Default focal length (affects field of view)
+        DEFAULT_FOCUS_DISTANCE: 2.0,   // Default distance of the sharp plane (depth of field)
         MOVE_SPEED: 0.005,             // Base speed coefficient (currently unused)
         MAX_VELOCITY: 0.05,            // Maximum allowed forward/backward velocity
         DECELERATION: 0.005,           // Deceleration coefficient (higher = faster stop)
         VELOCITY_SENSITIVITY: 0.000003, // Multiplier for mouse wheel delta to adjust velocity
         TARGET_DURATION: 1.0,          // Duration of smooth transition animation (in seconds)
         PULLBACK_FACTOR: 0.001,        // Camera pull-back coefficient
-        MIN_VELOCITY_THRESHOLD: 0.0001 // Minimum velocity threshold to stop movement
+        MIN_VELOCITY_THRESHOLD: 0.0001, // Minimum velocity threshold to stop movement
+        STEREO: {
+            DEFAULT_INTEROCULAR: 0.05,  // Eye separation until auto stereo measures the scene
+            DEFAULT_CONVERGENCE: 1.5,   // Zero-parallax distance until auto stereo measures the scene
+            INTEROCULAR_RATIO: 1 / 30,  // Auto eye separation per unit of distance to the fractal (the 1/30 rule)
+            CONVERGENCE_RATIO: 1.0,     // Auto convergence per unit of distance to the fractal
+            MIN_DISTANCE: 0.01          // Floor of the measured distance, keeps close-ups stereo
+        },
+        PROJECTION: {
+            // Image width / height of each panoramic projection (one eye)
+            ASPECTS: {
+                1: 2.0,                 // Equirectangular 360×180
+                2: 1.5,                 // Cubemap, 3×2 faces
+                3: 1.0                  // Domemaster
+            },
+            DEFAULT_DOME_FOV: 180,      // Domemaster field of view in degrees (hemisphere)
+            DEFAULT_DOME_TILT: 0        // Domemaster zenith elevation above the view axis in degrees
+        }
     },
     
     // Fractal parameters and rendering
@@ -24,8 +42,14 @@ export const CONFIG = {
         ITER_STEP: 20,                 // Iteration count change step (keys 1/2)
         MIN_ITER: 20,                  // Minimum allowed iteration count
         MAX_ITER: 2000,                // Maximum allowed iteration count
+        DEFAULT_POWER: 2.0,            // Default iteration exponent (z^n + c)
+        MIN_POWER: 2.0,                // Minimum iteration exponent
+        MAX_POWER: 8.0,                // Maximum iteration exponent
         SLICE_ANIM_SPEED: 0.15,        // 4D slice animation speed
         SLICE_AMPLITUDE: 0.5,          // Slice animation amplitude (range from -amplitude to +amplitude)
+        SLICE_ROTATION_SPEED: 0.2,     // Default angular speed (rad/s) of the animated slicing hyperplane
+        C_PATH_SPEED: 0.2,             // Default angular speed (rad/s) along an animated c path
+        C_PATH_AMPLITUDE: 0.2,         // Default radius/amplitude of an animated c path
         CLIP_DISTANCE: 3.5,            // Distance of clipping plane from camera
         CLIP_DISTANCE_STEP: 0.2,       // Clipping distance change step
         MAX_PALETTE_COUNT: 11          // Number of available color palettes (0 = off, 1-10 = palettes)
@@ -122,7 +146,7 @@ export const CONFIG = {
     
     // Rendering and shader parameters
     SHADER: {
-        LIGHT_POSITION: {
+        LIGHT_POSITION: {               // Default key light of the light rig
             X: 10.0,
             Y: 10.0,
             Z: 10.0
@@ -134,9 +158,36 @@ export const CONFIG = {
         AO_STEP_DISTANCE: 0.02,        // Ambient occlusion step distance
         AO_FACTOR: 0.2,                // Ambient occlusion strength factor
         EPSILON: 0.001,                // Epsilon value for normal calculations and others
-        HIT_THRESHOLD: 0.0001          // Distance threshold for surface hit detection
+        HIT_THRESHOLD: 0.0001,         // Distance threshold for surface hit detection
+        ACCUMULATION_MAX_SAMPLES: 256, // Progressive refinement stops adding samples here
+        DOF_TILE_LENS_PASSES: 16,      // Lens samples per pixel in tiled renders with depth of field
+        DYNAMIC_RESOLUTION: {
+            TARGET_FPS: 30,            // Frame rate the render scale is adjusted toward
+            MIN_SCALE: 0.25,           // Lowest internal render scale
+            MAX_SCALE: 1.0,            // Highest internal render scale
+            STEP: 0.05,                // Scale changes snap to multiples of this
+            TOLERANCE: 0.15            // Relative FPS deviation that is left alone
+        },
+        PATH_TRACING: {
+            BOUNCES: 3,                // Default indirect bounces per path
+            MAX_BOUNCES: 8,            // MAX_PATH_BOUNCES in the shader
+            MAX_SAMPLES: 4096,         // Accumulation stops adding paths per pixel here
+            TILE_SAMPLES: 64,          // Paths per pixel in tiled renders (poster export)
+            SCREENSHOT_SAMPLES: 256    // Screenshots wait until this many paths per pixel are accumulated
+        }
     },
     
+    // Post-processing
+    POST_FX: {
+        BLOOM_LEVELS: 5                // Half-size steps of the bloom chain (wider bloom with more)
+    },
+
+    // HDR environment maps
+    ENVIRONMENT: {
+        MAX_WIDTH: 2048,               // Larger .hdr/.exr images are box-filtered down to this width
+        SH_WIDTH: 128                  // Mip level width used for the irradiance projection
+    },
+
     // Screenshot parameters
     SCREENSHOT: {
         FORMATS: [
@@ -154,6 +205,25 @@ export const CONFIG = {
             MAX_HEIGHT: null
         },
         SAVE_STATE: true,              // Whether to save fractal state as a JSON file
+        POSTER: {
+            DEFAULT_WIDTH: 7680,       // Tiled poster export size
+            DEFAULT_HEIGHT: 4320,
+            DEFAULT_TILE_SIZE: 512,    // Smaller tiles keep each GPU submission short
+            MAX_SIZE: 32767,           // Largest edge a 2D canvas accepts
+            SIZES: {
+                '4K (3840×2160)': [3840, 2160],
+                '8K (7680×4320)': [7680, 4320],
+                '16K (16384×9216)': [16384, 9216],
+                'A3 300 dpi (4961×3508)': [4961, 3508],
+                'A2 300 dpi (7016×4961)': [7016, 4961],
+                'A1 300 dpi (9933×7016)': [9933, 7016],
+                '360° 8K (8192×4096)': [8192, 4096],
+                '360° 16K (16384×8192)': [16384, 8192],
+                'Cubemap 2K faces (6144×4096)': [6144, 4096],
+                'Domemaster 4K (4096×4096)': [4096, 4096],
+                'Domemaster 8K (8192×8192)': [8192, 8192]
+            }
+        },
         KEYS: {
             TAKE_SCREENSHOT: 's'       // Key to take screenshot of the fractal only (UI elements are hidden)
         }
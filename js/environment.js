@@ -0,0 +1,397 @@
+/**
+ * Environment Map Module
+ * Loads equirectangular HDR images (Radiance .hdr / OpenEXR .exr), uploads them
+ * with a prefiltered mip chain and projects them to spherical harmonics for
+ * diffuse image-based lighting
+ *
+ * @module environment
+ */
+
+import * as THREE from './lib/three.module.min.js';
+import { environmentSettings } from './fractal.js';
+import { updateEnvironmentUniforms, updateEnvironmentMapUniforms } from './shaders.js';
+import { CONFIG } from './config.js';
+
+// Texture of the loaded environment (null: none)
+let environmentTexture = null;
+
+/**
+ * Loads an .hdr or .exr file and makes it the active environment
+ * @param {File} file - File chosen by the user
+ * @returns {Promise<void>} Rejects with a descriptive error for unsupported files
+ */
+export async function loadEnvironmentFile(file) {
+    const buffer = await file.arrayBuffer();
+    const image = /\.exr$/i.test(file.name) ? await parseEXR(buffer) : parseRGBE(buffer);
+    setEnvironmentImage(image, file.name);
+}
+
+/**
+ * Makes an image the active environment
+ * @param {{width: number, height: number, data: Float32Array}} image - Linear RGB
+ *        radiance, 3 floats per pixel, top row first
+ * @param {string} name - Shown in the UI
+ */
+export function setEnvironmentImage(image, name) {
+    const levels = buildMipChain(downscaleToWidth(image, CONFIG.ENVIRONMENT.MAX_WIDTH));
+    const sh = projectIrradiance(levels.find(level => level.width <= CONFIG.ENVIRONMENT.SH_WIDTH) || levels[levels.length - 1]);
+
+    const toHalfRGBA = level => {
+        const half = new Uint16Array(level.width * level.height * 4);
+        for (let i = 0, j = 0; i < level.data.length; i += 3, j += 4) {
+            half[j] = THREE.DataUtils.toHalfFloat(level.data[i]);
+            half[j + 1] = THREE.DataUtils.toHalfFloat(level.data[i + 1]);
+            half[j + 2] = THREE.DataUtils.toHalfFloat(level.data[i + 2]);
+            half[j + 3] = THREE.DataUtils.toHalfFloat(1.0);
+        }
+        return { data: half, width: level.width, height: level.height };
+    };
+
+    // Half floats are filterable everywhere; the mip chain is built here so
+    // WebGL does not need renderable float formats
+    const mipmaps = levels.map(toHalfRGBA);
+    const texture = new THREE.DataTexture(mipmaps[0].data, mipmaps[0].width, mipmaps[0].height,
+        THREE.RGBAFormat, THREE.HalfFloatType);
+    texture.mipmaps = mipmaps;
+    texture.generateMipmaps = false;
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.ClampToEdgeWrapping;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.magFilter = THREE.LinearFilter;
+    texture.needsUpdate = true;
+
+    if (environmentTexture) environmentTexture.dispose();
+    environmentTexture = texture;
+
+    updateEnvironmentMapUniforms({ texture, sh, maxLod: levels.length - 1 });
+    environmentSettings.fileName = name;
+    environmentSettings.enabled = true;
+    updateEnvironmentUniforms(environmentSettings);
+    console.log(`Environment loaded: ${name} (${image.width}×${image.height}, ${levels.length} mip levels)`);
+}
+
+/**
+ * Removes the environment; misses render black and ambient light is flat again
+ */
+export function clearEnvironment() {
+    if (environmentTexture) environmentTexture.dispose();
+    environmentTexture = null;
+    updateEnvironmentMapUniforms(null);
+    environmentSettings.fileName = '';
+    environmentSettings.enabled = false;
+    updateEnvironmentUniforms(environmentSettings);
+}
+
+/**
+ * @returns {boolean} True if an environment image is loaded
+ */
+export function hasEnvironment() {
+    return environmentTexture !== null;
+}
+
+// --- Radiance RGBE (.hdr) ---
+
+/**
+ * Parses a Radiance .hdr file (32-bit_rle_rgbe, -Y H +X W orientation)
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {{width: number, height: number, data: Float32Array}} RGB floats, top row first
+ */
+export function parseRGBE(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let pos = 0;
+    const readLine = () => {
+        const start = pos;
+        while (pos < bytes.length && bytes[pos] !== 0x0a) pos++;
+        const line = String.fromCharCode(...bytes.subarray(start, pos));
+        pos++; // Newline
+        return line;
+    };
+
+    const magic = readLine();
+    if (!magic.startsWith('#?')) {
+        throw new Error('Not a Radiance HDR file');
+    }
+    // Header lines up to an empty line, then the resolution line
+    for (let line = readLine(); line !== ''; line = readLine()) {
+        if (pos >= bytes.length) throw new Error('Truncated HDR header');
+        if (line.startsWith('FORMAT=') && line !== 'FORMAT=32-bit_rle_rgbe') {
+            throw new Error(`Unsupported HDR format ${line.slice(7)} (only RGBE)`);
+        }
+    }
+    const resolution = readLine().match(/^-Y (\d+) \+X (\d+)$/);
+    if (!resolution) {
+        throw new Error('Unsupported HDR orientation (only -Y H +X W)');
+    }
+    const height = parseInt(resolution[1], 10);
+    const width = parseInt(resolution[2], 10);
+
+    const data = new Float32Array(width * height * 3);
+    const scanline = new Uint8Array(width * 4);
+    for (let y = 0; y < height; y++) {
+        pos = readRGBEScanline(bytes, pos, scanline, width);
+        for (let x = 0; x < width; x++) {
+            const e = scanline[x * 4 + 3];
+            const scale = e === 0 ? 0 : Math.pow(2, e - 136);
+            const out = (y * width + x) * 3;
+            data[out] = scanline[x * 4] * scale;
+            data[out + 1] = scanline[x * 4 + 1] * scale;
+            data[out + 2] = scanline[x * 4 + 2] * scale;
+        }
+    }
+    return { width, height, data };
+}
+
+// Reads one scanline into RGBE bytes (new-style run-length encoding or flat pixels)
+function readRGBEScanline(bytes, pos, scanline, width) {
+    const isRle = width >= 8 && width < 32768 &&
+        bytes[pos] === 2 && bytes[pos + 1] === 2 && ((bytes[pos + 2] << 8) | bytes[pos + 3]) === width;
+    if (!isRle) {
+        if (pos + width * 4 > bytes.length) throw new Error('Truncated HDR pixel data');
+        scanline.set(bytes.subarray(pos, pos + width * 4));
+        return pos + width * 4;
+    }
+
+    pos += 4;
+    // The four components are stored one after another, each run-length encoded
+    for (let channel = 0; channel < 4; channel++) {
+        let x = 0;
+        while (x < width) {
+            if (pos >= bytes.length) throw new Error('Truncated HDR pixel data');
+            let count = bytes[pos++];
+            if (count > 128) {
+                count -= 128;
+                const value = bytes[pos++];
+                for (let i = 0; i < count; i++) scanline[(x++) * 4 + channel] = value;
+            } else {
+                for (let i = 0; i < count; i++) scanline[(x++) * 4 + channel] = bytes[pos++];
+            }
+            if (x > width) throw new Error('Corrupt HDR run length');
+        }
+    }
+    return pos;
+}
+
+// --- OpenEXR (.exr) ---
+
+// Scanlines per chunk for each compression method
+const EXR_LINES_PER_CHUNK = { 0: 1, 1: 1, 2: 1, 3: 16 };
+const EXR_COMPRESSION_NAMES = ['NONE', 'RLE', 'ZIPS', 'ZIP', 'PIZ', 'PXR24', 'B44', 'B44A', 'DWAA', 'DWAB'];
+
+/**
+ * Parses a single-part scanline OpenEXR file with half or float R, G, B channels
+ * (uncompressed, RLE, ZIPS or ZIP compression)
+ * @param {ArrayBuffer} buffer - File contents
+ * @returns {Promise<{width: number, height: number, data: Float32Array}>} RGB floats, top row first
+ */
+export async function parseEXR(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    if (view.getUint32(0, true) !== 20000630) {
+        throw new Error('Not an OpenEXR file');
+    }
+    const flags = view.getUint32(4, true);
+    if (flags & 0x1a00) {
+        throw new Error('Tiled, deep and multi-part EXR files are not supported');
+    }
+
+    // Header: name, type, size, value ... terminated by an empty name
+    let pos = 8;
+    const readString = () => {
+        const start = pos;
+        while (bytes[pos] !== 0) pos++;
+        return String.fromCharCode(...bytes.subarray(start, pos++));
+    };
+    const header = {};
+    for (let name = readString(); name !== ''; name = readString()) {
+        readString(); // Attribute type
+        const size = view.getInt32(pos, true);
+        pos += 4;
+        if (name === 'channels') {
+            header.channels = readChannelList(view, bytes, pos, pos + size);
+        } else if (name === 'compression') {
+            header.compression = bytes[pos];
+        } else if (name === 'dataWindow') {
+            header.dataWindow = [0, 4, 8, 12].map(offset => view.getInt32(pos + offset, true));
+        }
+        pos += size;
+    }
+
+    const linesPerChunk = EXR_LINES_PER_CHUNK[header.compression];
+    if (linesPerChunk === undefined) {
+        throw new Error(`Unsupported EXR compression ${EXR_COMPRESSION_NAMES[header.compression] || header.compression} (use NONE, RLE, ZIPS or ZIP)`);
+    }
+    const [xMin, yMin, xMax, yMax] = header.dataWindow;
+    const width = xMax - xMin + 1;
+    const height = yMax - yMin + 1;
+    const channels = header.channels;
+    const rgb = ['R', 'G', 'B'].map(name => channels.findIndex(channel => channel.name === name));
+    if (rgb.some(index => index < 0)) {
+        throw new Error('EXR file has no R, G and B channels');
+    }
+
+    // Byte offset of each channel within one scanline (channels are stored one after another)
+    const lineBytes = channels.reduce((sum, channel) => sum + width * channel.size, 0);
+    const channelOffsets = [];
+    channels.reduce((offset, channel) => (channelOffsets.push(offset), offset + width * channel.size), 0);
+
+    const chunkCount = Math.ceil(height / linesPerChunk);
+    const data = new Float32Array(width * height * 3);
+    for (let chunk = 0; chunk < chunkCount; chunk++) {
+        let chunkPos = Number(view.getBigUint64(pos + chunk * 8, true));
+        const firstLine = view.getInt32(chunkPos, true) - yMin;
+        const packedSize = view.getInt32(chunkPos + 4, true);
+        chunkPos += 8;
+
+        const lines = Math.min(linesPerChunk, height - firstLine);
+        const rawSize = lines * lineBytes;
+        const packed = bytes.subarray(chunkPos, chunkPos + packedSize);
+        // Chunks that do not shrink are stored uncompressed
+        const raw = packedSize === rawSize ? packed : await decompressEXRChunk(packed, header.compression, rawSize);
+        const rawView = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+
+        for (let line = 0; line < lines; line++) {
+            const y = firstLine + line;
+            rgb.forEach((channelIndex, component) => {
+                const channel = channels[channelIndex];
+                const start = line * lineBytes + channelOffsets[channelIndex];
+                for (let x = 0; x < width; x++) {
+                    const value = channel.type === 1
+                        ? THREE.DataUtils.fromHalfFloat(rawView.getUint16(start + x * 2, true))
+                        : channel.type === 2
+                            ? rawView.getFloat32(start + x * 4, true)
+                            : rawView.getUint32(start + x * 4, true);
+                    data[(y * width + x) * 3 + component] = value;
+                }
+            });
+        }
+    }
+    return { width, height, data };
+}
+
+// Reads a chlist attribute: name, pixel type, pLinear, reserved, x/y sampling
+function readChannelList(view, bytes, pos, end) {
+    const channels = [];
+    while (pos < end && bytes[pos] !== 0) {
+        const start = pos;
+        while (bytes[pos] !== 0) pos++;
+        const name = String.fromCharCode(...bytes.subarray(start, pos++));
+        const type = view.getInt32(pos, true); // 0: uint, 1: half, 2: float
+        const xSampling = view.getInt32(pos + 8, true);
+        const ySampling = view.getInt32(pos + 12, true);
+        if (xSampling !== 1 || ySampling !== 1) {
+            throw new Error('Subsampled EXR channels are not supported');
+        }
+        channels.push({ name, type, size: type === 1 ? 2 : 4 });
+        pos += 16;
+    }
+    return channels;
+}
+
+// Undoes RLE or zlib compression, then the byte predictor and the even/odd byte split
+async function decompressEXRChunk(packed, compression, rawSize) {
+    let bytes;
+    if (compression === 1) {
+        bytes = new Uint8Array(rawSize);
+        let out = 0;
+        for (let i = 0; i < packed.length && out < rawSize;) {
+            const count = (packed[i++] << 24) >> 24; // Signed byte
+            if (count < 0) {
+                bytes.set(packed.subarray(i, i - count), out);
+                out -= count;
+                i -= count;
+            } else {
+                bytes.fill(packed[i++], out, out + count + 1);
+                out += count + 1;
+            }
+        }
+    } else {
+        const stream = new Blob([packed]).stream().pipeThrough(new DecompressionStream('deflate'));
+        bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    for (let i = 1; i < bytes.length; i++) {
+        bytes[i] = (bytes[i - 1] + bytes[i] - 128) & 0xff;
+    }
+    const raw = new Uint8Array(bytes.length);
+    const half = (bytes.length + 1) >> 1;
+    for (let i = 0; i < bytes.length; i++) {
+        raw[i] = i % 2 === 0 ? bytes[i >> 1] : bytes[half + (i >> 1)];
+    }
+    return raw;
+}
+
+// --- Prefiltering ---
+
+// Box-filters an image down until it is at most maxWidth wide
+function downscaleToWidth(image, maxWidth) {
+    while (image.width > maxWidth) {
+        image = halveImage(image);
+    }
+    return image;
+}
+
+// Mip levels from full size down to a single row; each level averages 2×2 texels
+function buildMipChain(image) {
+    const levels = [image];
+    while (image.height > 1) {
+        image = halveImage(image);
+        levels.push(image);
+    }
+    return levels;
+}
+
+function halveImage(image) {
+    const width = Math.max(1, image.width >> 1);
+    const height = Math.max(1, image.height >> 1);
+    const data = new Float32Array(width * height * 3);
+    for (let y = 0; y < height; y++) {
+        const y0 = Math.min(y * 2, image.height - 1);
+        const y1 = Math.min(y * 2 + 1, image.height - 1);
+        for (let x = 0; x < width; x++) {
+            const x0 = Math.min(x * 2, image.width - 1);
+            const x1 = Math.min(x * 2 + 1, image.width - 1);
+            for (let c = 0; c < 3; c++) {
+                data[(y * width + x) * 3 + c] = 0.25 * (
+                    image.data[(y0 * image.width + x0) * 3 + c] + image.data[(y0 * image.width + x1) * 3 + c] +
+                    image.data[(y1 * image.width + x0) * 3 + c] + image.data[(y1 * image.width + x1) * 3 + c]);
+            }
+        }
+    }
+    return { width, height, data };
+}
+
+/**
+ * Projects the radiance onto order-2 spherical harmonics and convolves it with the
+ * cosine lobe, so the shader gets irradiance / pi as a polynomial in the normal.
+ * Directions follow the shader's equirectangular mapping: u = atan(z, x) / 2pi + 0.5,
+ * v = 0.5 - asin(y) / pi (top row first).
+ * @returns {THREE.Vector3[]} Nine coefficients for the terms 1, y, z, x, xy, yz,
+ *          3z^2 - 1, xz, x^2 - y^2 (basis constants folded in)
+ */
+function projectIrradiance(image) {
+    const basis = [0.282095, 0.488603, 0.488603, 0.488603, 1.092548, 1.092548, 0.315392, 1.092548, 0.546274];
+    const bandWeight = [Math.PI, 2 * Math.PI / 3, 2 * Math.PI / 3, 2 * Math.PI / 3, Math.PI / 4, Math.PI / 4, Math.PI / 4, Math.PI / 4, Math.PI / 4];
+    const coefficients = basis.map(() => new THREE.Vector3());
+    const { width, height, data } = image;
+
+    for (let j = 0; j < height; j++) {
+        const latitude = (0.5 - (j + 0.5) / height) * Math.PI;
+        const solidAngle = (2 * Math.PI / width) * (Math.PI / height) * Math.cos(latitude);
+        for (let i = 0; i < width; i++) {
+            const longitude = ((i + 0.5) / width - 0.5) * 2 * Math.PI;
+            const x = Math.cos(latitude) * Math.cos(longitude);
+            const y = Math.sin(latitude);
+            const z = Math.cos(latitude) * Math.sin(longitude);
+            const terms = [1, y, z, x, x * y, y * z, 3 * z * z - 1, x * z, x * x - y * y];
+            const p = (j * width + i) * 3;
+            terms.forEach((term, k) => {
+                const weight = basis[k] * term * solidAngle;
+                coefficients[k].x += data[p] * weight;
+                coefficients[k].y += data[p + 1] * weight;
+                coefficients[k].z += data[p + 2] * weight;
+            });
+        }
+    }
+
+    return coefficients.map((coefficient, k) => coefficient.multiplyScalar(bandWeight[k] * basis[k] / Math.PI));
+}
@@ -0,0 +1,79 @@
+/**
+ * Custom Iteration Formula Module
+ * Splices a user-defined GLSL iteration step into the fragment shader and
+ * recompiles it, keeping the last working shader when compilation fails
+ *
+ * @module formula
+ */
+
+import { buildFragmentShader, splitFormulaStatements } from './shaders.js';
+import { setFragmentShader } from './scene.js';
+import { fractalState } from './fractal.js';
+
+/**
+ * Editor state for the formula panel
+ * @type {Object}
+ */
+export const formulaState = {
+    /** Formula text as typed in the editor (may differ from the active one) */
+    draft: fractalState.customFormula,
+    /** Compiler errors of the last attempt, one "Line N: message" per line */
+    errors: ''
+};
+
+// Formula that failed last, so tour frames do not retry it every frame
+let lastFailedFormula = null;
+
+/**
+ * Compiles a custom iteration formula and makes it active.
+ * An empty formula restores the built-in z^n + c iteration.
+ * @param {string} formula - GLSL statements working on vec4 z and c
+ * @returns {boolean} True if the formula compiled and is now active
+ */
+export function setCustomFormula(formula) {
+    formula = (formula || '').trim();
+    formulaState.draft = formula;
+
+    if (formula === fractalState.customFormula) {
+        formulaState.errors = '';
+        return true; // Already active - avoid recompiling every tour frame
+    }
+    if (formula === lastFailedFormula) {
+        return false;
+    }
+
+    const shader = buildFragmentShader(formula);
+    const result = setFragmentShader(shader);
+
+    if (!result.ok) {
+        lastFailedFormula = formula;
+        formulaState.errors = formatErrors(result.errors, shader.firstLine, splitFormulaStatements(formula).length);
+        console.warn("Custom formula failed to compile, keeping the last working shader:\n" + formulaState.errors);
+        return false;
+    }
+
+    fractalState.customFormula = formula;
+    formulaState.errors = '';
+    lastFailedFormula = null;
+    console.log("Custom formula:", formula || "(built-in z^n + c)");
+    return true;
+}
+
+/**
+ * Maps shader line numbers back to formula statements
+ * @param {Array<{line: number, message: string}>} errors - Compiler errors
+ * @param {number} firstLine - Shader line of the first formula statement
+ * @param {number} statementCount - Number of formula statements
+ * @returns {string} One error per line
+ */
+function formatErrors(errors, firstLine, statementCount) {
+    const lines = errors.map(({ line, message }) => {
+        const statement = line - firstLine + 1;
+        if (statement >= 1 && statement <= statementCount) {
+            return `Line ${statement}: ${message}`;
+        }
+        return line > 0 ? `Shader line ${line}: ${message}` : message;
+    });
+    // The formula is used by several functions, so the same error repeats
+    return [...new Set(lines)].join('\n') || 'Unknown compilation error';
+}
@@ -9,7 +9,22 @@ import * as THREE from './lib/three.module.min.js';
 import { 
     uniforms, 
     updateFractalParamsUniform, 
+    updatePowerUniform,
+    updateAlgebraUniform,
+    updateHybridUniforms,
+    updateCsgUniforms,
+    CSG_MAX_OBJECTS,
+    updateLightUniforms,
+    LIGHT_MAX_COUNT,
+    updateEnvironmentUniforms,
+    updateAtmosphereUniforms,
+    updateBackgroundUniforms,
+    updateSymmetryUniforms,
+    updateEstimatorUniforms,
+    updateInteriorUniforms,
+    updateFractalModeUniforms,
     updateSliceUniform, 
+    updateSliceRotationUniform,
     updateQualityUniforms, 
     updateColorUniforms,
     updateClipModeUniform,
@@ -19,6 +34,7 @@ import {
     updateOrbitTrapUniforms,
     updatePhysicsColorUniforms
 } from './shaders.js';
+import { updatePostFxUniforms } from './postfx.js';
 import { CONFIG } from './config.js';
 
 /**
@@ -28,6 +44,73 @@ import { CONFIG } from './config.js';
 export const fractalState = {
     /** Initial 'c' parameter for the Julia set (Vector4) */
     params: new THREE.Vector4(-0.2, 0.6, 0.2, 0.2), 
+    /** Iteration exponent n in z^n + c (integer 2-8 or fractional) */
+    power: CONFIG.FRACTAL.DEFAULT_POWER,
+    /** 
+     * Fractal mode:
+     * 0: Julia (ray position seeds z, c is constant)
+     * 1: Mandelbrot (ray position seeds c, orbit starts at z0)
+     */
+    mode: 0,
+    /** Orbit starting point in Mandelbrot mode (Vector4) */
+    z0: new THREE.Vector4(0.0, 0.0, 0.0, 0.0),
+    /**
+     * Hypercomplex algebra used for z^n + c:
+     * 0: Hamilton quaternions
+     * 1: Bicomplex numbers
+     * 2: Split-quaternions
+     * 3: Commutative (Hopf) quaternions
+     */
+    algebra: 0,
+    /** User-defined GLSL iteration step replacing z^n + c ('' = built-in), see formula.js */
+    customFormula: '',
+    /**
+     * Escape test and distance estimator:
+     * escapeNorm 0: Euclidean, 1: L1, 2: L-infinity, 3: single axis (escapeAxis 0-3: x, y, z, w);
+     * deMethod 0: logarithmic 0.5*log(r)*r/dr, 1: linear r/dr, 2: potential gradient;
+     * fudge scales the estimate (below 1 for overstepping sets)
+     */
+    estimator: {
+        bailout: CONFIG.RAYMARCHING.ESCAPE_RADIUS,
+        escapeNorm: 0,
+        escapeAxis: 0,
+        deMethod: 0,
+        fudge: 1.0
+    },
+    /**
+     * Hybrid iteration: the sequence lists which rule each iteration uses,
+     * A = z^n + c, B = transform (0: power-3 quaternion, 1: abs fold,
+     * 2: 4D rotation, 3: box fold); the sequence repeats over all iterations
+     */
+    hybrid: {
+        enabled: false,
+        sequence: 'A, A, B',
+        transform: 0,
+        foldLimit: 1.0,
+        rotation: { xw: 0.5, yw: 0.0, zw: 0.0 }
+    },
+    /**
+     * Symmetry folds applied to the starting point (stage 0) or also to z
+     * before every iteration (stage 1): abs folds of single components, a mirror
+     * across the hyperplane with the given normal and a polyhedral kaleidoscope
+     * on xyz (0: none, 1: tetrahedral, 2: octahedral, 3: icosahedral)
+     */
+    symmetry: {
+        enabled: false,
+        stage: 0,
+        absFold: { x: false, y: false, z: false, w: false },
+        mirror: false,
+        mirrorNormal: { x: 1.0, y: 0.0, z: 0.0, w: 0.0 },
+        polyhedral: 0
+    },
+    /**
+     * Constructive solid geometry scene: enabled objects are combined with the
+     * Julia set in list order (see createCsgObject for the object fields)
+     */
+    csg: {
+        enabled: false,
+        objects: Array.from({ length: CSG_MAX_OBJECTS }, () => createCsgObject())
+    },
     /** Toggle for animating the 4th dimension slice (0 key) */
     animateSlice: true, 
     /** Current value of the 4th dimension slice */
@@ -37,7 +120,43 @@ export const fractalState = {
     /** How fast to advance the phase per frame */
     sliceAnimSpeed: CONFIG.FRACTAL.SLICE_ANIM_SPEED, 
     /** Controls the range of slice values (-amplitude to +amplitude) */
-    sliceAmplitude: CONFIG.FRACTAL.SLICE_AMPLITUDE
+    sliceAmplitude: CONFIG.FRACTAL.SLICE_AMPLITUDE,
+    /** Orientation of the slicing hyperplane: rotation angles (radians) in the XW, YW and ZW planes */
+    sliceRotation: { xw: 0.0, yw: 0.0, zw: 0.0 },
+    /** Toggle for animating the hyperplane rotation angles */
+    animateSliceRotation: false,
+    /** Angular speed (radians per second) of each rotation plane when animated */
+    sliceRotationSpeed: { 
+        xw: CONFIG.FRACTAL.SLICE_ROTATION_SPEED, 
+        yw: 0.0, 
+        zw: 0.0 
+    },
+    /**
+     * Animated path of the c parameter around a captured center:
+     * 0: circle in a 2D plane of c-space, 1: 4D Lissajous curve,
+     * 2: great circle on the hypersphere through the center, 3: closed polyline through presets
+     */
+    cPath: {
+        enabled: false,
+        type: 0,
+        /** Circle/great-circle plane (0: xy, 1: xz, 2: xw, 3: yz, 4: yw, 5: zw) */
+        plane: 0,
+        /** Angular speed in radians per second */
+        speed: CONFIG.FRACTAL.C_PATH_SPEED,
+        /** Phase offset in radians */
+        phase: 0.0,
+        /** Circle radius / Lissajous amplitude */
+        amplitude: CONFIG.FRACTAL.C_PATH_AMPLITUDE,
+        /** Lissajous frequency per component */
+        frequencies: { x: 1, y: 2, z: 3, w: 5 },
+        /** Preset names for the polyline path and their resolved c values ([x, y, z, w] each) */
+        presetList: 'Q01, Q05, Q07',
+        waypoints: [],
+        /** c the path is centered on, captured when the animation starts */
+        center: new THREE.Vector4(),
+        /** Accumulated path angle in radians */
+        time: 0.0
+    }
 };
 
 /**
@@ -56,9 +175,44 @@ export const qualitySettings = {
     /** Toggle for specular highlights (7 key) */
     enableSpecular: false, 
     /** Toggle for adaptive ray marching steps (8 key) */
-    enableAdaptiveSteps: false
+    enableAdaptiveSteps: false,
+    /** Analytic (Jacobian) normals instead of six-sample finite differences */
+    analyticNormals: false,
+    /**
+     * Diagnostics view replacing the shaded output:
+     * 0: off, 1: march steps, 2: final distance estimate, 3: iterations at hit, 4: stop reason
+     */
+    debugView: 0,
+    /** Accumulate jittered samples while the view is still (see renderFrame in scene.js) */
+    progressiveRefinement: true,
+    /** Render changing views at a reduced internal resolution that follows targetFps */
+    dynamicResolution: false,
+    /** Frame rate the dynamic render scale aims for */
+    targetFps: CONFIG.SHADER.DYNAMIC_RESOLUTION.TARGET_FPS,
+    /** Lower limit of the dynamic render scale */
+    minRenderScale: CONFIG.SHADER.DYNAMIC_RESOLUTION.MIN_SCALE,
+    /** Upper limit of the dynamic render scale */
+    maxRenderScale: CONFIG.SHADER.DYNAMIC_RESOLUTION.MAX_SCALE,
+    /** 0: direct lighting, 1: path-traced global illumination (accumulated while still) */
+    renderMode: 0,
+    /** Indirect bounces per path in path-traced mode */
+    pathBounces: CONFIG.SHADER.PATH_TRACING.BOUNCES,
+    /** Sky radiance multiplier in path-traced mode */
+    pathSkyIntensity: 1.0
 };
 
+// Defaults for setQualitySettings
+const QUALITY_DEFAULTS = { ...qualitySettings };
+
+/**
+ * Replaces the quality settings and updates the shader; the diagnostics view is kept
+ * @param {Object} quality - Settings; missing fields get defaults
+ */
+export function setQualitySettings(quality) {
+    Object.assign(qualitySettings, QUALITY_DEFAULTS, { debugView: qualitySettings.debugView }, quality);
+    updateQualityUniforms(qualitySettings);
+}
+
 /**
  * Cross-section visualization settings
  * @type {Object}
@@ -148,6 +302,262 @@ export const physicsColorSettings = {
     balance: 0.5
 };
 
+/**
+ * Interior rendering settings for orbits that never escape
+ * @type {Object}
+ */
+export const interiorSettings = {
+    /** Interior coloring (0: off, 1: final |z|, 2: period, 3: average angle, 4: atom domain) */
+    mode: 0,
+    /** Render the interior as a translucent volume instead of a shaded surface */
+    volume: false,
+    /** Volume opacity per unit length */
+    density: 4.0,
+    /** Distance the volume is integrated along each ray */
+    depth: 1.0
+};
+
+/**
+ * Light rig: ambient light plus up to LIGHT_MAX_COUNT lights (see createLight).
+ * The default rig is the single white point light the renderer always had.
+ * @type {Object}
+ */
+export const lightSettings = {
+    /** Ambient light added to every surface */
+    ambient: CONFIG.SHADER.AMBIENT_FACTOR,
+    /** Light slots; disabled slots are skipped */
+    lights: Array.from({ length: LIGHT_MAX_COUNT }, (_, i) => createLight(i === 0 ? defaultKeyLight() : {}))
+};
+
+/**
+ * Image-based lighting from an equirectangular HDR environment (see environment.js).
+ * The image itself is not part of the settings, only how it is used.
+ * @type {Object}
+ */
+export const environmentSettings = {
+    /** Use the loaded environment for the background and lighting */
+    enabled: false,
+    /** Name of the loaded file ('' when none) */
+    fileName: '',
+    /** Radiance multiplier */
+    intensity: 1.0,
+    /** Yaw of the environment in degrees */
+    rotation: 0.0,
+    /** Show the environment where rays miss the fractal */
+    background: true,
+    /** Background blur (0: sharp, 1: blurriest prefiltered level) */
+    backgroundBlur: 0.0,
+    /** Reflectance at normal incidence (0.04: dielectric, 1: mirror) */
+    reflectivity: 0.04,
+    /** Reflection blur (0: sharp, 1: blurriest prefiltered level) */
+    reflectionBlur: 0.3
+};
+
+/**
+ * Atmosphere: glow around the set, height/distance fog and depth cueing.
+ * Colors are '#rrggbb'; see setAtmosphere for replacing the settings.
+ * @type {Object}
+ */
+export const atmosphereSettings = {
+    /** Glow that grows the closer a missing ray passed the surface */
+    glow: {
+        enabled: false,
+        intensity: 0.5,
+        color: '#66aaff',
+        /** Closest-approach distance at which the glow falls to 1/e */
+        radius: 0.05
+    },
+    /** Exponential fog, optionally thinning out with height */
+    fog: {
+        enabled: false,
+        /** Extinction per unit distance at the fog height */
+        density: 0.05,
+        color: '#8899aa',
+        /** Density falloff per unit of height above the fog height (0: uniform) */
+        heightFalloff: 0.0,
+        /** Height (y) with the nominal density */
+        height: 0.0
+    },
+    /** Surface tint ramp from nearColor at start to farColor at end distance */
+    depthCue: {
+        enabled: false,
+        intensity: 0.5,
+        nearColor: '#ffffff',
+        farColor: '#4060a0',
+        start: 1.0,
+        end: 8.0
+    }
+};
+
+// Defaults for setAtmosphere
+const ATMOSPHERE_DEFAULTS = JSON.parse(JSON.stringify(atmosphereSettings));
+
+/**
+ * Replaces the atmosphere settings and updates the shader
+ * @param {Object} atmosphere - { glow, fog, depthCue }; missing groups and fields get defaults
+ */
+export function setAtmosphere(atmosphere) {
+    // Groups are updated in place, the UI is bound to them
+    Object.keys(ATMOSPHERE_DEFAULTS).forEach(group => {
+        Object.assign(atmosphereSettings[group], ATMOSPHERE_DEFAULTS[group], atmosphere[group]);
+    });
+    updateAtmosphereUniforms(atmosphereSettings);
+}
+
+/**
+ * Background where rays miss the fractal (the HDR environment takes precedence
+ * when it is shown as background)
+ * @type {Object}
+ */
+export const backgroundSettings = {
+    /** 0: solid, 1: vertical gradient, 2: radial gradient, 3: starfield, 4: nebula, 5: transparent */
+    mode: 0,
+    /** Solid color, top of the vertical / center of the radial gradient, sky of stars and nebula */
+    color: '#000000',
+    /** Bottom / edge of the gradients, nebula clouds */
+    secondColor: '#1b2a4a',
+    /** Share of possible stars shown (starfield and nebula) */
+    starDensity: 0.5,
+    starBrightness: 1.0
+};
+
+// Defaults for setBackground
+const BACKGROUND_DEFAULTS = { ...backgroundSettings };
+
+/**
+ * Replaces the background settings and updates the shader
+ * @param {Object} background - Settings; missing fields get defaults (black)
+ */
+export function setBackground(background) {
+    Object.assign(backgroundSettings, BACKGROUND_DEFAULTS, background);
+    updateBackgroundUniforms(backgroundSettings);
+}
+
+/**
+ * Post-processing of the rendered image (see postfx.js). The defaults leave the
+ * image unchanged, so the extra pass is skipped.
+ * @type {Object}
+ */
+export const postFxSettings = {
+    /** Exposure in stops (EV) */
+    exposure: 0.0,
+    /** 0: none (clip), 1: Reinhard, 2: Filmic, 3: ACES */
+    toneMapping: 0,
+    /** Output is raised to 1/gamma */
+    gamma: 1.0,
+    /** Strength of the bloom added to the image (0: off) */
+    bloomIntensity: 0.0,
+    /** Brightness above which pixels bloom */
+    bloomThreshold: 1.0,
+    /** Weight of the wider bloom levels (0: tight, 1: wide) */
+    bloomRadius: 0.6,
+    /** Corner darkening (0: off, 1: black corners) */
+    vignette: 0.0,
+    /** Film grain amplitude */
+    grain: 0.0,
+    /** Radial red/blue shift as a fraction of the image size */
+    chromaticAberration: 0.0
+};
+
+// Defaults for setPostFx
+const POST_FX_DEFAULTS = { ...postFxSettings };
+
+/**
+ * Replaces the post-processing settings and updates the post pass
+ * @param {Object} postFx - Settings; missing fields get defaults
+ */
+export function setPostFx(postFx) {
+    Object.assign(postFxSettings, POST_FX_DEFAULTS, postFx);
+    updatePostFxUniforms(postFxSettings);
+}
+
+/**
+ * Creates a light with default values
+ * @param {Object} [overrides] - Fields to replace; nested vectors are copied
+ * @returns {Object} Light:
+ *   type (0: directional, 1: point, 2: headlight at the camera, 3: directional
+ *   relative to the camera), direction (x: azimuth around +y measured from +z,
+ *   y: elevation, in degrees; camera space for type 3), position (point lights),
+ *   color ('#rrggbb'), intensity and shadows (casts shadows when shadows are on)
+ */
+export function createLight(overrides = {}) {
+    return {
+        enabled: overrides.enabled ?? false,
+        type: overrides.type ?? 0,
+        direction: { x: 45.0, y: 35.0, ...overrides.direction },
+        position: { x: 0.0, y: 5.0, z: 0.0, ...overrides.position },
+        color: overrides.color ?? '#ffffff',
+        intensity: overrides.intensity ?? 1.0,
+        shadows: overrides.shadows ?? true
+    };
+}
+
+/**
+ * The original light: white point light at CONFIG.SHADER.LIGHT_POSITION
+ * @returns {Object} Overrides for createLight
+ */
+export function defaultKeyLight() {
+    const { X, Y, Z } = CONFIG.SHADER.LIGHT_POSITION;
+    return { enabled: true, type: 1, position: { x: X, y: Y, z: Z } };
+}
+
+/**
+ * Replaces the light rig and updates the shader
+ * @param {Object} lighting - { ambient, lights }; missing lights are disabled
+ */
+export function setLightRig(lighting) {
+    lightSettings.ambient = lighting.ambient ?? CONFIG.SHADER.AMBIENT_FACTOR;
+    const lights = lighting.lights || [];
+    lightSettings.lights.forEach((light, i) => {
+        // Vectors are updated in place, the UI is bound to them
+        const { direction, position, ...fields } = createLight(lights[i]);
+        Object.assign(light, fields);
+        Object.assign(light.direction, direction);
+        Object.assign(light.position, position);
+    });
+    updateLightUniforms(lightSettings);
+}
+
+/**
+ * Creates a CSG object with default values
+ * @param {Object} [overrides] - Fields to replace; nested vectors are copied
+ * @returns {Object} CSG object:
+ *   type (0: sphere, 1: box, 2: plane, 3: Julia set with its own c),
+ *   operation (0: union, 1: intersection, 2: subtraction, 3: smooth union),
+ *   position (center, or a point on the plane), size (sphere radius in x,
+ *   box half extents or plane normal), c (Julia objects) and smoothness
+ *   (blend radius of the smooth union)
+ */
+export function createCsgObject(overrides = {}) {
+    return {
+        enabled: overrides.enabled ?? false,
+        type: overrides.type ?? 0,
+        operation: overrides.operation ?? 0,
+        position: { x: 0.0, y: 0.0, z: 0.0, ...overrides.position },
+        size: { x: 0.5, y: 0.5, z: 0.5, ...overrides.size },
+        c: { x: -0.2, y: 0.4, z: 0.3, w: 0.0, ...overrides.c },
+        smoothness: overrides.smoothness ?? 0.1
+    };
+}
+
+/**
+ * Replaces the CSG scene and updates the shader
+ * @param {Object} csg - { enabled, objects }; missing objects are reset to defaults
+ */
+export function setCsgScene(csg) {
+    fractalState.csg.enabled = !!csg.enabled;
+    const objects = csg.objects || [];
+    fractalState.csg.objects.forEach((object, i) => {
+        // Vectors are updated in place, the UI is bound to them
+        const { position, size, c, ...fields } = createCsgObject(objects[i]);
+        Object.assign(object, fields);
+        Object.assign(object.position, position);
+        Object.assign(object.size, size);
+        Object.assign(object.c, c);
+    });
+    updateCsgUniforms(fractalState.csg);
+}
+
 // Expose states globally for debugging and compatibility with legacy code
 window.fractalState = fractalState;
 window.qualitySettings = qualitySettings;
@@ -155,6 +565,12 @@ window.colorSettings = colorSettings;
 window.colorDynamicsSettings = colorDynamicsSettings;
 window.orbitTrapSettings = orbitTrapSettings;
 window.physicsColorSettings = physicsColorSettings;
+window.interiorSettings = interiorSettings;
+window.lightSettings = lightSettings;
+window.environmentSettings = environmentSettings;
+window.atmosphereSettings = atmosphereSettings;
+window.postFxSettings = postFxSettings;
+window.backgroundSettings = backgroundSettings;
 
 // --- Fractal Parameter Update Functions ---
 
@@ -169,9 +585,45 @@ export function resetFractalParams() {
         Math.random() * 0.8 - 0.4,
         Math.random() * 0.8 - 0.4
     );
+    // A running c path continues around the new parameters
+    fractalState.cPath.center.copy(fractalState.params);
     updateFractalParamsUniform(fractalState.params);
 }
 
+/**
+ * Sets the iteration exponent n for z^n + c
+ * @param {number} power - New exponent, clamped to the configured range
+ */
+export function setFractalPower(power) {
+    fractalState.power = Math.max(CONFIG.FRACTAL.MIN_POWER, Math.min(power, CONFIG.FRACTAL.MAX_POWER));
+    updatePowerUniform(fractalState.power);
+    console.log("Fractal power:", fractalState.power.toFixed(2));
+}
+
+/**
+ * Switches between Julia and Mandelbrot (parameter-space) rendering
+ * @param {number} mode - 0 for Julia, 1 for Mandelbrot
+ */
+export function setFractalMode(mode) {
+    fractalState.mode = mode;
+    updateFractalModeUniforms(fractalState.mode, fractalState.z0);
+    
+    const modeNames = ["Julia", "Mandelbrot"];
+    console.log("Fractal Mode:", modeNames[fractalState.mode]);
+}
+
+/**
+ * Selects the hypercomplex algebra used for the iteration
+ * @param {number} algebra - 0 Hamilton, 1 bicomplex, 2 split-quaternion, 3 commutative (Hopf)
+ */
+export function setFractalAlgebra(algebra) {
+    fractalState.algebra = algebra;
+    updateAlgebraUniform(fractalState.algebra);
+    
+    const algebraNames = ["Hamilton", "Bicomplex", "Split-quaternion", "Commutative (Hopf)"];
+    console.log("Fractal Algebra:", algebraNames[fractalState.algebra]);
+}
+
 /**
  * Toggles the 4D slice animation on/off
  */
@@ -212,9 +664,127 @@ export function updateSlice(delta) {
         // Update the shader uniform
         updateSliceUniform(fractalState.sliceValue);
     }
+    
+    // Rotate the slicing hyperplane through 4D
+    if (fractalState.animateSliceRotation) {
+        const rotation = fractalState.sliceRotation;
+        const speed = fractalState.sliceRotationSpeed;
+        
+        ['xw', 'yw', 'zw'].forEach(plane => {
+            rotation[plane] += speed[plane] * delta;
+            // Keep angles in range [-π, π] for the UI sliders
+            if (rotation[plane] > Math.PI) rotation[plane] -= Math.PI * 2;
+            if (rotation[plane] < -Math.PI) rotation[plane] += Math.PI * 2;
+        });
+        
+        updateSliceRotationUniform(rotation);
+    }
     // Static otherwise
 }
 
+/**
+ * Sets the orientation of the slicing hyperplane
+ * @param {Object} rotation - Angles in radians: { xw, yw, zw }
+ */
+export function setSliceRotation(rotation) {
+    Object.assign(fractalState.sliceRotation, rotation);
+    updateSliceRotationUniform(fractalState.sliceRotation);
+}
+
+// Axis index pairs for the six coordinate planes of c-space
+const C_PATH_PLANES = [[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3]];
+
+/**
+ * Starts or stops the c path animation. Starting captures the current c as
+ * the path center; stopping returns c to that center.
+ * @param {boolean} enabled - Whether c should follow the path
+ */
+export function setCPathEnabled(enabled) {
+    const cPath = fractalState.cPath;
+    if (enabled && !cPath.enabled) {
+        cPath.center.copy(fractalState.params);
+        cPath.time = 0.0;
+    } else if (!enabled && cPath.enabled) {
+        fractalState.params.copy(cPath.center);
+        updateFractalParamsUniform(fractalState.params);
+    }
+    cPath.enabled = enabled;
+    console.log("c Path Animation:", enabled ? "ON" : "OFF");
+}
+
+/**
+ * Advances the c path animation
+ * @param {number} delta - Time since the last frame in seconds
+ */
+export function updateCPath(delta) {
+    const cPath = fractalState.cPath;
+    if (!cPath.enabled) return;
+    
+    cPath.time += cPath.speed * delta;
+    // Every path repeats after 2π (Lissajous frequencies are integers)
+    if (cPath.time > Math.PI * 2) cPath.time -= Math.PI * 2;
+    if (cPath.time < 0) cPath.time += Math.PI * 2;
+    
+    const c = evaluateCPath(cPath, cPath.time + cPath.phase);
+    fractalState.params.fromArray(c);
+    updateFractalParamsUniform(fractalState.params);
+}
+
+/**
+ * Computes c at a given path angle
+ * @param {Object} cPath - Path settings (fractalState.cPath)
+ * @param {number} theta - Path angle in radians
+ * @returns {number[]} c as [x, y, z, w]
+ */
+function evaluateCPath(cPath, theta) {
+    const center = cPath.center.toArray();
+    const [i, j] = C_PATH_PLANES[cPath.plane] || C_PATH_PLANES[0];
+    
+    switch (cPath.type) {
+        case 1: { // 4D Lissajous
+            const f = cPath.frequencies;
+            return [f.x, f.y, f.z, f.w].map((freq, k) =>
+                center[k] + cPath.amplitude * Math.sin(freq * theta + k * Math.PI / 4));
+        }
+        case 2: { // Great circle through the center, turning towards the plane axes
+            const len = Math.hypot(...center);
+            const u = len > 1e-6 ? center.map(v => v / len) : [1, 0, 0, 0];
+            // Orthonormalize the plane axes against u and take the first usable one
+            let v = null;
+            for (const axis of [i, j, 0, 1, 2, 3]) {
+                const e = [0, 0, 0, 0];
+                e[axis] = 1;
+                const d = u[axis];
+                const w = e.map((val, k) => val - d * u[k]);
+                const wl = Math.hypot(...w);
+                if (wl > 1e-3) {
+                    v = w.map(val => val / wl);
+                    break;
+                }
+            }
+            const radius = len > 1e-6 ? len : cPath.amplitude;
+            return u.map((val, k) => radius * (Math.cos(theta) * val + Math.sin(theta) * v[k]));
+        }
+        case 3: { // Closed polyline through the waypoints
+            const points = cPath.waypoints;
+            if (points.length === 0) return center;
+            if (points.length === 1) return points[0].slice();
+            const s = (theta / (Math.PI * 2)) * points.length;
+            const segment = ((Math.floor(s) % points.length) + points.length) % points.length;
+            const t = s - Math.floor(s);
+            const a = points[segment];
+            const b = points[(segment + 1) % points.length];
+            return a.map((val, k) => val + (b[k] - val) * t);
+        }
+        default: { // Circle in the chosen plane
+            const c = center.slice();
+            c[i] += cPath.amplitude * Math.cos(theta);
+            c[j] += cPath.amplitude * Math.sin(theta);
+            return c;
+        }
+    }
+}
+
 // --- Quality Setting Functions ---
 
 /**
@@ -542,6 +1112,13 @@ function initializeUniforms() {
     try {
         // Update fractal parameter uniform
         updateFractalParamsUniform(fractalState.params);
+        updatePowerUniform(fractalState.power);
+        updateFractalModeUniforms(fractalState.mode, fractalState.z0);
+        updateAlgebraUniform(fractalState.algebra);
+        updateHybridUniforms(fractalState.hybrid);
+        updateEstimatorUniforms(fractalState.estimator);
+        updateSymmetryUniforms(fractalState.symmetry);
+        updateCsgUniforms(fractalState.csg);
         
         // Update quality settings uniforms
         updateQualityUniforms(qualitySettings);
@@ -561,8 +1138,25 @@ function initializeUniforms() {
         // Update physics-based color uniforms
         updatePhysicsColorUniforms(physicsColorSettings);
         
-        // Update slice uniform
+        // Update interior rendering uniforms
+        updateInteriorUniforms(interiorSettings);
+        
+        // Update light rig uniforms
+        updateLightUniforms(lightSettings);
+        updateEnvironmentUniforms(environmentSettings);
+        
+        // Update glow, fog and depth cueing uniforms
+        updateAtmosphereUniforms(atmosphereSettings);
+        
+        // Update background uniforms
+        updateBackgroundUniforms(backgroundSettings);
+        
+        // Update post-processing uniforms
+        updatePostFxUniforms(postFxSettings);
+        
+        // Update slice uniforms
         updateSliceUniform(fractalState.sliceValue);
+        updateSliceRotationUniform(fractalState.sliceRotation);
         
         // Update cross-section uniforms
         updateClipModeUniform(crossSectionSettings.clipMode);
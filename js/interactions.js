@@ -31,42 +31,261 @@ import { toggleTweakpaneVisibility } from './tweakpane-ui.js'; // Import Tweakpa
 let isCtrlPressed = false;
 let isMouseWheelPressed = false; // Track if the mouse wheel is being held down
 
+// --- Helper: Hypercomplex Arithmetic (mirrors amul/qpow in shaders.js) ---
+
+// Multiplies a*b in the selected algebra
+// (0: Hamilton, 1: bicomplex, 2: split-quaternion, 3: commutative/Hopf)
+function algebraMultiply(a, b, algebra) {
+    switch (algebra) {
+        case 1: // Bicomplex
+            return new THREE.Vector4(
+                a.x * b.x - a.y * b.y - a.z * b.z + a.w * b.w,
+                a.x * b.y + a.y * b.x - a.z * b.w - a.w * b.z,
+                a.x * b.z + a.z * b.x - a.y * b.w - a.w * b.y,
+                a.x * b.w + a.w * b.x + a.y * b.z + a.z * b.y
+            );
+        case 2: // Split-quaternion
+            return new THREE.Vector4(
+                a.x * b.x - a.y * b.y + a.z * b.z + a.w * b.w,
+                a.x * b.y + a.y * b.x - a.z * b.w + a.w * b.z,
+                a.x * b.z + a.z * b.x + a.w * b.y - a.y * b.w,
+                a.x * b.w + a.w * b.x + a.y * b.z - a.z * b.y
+            );
+        case 3: // Commutative (Hopf)
+            return new THREE.Vector4(
+                a.x * b.x - a.y * b.y + a.z * b.z - a.w * b.w,
+                a.x * b.y + a.y * b.x + a.z * b.w + a.w * b.z,
+                a.x * b.z + a.z * b.x - a.y * b.w - a.w * b.y,
+                a.x * b.w + a.w * b.x + a.y * b.z + a.z * b.y
+            );
+        default: // Hamilton quaternion
+            return new THREE.Vector4(
+                a.x * b.x - a.y * b.y - a.z * b.z - a.w * b.w,
+                a.x * b.y + a.y * b.x + a.z * b.w - a.w * b.z,
+                a.x * b.z + a.z * b.x + a.w * b.y - a.y * b.w,
+                a.x * b.w + a.w * b.x + a.y * b.z - a.z * b.y
+            );
+    }
+}
+
+// Exponent used by the iteration - non-Hamilton algebras round to an integer
+function effectivePower(power, algebra) {
+    return algebra === 0 ? power : Math.max(2, Math.min(8, Math.round(power)));
+}
+
+// z^n: repeated multiplication for integer n, polar form for fractional n (Hamilton only)
+function algebraPower(q, n, algebra) {
+    if (Number.isInteger(n)) {
+        let result = q.clone();
+        for (let i = 1; i < n; i++) {
+            result = algebraMultiply(result, q, algebra);
+        }
+        return result;
+    }
+    const r = q.length();
+    if (r < 1e-9) return new THREE.Vector4(0, 0, 0, 0);
+    const vlen = Math.hypot(q.y, q.z, q.w);
+    const theta = Math.atan2(vlen, q.x);
+    const s = vlen > 1e-9 ? Math.sin(n * theta) / vlen : 0.0;
+    const rn = Math.pow(r, n);
+    return new THREE.Vector4(rn * Math.cos(n * theta), rn * q.y * s, rn * q.z * s, rn * q.w * s);
+}
+
+// Hybrid transform B and its derivatives (mirrors hybridTransform/hybridDerivative in shaders.js)
+function applyHybridTransform(z, c, dr, dz, dc) {
+    const limit = uniforms.u_hybridFoldLimit.value;
+    const rotation = uniforms.u_hybridRotation.value;
+    const q = (a, b) => algebraMultiply(a, b, 0);
+
+    switch (uniforms.u_hybridTransform.value) {
+        case 1: { // Abs fold - reflects negative components
+            const flip = z.toArray().map(v => v < 0 ? -1 : 1);
+            dz = new THREE.Vector4().fromArray(dz.toArray().map((v, i) => v * flip[i]));
+            z = new THREE.Vector4().fromArray(z.toArray().map(Math.abs));
+            return { z, dr, dz };
+        }
+        case 2: // 4D rotation
+            return { z: z.clone().applyMatrix4(rotation), dr, dz: dz.clone().applyMatrix4(rotation) };
+        case 3: { // Box fold - reflects components beyond the limit
+            const flip = z.toArray().map(v => Math.abs(v) > limit ? -1 : 1);
+            dz = new THREE.Vector4().fromArray(dz.toArray().map((v, i) => v * flip[i]));
+            z = new THREE.Vector4().fromArray(z.toArray().map(v => Math.max(-limit, Math.min(limit, v)) * 2 - v));
+            return { z, dr, dz };
+        }
+        default: // Power-3 Hamilton quaternion
+            return {
+                z: q(q(z, z), z).add(c),
+                dr: 3 * z.lengthSq() * dr + dc.x,
+                dz: q(q(dz, z), z).add(q(q(z, dz), z)).add(q(q(z, z), dz)).add(dc)
+            };
+    }
+}
+
+// True when iteration i of the hybrid sequence uses transform B
+function isHybridStep(i) {
+    return uniforms.u_hybridEnabled.value &&
+        uniforms.u_hybridSequence.value[i % uniforms.u_hybridLength.value] === 1;
+}
+
+// Symmetry folds; dz receives the same reflections as z (mirrors symmetryFold in shaders.js)
+function applySymmetryFold(z, dz) {
+    z = z.clone();
+    dz = dz.clone();
+    const fold = (x, y, w, v) => {
+        const normal = new THREE.Vector4(x, y, w, v).normalize();
+        const side = z.dot(normal);
+        if (side < 0) {
+            z.addScaledVector(normal, -2 * side);
+            dz.addScaledVector(normal, -2 * dz.dot(normal));
+        }
+    };
+
+    const abs = uniforms.u_symmetryAbs.value;
+    if (abs.x > 0) fold(1, 0, 0, 0);
+    if (abs.y > 0) fold(0, 1, 0, 0);
+    if (abs.z > 0) fold(0, 0, 1, 0);
+    if (abs.w > 0) fold(0, 0, 0, 1);
+    const mirror = uniforms.u_symmetryMirror.value;
+    if (mirror.lengthSq() > 0) fold(mirror.x, mirror.y, mirror.z, mirror.w);
+
+    switch (uniforms.u_symmetryPolyhedral.value) {
+        case 1: // Tetrahedral: chamber x >= y >= z, y + z >= 0
+            for (let k = 0; k < 4; k++) {
+                fold(1, -1, 0, 0);
+                fold(0, 1, -1, 0);
+                fold(0, 1, 1, 0);
+            }
+            break;
+        case 2: // Octahedral: chamber x >= y >= z >= 0
+            fold(1, 0, 0, 0);
+            fold(0, 1, 0, 0);
+            fold(0, 0, 1, 0);
+            fold(1, -1, 0, 0);
+            fold(1, 0, -1, 0);
+            fold(0, 1, -1, 0);
+            break;
+        case 3: { // Icosahedral: mirrors x = 0, y = 0 and nc
+            const cospin = Math.cos(Math.PI / 5);
+            for (let k = 0; k < 5; k++) {
+                fold(1, 0, 0, 0);
+                fold(0, 1, 0, 0);
+                fold(-0.5, -cospin, Math.sqrt(0.75 - cospin * cospin), 0);
+            }
+            break;
+        }
+    }
+    return { z, dz };
+}
+
+// Orbit size measured with the selected escape norm (mirrors escapeNorm in shaders.js)
+function escapeNorm(z) {
+    switch (uniforms.u_escapeNorm.value) {
+        case 1: return Math.abs(z.x) + Math.abs(z.y) + Math.abs(z.z) + Math.abs(z.w);
+        case 2: return Math.max(Math.abs(z.x), Math.abs(z.y), Math.abs(z.z), Math.abs(z.w));
+        case 3: return Math.abs(z.getComponent(uniforms.u_escapeAxis.value));
+        default: return z.length();
+    }
+}
+
 // --- Helper: Simple Distance Estimator for Click Raycasting ---
-// (Adapted from original code, uses current uniforms/state)
-function estimateSimpleDistance(pos) {
+// (Mirrors quaternionJuliaDE/algebraJuliaDE in the shader with fewer iterations)
+// A CSG Julia object is passed as instance ({ c, offset }) and always iterates in Julia mode
+function estimateSimpleDistance(pos, instance = null) {
     // Use current slice value from fractalState
-    let z = new THREE.Vector4(pos.x, pos.y, pos.z, fractalState.sliceValue);
-    const c = uniforms.u_c.value; // Use current fractal params from uniforms
+    // and map it onto the rotated slicing hyperplane like the shader does
+    const local = instance ? pos.clone().sub(instance.offset) : pos;
+    let p = new THREE.Vector4(local.x, local.y, local.z, fractalState.sliceValue)
+        .applyMatrix4(uniforms.u_sliceRotation.value);
+    const symmetryStage = uniforms.u_symmetryStage.value;
+    if (symmetryStage >= 0) p = applySymmetryFold(p, new THREE.Vector4()).z;
+    // Julia mode: position seeds z; Mandelbrot mode: position seeds c, orbit starts at z0
+    const isMandelbrot = fractalState.mode === 1 && !instance;
+    let z = isMandelbrot ? fractalState.z0.clone() : p;
+    const c = isMandelbrot ? p : (instance ? instance.c : uniforms.u_c.value); // Use current fractal params from uniforms
+    const algebra = fractalState.algebra;
+    const n = effectivePower(fractalState.power, algebra);
+
+    // Hamilton quaternions keep a scalar running derivative, the other algebras
+    // track the full hypercomplex derivative like the shader does
+    let dr = isMandelbrot ? 0.0 : 1.0;
+    let dz = new THREE.Vector4(dr, 0, 0, 0);
+    const dc = new THREE.Vector4(isMandelbrot ? 1.0 : 0.0, 0, 0, 0);
 
     let r = 0.0;
+    let escaped = false;
     const maxIter = CONFIG.RAYMARCHING.SIMPLE_DISTANCE_MAX_ITER; // Fewer iterations for speed
 
     for (let i = 0; i < maxIter; i++) {
         r = z.length();
-        if (r > CONFIG.RAYMARCHING.ESCAPE_RADIUS) break;
-
-        // Simplified quaternion multiplication (qmul(z, z))
-        const zx = z.x, zy = z.y, zz = z.z, zw = z.w;
-        const x2 = zx * zx, y2 = zy * zy, z2 = zz * zz, w2 = zw * zw;
-        const xy = zx * zy, xz = zx * zz, xw = zx * zw;
-        const yz = zy * zz, yw = zy * zw, zw_ = zz * zw;
-
-        z.x = x2 - y2 - z2 - w2 + c.x;
-        z.y = 2.0 * xy + c.y; // Simplified - missing cross terms from full qmul
-        z.z = 2.0 * xz + c.z; // Simplified
-        z.w = 2.0 * xw + c.w; // Simplified
-        // Note: The original simple estimate was likely incorrect qmul.
-        // A full qmul is:
-        // z.x = zx*zx - zy*zy - zz*zz - zw*zw + c.x;
-        // z.y = 2.0*zx*zy + 2.0*zz*zw + c.y; // Corrected based on qmul definition
-        // z.z = 2.0*zx*zz - 2.0*zy*zw + c.z; // Corrected
-        // z.w = 2.0*zx*zw + 2.0*zy*zz + c.w; // Corrected
-        // Using the original simplified version for now to match behavior.
-    }
-
-    // Return a small distance if likely inside the set, or a fraction of radius otherwise
-    return r < CONFIG.RAYMARCHING.ESCAPE_RADIUS ? CONFIG.RAYMARCHING.DEFAULT_STEP_SIZE : 
-           Math.abs(CONFIG.RAYMARCHING.SHADOW_FACTOR * Math.log(Math.max(r, CONFIG.RAYMARCHING.MIN_STEP_SIZE)) * r / 1.0); // Simplified DE approximation
+        escaped = escapeNorm(z) > uniforms.u_bailout.value;
+        if (escaped) break;
+        if (symmetryStage === 1) ({ z, dz } = applySymmetryFold(z, dz));
+
+        if (isHybridStep(i)) {
+            ({ z, dr, dz } = applyHybridTransform(z, c, dr, dz, dc));
+        } else if (algebra === 0) {
+            dr = n * Math.pow(r, n - 1) * dr + dc.x;
+            z = algebraPower(z, n, algebra).add(c);
+        } else {
+            let w = z.clone();
+            let dw = dz.clone();
+            for (let k = 1; k < n; k++) {
+                dw = algebraMultiply(dw, z, algebra).add(algebraMultiply(w, dz, algebra));
+                w = algebraMultiply(w, z, algebra);
+            }
+            dz = dw.add(dc);
+            z = w.add(c);
+        }
+    }
+
+    // Orbits that never escape within the short iteration budget count as inside the set
+    if (!escaped) return 0.0;
+
+    // The potential-gradient estimator uses the logarithmic formula here, the
+    // short orbits are too coarse for finite differences
+    const derivative = algebra === 0 ? dr : Math.max(dz.length(), 1e-9);
+    const distance = uniforms.u_deMethod.value === 1
+        ? r / derivative
+        : 0.5 * Math.log(Math.max(r, CONFIG.RAYMARCHING.MIN_STEP_SIZE)) * r / derivative;
+    return uniforms.u_deFudge.value * Math.abs(distance);
+}
+
+// --- Helper: Scene Distance for Click Raycasting ---
+// (Mirrors sceneDE in the shader: the Julia set combined with the packed CSG uniforms)
+export function estimateSceneDistance(pos) {
+    let d = estimateSimpleDistance(pos);
+    for (let i = 0; i < uniforms.u_csgCount.value; i++) {
+        const center = uniforms.u_csgPosition.value[i];
+        const size = uniforms.u_csgSize.value[i];
+        const p = pos.clone().sub(center);
+        let objectDistance;
+        switch (uniforms.u_csgType.value[i]) {
+            case 0: // Sphere
+                objectDistance = p.length() - size.x;
+                break;
+            case 1: { // Box
+                const q = new THREE.Vector3(Math.abs(p.x), Math.abs(p.y), Math.abs(p.z)).sub(size);
+                objectDistance = q.clone().max(new THREE.Vector3()).length() + Math.min(Math.max(q.x, q.y, q.z), 0.0);
+                break;
+            }
+            case 2: // Plane
+                objectDistance = p.dot(size.clone().normalize());
+                break;
+            default: // Julia set with its own c
+                objectDistance = estimateSimpleDistance(pos, { c: uniforms.u_csgC.value[i], offset: center });
+        }
+        switch (uniforms.u_csgOperation.value[i]) {
+            case 0: d = Math.min(d, objectDistance); break;
+            case 1: d = Math.max(d, objectDistance); break;
+            case 2: d = Math.max(d, -objectDistance); break;
+            default: { // Smooth union
+                const k = Math.max(uniforms.u_csgSmoothness.value[i], 1e-4);
+                const h = Math.min(Math.max(0.5 + 0.5 * (objectDistance - d) / k, 0.0), 1.0);
+                d = objectDistance + (d - objectDistance) * h - k * h * (1.0 - h);
+            }
+        }
+    }
+    return d;
 }
 
 
@@ -400,8 +619,8 @@ function handleMouseClick(event) {
         return;
     }
 
-    // Normalized Device Coordinates
-    const x = (event.clientX / window.innerWidth) * 2 - 1;
+    // Normalized Device Coordinates, x scaled by the aspect ratio like the shader's uv
+    const x = ((event.clientX / window.innerWidth) * 2 - 1) * (window.innerWidth / window.innerHeight);
     const y = -(event.clientY / window.innerHeight) * 2 + 1;
 
     // Calculate ray direction from camera
@@ -428,7 +647,7 @@ function handleMouseClick(event) {
 
         for (let i = 0; i < steps; i++) {
             const pos = ro.clone().addScaledVector(rd, dist);
-            const d = estimateSimpleDistance(pos); // Use the helper
+            const d = estimateSceneDistance(pos); // Use the helper
 
             if (d < CONFIG.RAYMARCHING.HIT_THRESHOLD) { // Threshold for hit
                 hitPoint = pos;
@@ -441,6 +660,11 @@ function handleMouseClick(event) {
         // If no hit, target a point along the ray at a reasonable distance
         if (!hitPoint) {
             hitPoint = ro.clone().addScaledVector(rd, Math.min(2.0 * cameraState.radius, 5.0));
+        } else {
+            // Click-to-focus: the view turns toward the hit, so it ends up on the view
+            // axis and the focus plane distance equals the hit distance
+            cameraState.focusDistance = dist;
+            updateCameraState();
         }
 
         startTargetAnimation(hitPoint); // Start smooth transition
@@ -6,9 +6,9 @@
  */
 
 import * as THREE from './lib/three.module.min.js';
-import { scene, renderer, handleResize } from './scene.js';
-import { camera, setupInitialCamera, updateTargetAnimation, checkReturnToStart, updateCameraMovement } from './camera.js';
-import { fractalState, updateSlice } from './fractal.js';
+import { handleResize, renderFrame, adjustRenderScale } from './scene.js';
+import { setupInitialCamera, updateTargetAnimation, checkReturnToStart, updateCameraMovement } from './camera.js';
+import { fractalState, updateSlice, updateCPath } from './fractal.js';
 import { initInteractions } from './interactions.js';
 import { updateTimeUniform } from './shaders.js';
 import { initRecorder } from './recorder.js';
@@ -132,6 +132,9 @@ function animate() {
             // Reset counters
             frameCount = 0;
             lastFpsUpdateTime = elapsedTime;
+            
+            // Move the dynamic render scale toward the target frame rate
+            adjustRenderScale(currentFps);
         }
         
         // Update uniforms
@@ -139,6 +142,7 @@ function animate() {
         
         // Update application state
         updateSlice(delta);           // Pass delta time to slice animation
+        updateCPath(delta);           // Move c along its animated path
         updateTargetAnimation(delta);   // Update smooth camera transitions
         updateCameraMovement(delta);    // Update forward/backward movement
         checkReturnToStart();           // Check if camera needs to return
@@ -154,8 +158,8 @@ function animate() {
         // Update Tweakpane UI to keep it in sync with application state
         refreshUI();
 
-        // Render scene
-        renderer.render(scene, camera);
+        // Render scene (accumulates samples while the view is still)
+        renderFrame();
     } catch (error) {
         console.error("Error in animation loop:", error);
         // Continue animation despite error to prevent freezing
@@ -0,0 +1,279 @@
+/**
+ * Panorama Metadata Module
+ * Tags images and recordings of the panoramic projections so 360° viewers and
+ * video players recognize them: Photo Sphere XMP (GPano) in PNG and JPEG images,
+ * and the Matroska Projection (Spherical Video V2) and StereoMode elements in
+ * WebM recordings. Cubemap and domemaster images have no standard tag and
+ * other image formats no place for XMP that browsers write, so those are saved
+ * unchanged.
+ *
+ * @module panorama
+ */
+
+import { cameraState } from './camera.js';
+
+// Matroska element IDs (with their length marker bits)
+const EBML_ID = {
+    SEGMENT: 0x18538067,
+    TRACKS: 0x1654AE6B,
+    TRACK_ENTRY: 0xAE,
+    VIDEO: 0xE0,
+    STEREO_MODE: 0x53B8,
+    PROJECTION: 0x7670,
+    PROJECTION_TYPE: 0x7671,
+    PROJECTION_PRIVATE: 0x7672
+};
+
+// Matroska StereoMode values by cameraState.stereoMode
+const MATROSKA_STEREO_MODES = {
+    1: 10, // Anaglyph (cyan/red)
+    2: 1,  // Side by side, left eye first
+    3: 1,
+    4: 3,  // Top - bottom, left eye first
+    5: 11  // Side by side, right eye first
+};
+
+// The Tracks element sits in the first few hundred bytes of a recording
+const VIDEO_HEADER_BYTES = 64 * 1024;
+
+/**
+ * Captures the projection and stereo layout of the current view, for tagging a
+ * recording with the settings it started with
+ * @returns {{projection: number, stereoMode: number}} Layout of the rendered frames
+ */
+export function getPanoramaLayout() {
+    return {
+        projection: cameraState.projection,
+        stereoMode: cameraState.stereoMode
+    };
+}
+
+/**
+ * Adds Photo Sphere XMP to a mono equirectangular PNG or JPEG image
+ * @param {Blob} blob - Encoded image
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {{projection: number, stereoMode: number}} [layout] - Layout of the image
+ * @returns {Promise<Blob>} The tagged image, or the given one if it takes no tag
+ */
+export async function addImageMetadata(blob, width, height, layout = getPanoramaLayout()) {
+    if (layout.projection !== 1 || layout.stereoMode !== 0) return blob;
+
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const xmp = new TextEncoder().encode(createPhotoSphereXmp(width, height));
+    let tagged = null;
+    if (blob.type === 'image/png') {
+        tagged = insertPngXmp(bytes, xmp);
+    } else if (blob.type === 'image/jpeg') {
+        tagged = insertJpegXmp(bytes, xmp);
+    }
+    return tagged ? new Blob([tagged], { type: blob.type }) : blob;
+}
+
+/**
+ * Adds the projection and stereo layout to the video track of a WebM recording
+ * @param {Blob} blob - Recorded WebM video
+ * @param {{projection: number, stereoMode: number}} layout - Layout the recording started with
+ * @returns {Promise<Blob>} The tagged video, or the given one if it takes no tag
+ */
+export async function addVideoMetadata(blob, layout) {
+    const elements = [];
+    const stereoMode = MATROSKA_STEREO_MODES[layout.stereoMode];
+    if (stereoMode !== undefined) {
+        elements.push(ebmlElement(EBML_ID.STEREO_MODE, [stereoMode]));
+    }
+    if (layout.projection === 1) {
+        // An empty 'equi' box: version, flags and zero projection bounds (the full sphere)
+        elements.push(ebmlElement(EBML_ID.PROJECTION, concatBytes([
+            ebmlElement(EBML_ID.PROJECTION_TYPE, [1]),
+            ebmlElement(EBML_ID.PROJECTION_PRIVATE, new Uint8Array(20))
+        ])));
+    }
+    if (elements.length === 0) return blob;
+
+    const header = new Uint8Array(await blob.slice(0, VIDEO_HEADER_BYTES).arrayBuffer());
+    const tagged = insertIntoVideoElement(header, concatBytes(elements));
+    if (!tagged) {
+        console.warn("Could not add panorama metadata: unexpected WebM structure");
+        return blob;
+    }
+    return new Blob([tagged, blob.slice(VIDEO_HEADER_BYTES)], { type: blob.type });
+}
+
+// --- Images ---
+
+function createPhotoSphereXmp(width, height) {
+    const properties = {
+        UsePanoramaViewer: 'True',
+        ProjectionType: 'equirectangular',
+        FullPanoWidthPixels: width,
+        FullPanoHeightPixels: height,
+        CroppedAreaImageWidthPixels: width,
+        CroppedAreaImageHeightPixels: height,
+        CroppedAreaLeftPixels: 0,
+        CroppedAreaTopPixels: 0
+    };
+    const attributes = Object.entries(properties)
+        .map(([name, value]) => `GPano:${name}="${value}"`)
+        .join(' ');
+    return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>' +
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">' +
+        '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">' +
+        `<rdf:Description rdf:about="" xmlns:GPano="http://ns.google.com/photos/1.0/panorama/" ${attributes}/>` +
+        '</rdf:RDF></x:xmpmeta><?xpacket end="w"?>';
+}
+
+// XMP goes into an iTXt chunk right after IHDR
+function insertPngXmp(bytes, xmp) {
+    const IHDR_END = 8 + 4 + 4 + 13 + 4; // Signature, IHDR length, type, data and CRC
+    if (bytes.length < IHDR_END || bytes[12] !== 0x49 || bytes[15] !== 0x52) return null;
+
+    // Keyword, then no compression and empty language and translated keyword
+    const keyword = new TextEncoder().encode('XML:com.adobe.xmp');
+    const data = concatBytes([keyword, new Uint8Array([0, 0, 0, 0, 0]), xmp]);
+    const typeAndData = concatBytes([new TextEncoder().encode('iTXt'), data]);
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(typeAndData, 4);
+    view.setUint32(8 + data.length, crc32(typeAndData));
+
+    return concatBytes([bytes.subarray(0, IHDR_END), chunk, bytes.subarray(IHDR_END)]);
+}
+
+// XMP goes into an APP1 segment after SOI and the JFIF APP0 segment, if any
+function insertJpegXmp(bytes, xmp) {
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) return null;
+    let position = 2;
+    if (bytes[2] === 0xFF && bytes[3] === 0xE0) {
+        position += 2 + ((bytes[4] << 8) | bytes[5]);
+    }
+
+    const namespace = new TextEncoder().encode('http://ns.adobe.com/xap/1.0/\0');
+    const length = 2 + namespace.length + xmp.length;
+    if (length > 0xFFFF) return null;
+    const marker = new Uint8Array([0xFF, 0xE1, length >> 8, length & 0xFF]);
+
+    return concatBytes([bytes.subarray(0, position), marker, namespace, xmp, bytes.subarray(position)]);
+}
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// --- WebM ---
+
+// Appends payload to the Video element of the first video track and grows the sizes
+// of its parents. Returns null if the structure is not the expected one.
+function insertIntoVideoElement(bytes, payload) {
+    const parents = [];
+    let start = 0;
+    let end = bytes.length;
+    for (const id of [EBML_ID.SEGMENT, EBML_ID.TRACKS, EBML_ID.TRACK_ENTRY, EBML_ID.VIDEO]) {
+        let found = null;
+        for (let position = start; position < end && !found;) {
+            const element = readElementHeader(bytes, position);
+            if (!element) return null;
+            if (element.id === id) {
+                found = element;
+            } else if (element.size === null) {
+                return null; // Unknown size, cannot be skipped
+            } else {
+                position = element.dataStart + element.size;
+            }
+        }
+        if (!found) return null;
+        parents.push(found);
+        start = found.dataStart;
+        end = found.size === null ? bytes.length : Math.min(bytes.length, found.dataStart + found.size);
+    }
+
+    const video = parents[parents.length - 1];
+    const insertAt = video.dataStart + video.size;
+    if (insertAt > bytes.length) return null;
+
+    const result = concatBytes([bytes.subarray(0, insertAt), payload, bytes.subarray(insertAt)]);
+    // The size fields all precede the insertion, so their positions hold
+    for (const parent of parents) {
+        if (parent.size === null) continue; // Live recordings leave the Segment size open
+        if (!writeVint(result, parent.sizeStart, parent.sizeLength, parent.size + payload.length)) return null;
+    }
+    return result;
+}
+
+// Reads an element ID and size; size is null for the reserved "unknown" value
+function readElementHeader(bytes, position) {
+    const idLength = vintLength(bytes[position]);
+    if (!idLength || idLength > 4 || position + idLength >= bytes.length) return null;
+    let id = 0;
+    for (let i = 0; i < idLength; i++) {
+        id = id * 256 + bytes[position + i];
+    }
+
+    const sizeStart = position + idLength;
+    const sizeLength = vintLength(bytes[sizeStart]);
+    if (!sizeLength || sizeStart + sizeLength > bytes.length) return null;
+    let size = bytes[sizeStart] & (0xFF >> sizeLength);
+    let unknown = size === 0xFF >> sizeLength;
+    for (let i = 1; i < sizeLength; i++) {
+        size = size * 256 + bytes[sizeStart + i];
+        unknown = unknown && bytes[sizeStart + i] === 0xFF;
+    }
+
+    return { id, sizeStart, sizeLength, size: unknown ? null : size, dataStart: sizeStart + sizeLength };
+}
+
+// Number of bytes of a variable-length integer, from the position of its marker bit
+function vintLength(firstByte) {
+    for (let length = 1; length <= 8; length++) {
+        if (firstByte & (0x80 >> (length - 1))) return length;
+    }
+    return 0;
+}
+
+// Rewrites a size in place with its original length; false if it does not fit
+function writeVint(bytes, position, length, value) {
+    if (value >= Math.pow(2, 7 * length) - 1) return false;
+    for (let i = length - 1; i >= 0; i--) {
+        bytes[position + i] = value % 256;
+        value = Math.floor(value / 256);
+    }
+    bytes[position] |= 0x80 >> (length - 1);
+    return true;
+}
+
+function ebmlElement(id, data) {
+    const idBytes = [];
+    for (let value = id; value > 0; value = Math.floor(value / 256)) {
+        idBytes.unshift(value % 256);
+    }
+    // Payloads here are short: one-byte sizes up to 126, two-byte sizes beyond
+    const size = data.length < 127 ? [0x80 | data.length] : [0x40 | (data.length >> 8), data.length & 0xFF];
+    return concatBytes([new Uint8Array(idBytes), new Uint8Array(size), new Uint8Array(data)]);
+}
+
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
@@ -0,0 +1,184 @@
+/**
+ * Poster Export Module
+ * Renders images far larger than the canvas tile by tile, yielding to the browser
+ * between tiles, and stitches the tiles into a downloadable PNG
+ *
+ * @module poster
+ */
+
+import { renderTile, disposeTileTargets } from './scene.js';
+import { isPaused, togglePause } from './main.js';
+import { saveFractalState } from './screenshot.js';
+import { addImageMetadata } from './panorama.js';
+import { CONFIG } from './config.js';
+
+/**
+ * Poster export settings and progress
+ * @type {Object}
+ */
+export const posterState = {
+    /** Output width in pixels */
+    width: CONFIG.SCREENSHOT.POSTER.DEFAULT_WIDTH,
+    /** Output height in pixels */
+    height: CONFIG.SCREENSHOT.POSTER.DEFAULT_HEIGHT,
+    /** Edge length of the rendered tiles in pixels */
+    tileSize: CONFIG.SCREENSHOT.POSTER.DEFAULT_TILE_SIZE,
+    /** Samples per pixel along each axis (1: off, 2: 4 samples, ...) */
+    supersampling: 1,
+    /** True while a poster is being rendered */
+    rendering: false,
+    /** Completed fraction from 0 to 1 */
+    progress: 0,
+    /** Human-readable status */
+    status: 'Idle'
+};
+
+// Set by cancelPoster, checked between tiles
+let cancelRequested = false;
+
+/**
+ * Renders the current view as a poster of posterState.width x posterState.height
+ * and downloads it as PNG (plus the fractal state JSON, like screenshots).
+ * The animation is paused while rendering so all tiles show the same frame.
+ * @param {function(number): void} [onProgress] - Called with the completed fraction after each tile
+ * @returns {Promise<boolean>} True if the poster was saved, false if cancelled or failed
+ */
+export async function renderPoster(onProgress = () => {}) {
+    if (posterState.rendering) return false;
+
+    const { width, height, tileSize } = posterState;
+    const supersampling = Math.max(1, Math.round(posterState.supersampling));
+
+    // The stitched image lives in one 2D canvas; browsers cap its size
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    if (!ctx || canvas.width !== width || canvas.height !== height) {
+        posterState.status = `${width}×${height} exceeds the browser canvas limit`;
+        console.error("Poster export failed:", posterState.status);
+        return false;
+    }
+
+    const wasPaused = isPaused();
+    if (!wasPaused) togglePause();
+
+    posterState.rendering = true;
+    posterState.progress = 0;
+    cancelRequested = false;
+
+    const columns = Math.ceil(width / tileSize);
+    const rows = Math.ceil(height / tileSize);
+    const total = columns * rows;
+
+    try {
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                // Let the browser breathe so the GPU watchdog does not reset the context
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (cancelRequested) {
+                    posterState.status = 'Cancelled';
+                    console.log("Poster export cancelled");
+                    return false;
+                }
+
+                const x = column * tileSize;
+                const top = row * tileSize;
+                const tileWidth = Math.min(tileSize, width - x);
+                const tileHeight = Math.min(tileSize, height - top);
+
+                // Tiles are placed top-down in the image, GL counts rows bottom-up
+                const pixels = renderTile({
+                    x,
+                    y: height - top - tileHeight,
+                    size: tileSize,
+                    imageWidth: width,
+                    imageHeight: height,
+                    supersampling
+                });
+                ctx.putImageData(flipTile(pixels, tileSize, tileWidth, tileHeight), x, top);
+
+                const done = row * columns + column + 1;
+                posterState.progress = done / total;
+                posterState.status = `Tile ${done}/${total}`;
+                onProgress(posterState.progress);
+            }
+        }
+
+        posterState.status = 'Encoding PNG...';
+        const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        if (!png) {
+            throw new Error("PNG encoding failed");
+        }
+        const blob = await addImageMetadata(png, width, height);
+
+        const baseFilename = `qjf_poster_${width}x${height}_${formatTimestamp(new Date())}`;
+        downloadBlob(blob, `${baseFilename}.png`);
+        await saveFractalState(baseFilename);
+
+        posterState.status = `Saved ${width}×${height}`;
+        console.log(`Poster saved: ${baseFilename}.png`);
+        return true;
+    } catch (error) {
+        posterState.status = 'Failed';
+        console.error("Error rendering poster:", error);
+        return false;
+    } finally {
+        disposeTileTargets();
+        posterState.rendering = false;
+        if (!wasPaused) togglePause();
+    }
+}
+
+/**
+ * Stops a running poster export after the current tile
+ */
+export function cancelPoster() {
+    if (posterState.rendering) {
+        cancelRequested = true;
+    }
+}
+
+// Copies the used part of a bottom-up tile into top-down ImageData
+function flipTile(pixels, tileSize, width, height) {
+    const image = new ImageData(width, height);
+    for (let row = 0; row < height; row++) {
+        const source = row * tileSize * 4;
+        image.data.set(pixels.subarray(source, source + width * 4), (height - 1 - row) * width * 4);
+    }
+    unpremultiplyAlpha(image.data);
+    return image;
+}
+
+// The renderer works with premultiplied alpha, ImageData is straight alpha
+// (only pixels of a transparent background are affected)
+function unpremultiplyAlpha(data) {
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3];
+        if (alpha === 255 || alpha === 0) continue;
+        const scale = 255 / alpha;
+        data[i] = Math.min(255, Math.round(data[i] * scale));
+        data[i + 1] = Math.min(255, Math.round(data[i + 1] * scale));
+        data[i + 2] = Math.min(255, Math.round(data[i + 2] * scale));
+    }
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+
+    setTimeout(() => {
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }, 100);
+}
+
+function formatTimestamp(now) {
+    const pad = value => value.toString().padStart(2, '0');
+    return `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}_${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+}
@@ -0,0 +1,336 @@
+/**
+ * Post-Processing Module
+ * Turns the HDR image of the fractal pass (a float render target) into the final
+ * picture: chromatic aberration, bloom, exposure, tone mapping, vignette, gamma
+ * and film grain, in that order
+ *
+ * @module postfx
+ */
+
+import * as THREE from './lib/three.module.min.js';
+import { vertexShader } from './shaders.js';
+import { CONFIG } from './config.js';
+
+/**
+ * Uniforms of the final post-processing pass
+ * @type {Object}
+ */
+export const postUniforms = {
+    u_image:               { value: null },
+    u_bloom:               { value: null },
+    u_bloomIntensity:      { value: 0.0 },   // 0: no bloom
+    u_exposure:            { value: 1.0 },   // Linear multiplier (2^EV)
+    u_toneMapping:         { value: 0 },     // 0: none (clip), 1: Reinhard, 2: Filmic, 3: ACES
+    u_gamma:               { value: 1.0 },   // Output is raised to 1/gamma
+    u_vignette:            { value: 0.0 },   // Corner darkening, 0..1
+    u_grain:               { value: 0.0 },   // Film grain amplitude
+    u_chromaticAberration: { value: 0.0 },   // Radial channel shift as a fraction of the image size
+    u_time:                { value: 0.0 },   // Animates the grain
+    u_view:                { value: new THREE.Vector4(0, 0, 1, 1) }, // Offset and size of the full image in pixels
+    u_regionSize:          { value: new THREE.Vector2(1, 1) } // Pixels of the full image that u_image spans
+};
+
+/**
+ * Updates the post-processing uniforms
+ * @param {Object} postFx - postFxSettings (fractal.js)
+ */
+export function updatePostFxUniforms(postFx) {
+    postUniforms.u_bloomIntensity.value = postFx.bloomIntensity;
+    postUniforms.u_exposure.value = Math.pow(2, postFx.exposure);
+    postUniforms.u_toneMapping.value = postFx.toneMapping;
+    postUniforms.u_gamma.value = Math.max(postFx.gamma, 0.01);
+    postUniforms.u_vignette.value = postFx.vignette;
+    postUniforms.u_grain.value = postFx.grain;
+    postUniforms.u_chromaticAberration.value = postFx.chromaticAberration;
+    bloomSettings.threshold = postFx.bloomThreshold;
+    bloomSettings.radius = postFx.bloomRadius;
+}
+
+/**
+ * Tiling of a large image for the effects that read neighboring pixels: each tile is
+ * rendered with a margin as wide as the bloom's reach and the largest aberration
+ * shift (cropped when stitching), and with bloom its region starts on the grid of
+ * the smallest bloom level, so every tile blooms exactly like the whole image
+ * @param {Object} postFx - postFxSettings (fractal.js)
+ * @param {number} width - Width of the full image in pixels
+ * @param {number} height - Height of the full image in pixels
+ * @returns {{margin: number, grid: number}} Margin in pixels and region alignment
+ */
+export function getTileLayout(postFx, width, height) {
+    if (!isPostFxActive(postFx)) return { margin: 0, grid: 1 };
+    let margin = 0;
+    let grid = 1;
+    if (postFx.bloomIntensity > 0) {
+        margin = BLOOM_REACH;
+        grid = BLOOM_GRID;
+    }
+    if (postFx.chromaticAberration > 0) {
+        // |fromCenter| is at most 0.5 along each axis, plus the bilinear footprint
+        margin = Math.max(margin, Math.ceil(0.5 * postFx.chromaticAberration * Math.max(width, height)) + 2);
+    }
+    return { margin, grid };
+}
+
+/**
+ * @param {Object} postFx - postFxSettings (fractal.js)
+ * @returns {boolean} True if any effect changes the image (otherwise the pass is skipped)
+ */
+export function isPostFxActive(postFx) {
+    return postFx.exposure !== 0 || postFx.toneMapping !== 0 || postFx.gamma !== 1 ||
+        postFx.bloomIntensity > 0 || postFx.vignette > 0 || postFx.grain > 0 ||
+        postFx.chromaticAberration > 0;
+}
+
+const postFragmentShader = `
+  uniform sampler2D u_image;
+  uniform sampler2D u_bloom;
+  uniform float u_bloomIntensity;
+  uniform float u_exposure;
+  uniform int   u_toneMapping;
+  uniform float u_gamma;
+  uniform float u_vignette;
+  uniform float u_grain;
+  uniform float u_chromaticAberration;
+  uniform float u_time;
+  uniform vec4  u_view;
+  uniform vec2  u_regionSize;
+  varying vec2 vUv;
+
+  // Narkowicz's fit of the ACES reference rendering transform
+  vec3 toneMapACES(vec3 x) {
+      return clamp((x * (2.51 * x + 0.03)) / (x * (2.43 * x + 0.59) + 0.14), 0.0, 1.0);
+  }
+
+  // Hable's filmic curve (Uncharted 2), white point 11.2
+  vec3 hable(vec3 x) {
+      return ((x * (0.15 * x + 0.05) + 0.004) / (x * (0.15 * x + 0.5) + 0.06)) - 0.02 / 0.3;
+  }
+
+  vec3 toneMapFilmic(vec3 x) {
+      return hable(2.0 * x) / hable(vec3(11.2));
+  }
+
+  void main() {
+      // Position in the full image, also for tiles of a poster
+      vec2 pixel = gl_FragCoord.xy + u_view.xy;
+      vec2 fromCenter = pixel / u_view.zw - 0.5;
+
+      vec4 image = texture2D(u_image, vUv);
+      vec3 col = image.rgb;
+      if (u_chromaticAberration > 0.0) {
+          // Red and blue are scaled away from and toward the center; the shift is a
+          // fraction of the full image in pixels, converted to the region u_image spans
+          vec2 shift = fromCenter * u_chromaticAberration * u_view.zw / u_regionSize;
+          col.r = texture2D(u_image, vUv + shift).r;
+          col.b = texture2D(u_image, vUv - shift).b;
+      }
+      if (u_bloomIntensity > 0.0) {
+          col += texture2D(u_bloom, vUv).rgb * u_bloomIntensity;
+      }
+
+      col *= u_exposure;
+      if (u_toneMapping == 1) {
+          col = col / (1.0 + col);
+      } else if (u_toneMapping == 2) {
+          col = toneMapFilmic(col);
+      } else if (u_toneMapping == 3) {
+          col = toneMapACES(col);
+      }
+
+      col *= 1.0 - u_vignette * smoothstep(0.3, 0.75, length(fromCenter));
+      col = pow(max(col, 0.0), vec3(1.0 / u_gamma));
+
+      if (u_grain > 0.0) {
+          vec2 seed = pixel + fract(u_time) * vec2(113.7, 271.3);
+          float noise = fract(sin(dot(seed, vec2(12.9898, 78.233))) * 43758.5453) - 0.5;
+          col += noise * u_grain;
+      }
+
+      gl_FragColor = vec4(col, image.a);
+  }
+`;
+
+// --- Bloom ---
+// The bright parts of the image are downsampled through a chain of half-size
+// targets and added back up the chain with a tent filter, which spreads them
+// over a wide radius at little cost.
+
+const bloomSettings = {
+    threshold: 1.0,
+    radius: 0.6
+};
+
+// Texel size of the smallest bloom level in image pixels
+const BLOOM_GRID = 1 << CONFIG.POST_FX.BLOOM_LEVELS;
+// How far the chain spreads light: the filters of each level read about two of its
+// texels on either side, on the way down and up
+const BLOOM_REACH = 8 * BLOOM_GRID;
+
+const bloomDownsampleShader = `
+  uniform sampler2D u_source;
+  uniform vec2 u_texelSize;  // Of the source
+  uniform float u_threshold; // < 0: no threshold (later levels)
+  varying vec2 vUv;
+
+  void main() {
+      // 4x4 box as four bilinear taps
+      vec3 col = 0.25 * (
+          texture2D(u_source, vUv + u_texelSize * vec2(-1.0, -1.0)).rgb +
+          texture2D(u_source, vUv + u_texelSize * vec2( 1.0, -1.0)).rgb +
+          texture2D(u_source, vUv + u_texelSize * vec2(-1.0,  1.0)).rgb +
+          texture2D(u_source, vUv + u_texelSize * vec2( 1.0,  1.0)).rgb);
+      if (u_threshold >= 0.0) {
+          float brightness = max(col.r, max(col.g, col.b));
+          col *= max(brightness - u_threshold, 0.0) / max(brightness, 1e-4);
+      }
+      gl_FragColor = vec4(col, 1.0);
+  }
+`;
+
+const bloomUpsampleShader = `
+  uniform sampler2D u_source;
+  uniform vec2 u_texelSize;  // Of the source
+  uniform float u_weight;
+  varying vec2 vUv;
+
+  void main() {
+      // 3x3 tent filter
+      vec3 col = 4.0 * texture2D(u_source, vUv).rgb;
+      col += 2.0 * (
+          texture2D(u_source, vUv + u_texelSize * vec2(-1.0, 0.0)).rgb +
+          texture2D(u_source, vUv + u_texelSize * vec2( 1.0, 0.0)).rgb +
+          texture2D(u_source, vUv + u_texelSize * vec2(0.0, -1.0)).rgb +
+          texture2D(u_source, vUv + u_texelSize * vec2(0.0,  1.0)).rgb);
+      col += (
+          texture2D(u_source, vUv + u_texelSize * vec2(-1.0, -1.0)).rgb +
+          texture2D(u_source, vUv + u_texelSize * vec2( 1.0, -1.0)).rgb +
+          texture2D(u_source, vUv + u_texelSize * vec2(-1.0,  1.0)).rgb +
+          texture2D(u_source, vUv + u_texelSize * vec2( 1.0,  1.0)).rgb);
+      gl_FragColor = vec4(col / 16.0 * u_weight, 1.0);
+  }
+`;
+
+const postMaterial = createPassMaterial(postFragmentShader, postUniforms);
+const downsampleMaterial = createPassMaterial(bloomDownsampleShader, {
+    u_source: { value: null },
+    u_texelSize: { value: new THREE.Vector2() },
+    u_threshold: { value: -1.0 }
+});
+const upsampleMaterial = createPassMaterial(bloomUpsampleShader, {
+    u_source: { value: null },
+    u_texelSize: { value: new THREE.Vector2() },
+    u_weight: { value: 1.0 }
+});
+upsampleMaterial.blending = THREE.AdditiveBlending;
+
+const passScene = new THREE.Scene();
+const passQuad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), postMaterial);
+passScene.add(passQuad);
+const passCamera = new THREE.Camera();
+
+// Bloom chain, level 0 at half the source size
+let bloomTargets = [];
+
+/**
+ * Draws an HDR image through the post-processing chain
+ * @param {THREE.WebGLRenderer} renderer - Renderer to draw with
+ * @param {THREE.Texture} texture - HDR image (the fractal pass)
+ * @param {THREE.WebGLRenderTarget|null} target - Output target, null for the canvas
+ * @param {Object} view - Where the image lies in the full picture
+ * @param {number} view.x - Left edge in pixels (tiles of a poster)
+ * @param {number} view.y - Bottom edge in pixels
+ * @param {number} view.width - Width of the full picture in pixels
+ * @param {number} view.height - Height of the full picture in pixels
+ * @param {boolean} [view.tile=false] - The texture is a region of the picture at one
+ *        texel per pixel (a poster tile with its margin, see getTileLayout) rather than
+ *        the whole picture at any resolution
+ * @param {number} time - Seconds, animates the grain
+ */
+export function renderPostFx(renderer, texture, target, view, time) {
+    const bloom = postUniforms.u_bloomIntensity.value > 0;
+    if (bloom) {
+        renderBloom(renderer, texture);
+    }
+
+    const region = view.tile ? texture.image : view;
+    postUniforms.u_image.value = texture;
+    postUniforms.u_bloom.value = bloom ? bloomTargets[0].texture : null;
+    postUniforms.u_time.value = time;
+    postUniforms.u_view.value.set(view.x, view.y, view.width, view.height);
+    postUniforms.u_regionSize.value.set(region.width, region.height);
+
+    renderPass(renderer, postMaterial, target);
+}
+
+/**
+ * Frees the bloom targets
+ */
+export function disposePostFx() {
+    bloomTargets.forEach(target => target.dispose());
+    bloomTargets = [];
+}
+
+function renderBloom(renderer, texture) {
+    const { width, height } = texture.image;
+    ensureBloomTargets(width, height);
+
+    // Down the chain; the first level keeps only what is above the threshold
+    let source = texture;
+    bloomTargets.forEach((target, level) => {
+        downsampleMaterial.uniforms.u_source.value = source;
+        downsampleMaterial.uniforms.u_texelSize.value.set(1 / source.image.width, 1 / source.image.height);
+        downsampleMaterial.uniforms.u_threshold.value = level === 0 ? bloomSettings.threshold : -1.0;
+        renderPass(renderer, downsampleMaterial, target);
+        source = target.texture;
+    });
+
+    // Back up, adding each level to the next larger one; the radius weights the wide levels
+    const autoClear = renderer.autoClear;
+    renderer.autoClear = false;
+    for (let level = bloomTargets.length - 1; level > 0; level--) {
+        const source = bloomTargets[level].texture;
+        upsampleMaterial.uniforms.u_source.value = source;
+        upsampleMaterial.uniforms.u_texelSize.value.set(1 / source.image.width, 1 / source.image.height);
+        upsampleMaterial.uniforms.u_weight.value = bloomSettings.radius;
+        renderPass(renderer, upsampleMaterial, bloomTargets[level - 1]);
+    }
+    renderer.autoClear = autoClear;
+}
+
+function ensureBloomTargets(width, height) {
+    const baseWidth = Math.max(1, width >> 1);
+    const baseHeight = Math.max(1, height >> 1);
+    if (bloomTargets.length && bloomTargets[0].width === baseWidth && bloomTargets[0].height === baseHeight) {
+        return;
+    }
+    disposePostFx();
+    for (let level = 0; level < CONFIG.POST_FX.BLOOM_LEVELS; level++) {
+        bloomTargets.push(new THREE.WebGLRenderTarget(
+            Math.max(1, baseWidth >> level),
+            Math.max(1, baseHeight >> level),
+            {
+                type: THREE.HalfFloatType,
+                minFilter: THREE.LinearFilter,
+                magFilter: THREE.LinearFilter,
+                depthBuffer: false
+            }
+        ));
+    }
+}
+
+function renderPass(renderer, material, target) {
+    passQuad.material = material;
+    renderer.setRenderTarget(target);
+    renderer.render(passScene, passCamera);
+    renderer.setRenderTarget(null);
+}
+
+function createPassMaterial(fragmentShader, uniforms) {
+    return new THREE.ShaderMaterial({
+        uniforms,
+        vertexShader,
+        fragmentShader,
+        depthTest: false,
+        depthWrite: false
+    });
+}
@@ -1,6 +1,7 @@
 import { renderer } from './scene.js';
 import { camera, cameraState } from './camera.js';
 import { forceStatsUpdateFor } from './main.js'; // Import for forcing stats updates
+import { getPanoramaLayout, addVideoMetadata } from './panorama.js'; // Spherical and stereo tags
 import { CONFIG } from './config.js'; // Import configuration values
 
 // --- Recording State ---
@@ -12,6 +13,7 @@ let recordingIndicator = null;
 let originalCanvasSize = null;
 let originalCameraState = null;
 let currentQuality = 'NORMAL'; // 'NORMAL', 'HIGH', 'ULTRA'
+let recordingLayout = null; // Projection and stereo layout the recording started with
 
 // --- Initialize Recording UI ---
 export function initRecorder() {
@@ -43,6 +45,7 @@ export function startRecording() {
     try {
         // Save original camera state and canvas properties
         saveOriginalState();
+        recordingLayout = getPanoramaLayout();
         
         // Try to get the canvas stream at specified FPS
         const stream = renderer.domElement.captureStream(CONFIG.RECORDER.FPS);
@@ -342,14 +345,14 @@ function handleDataAvailable(event) {
     }
 }
 
-function handleRecordingStopped() {
+async function handleRecordingStopped() {
     if (recordedChunks.length === 0) {
         console.warn('No data recorded.');
         return;
     }
     
-    // Create blob from the recorded chunks
-    const blob = new Blob(recordedChunks, { type: 'video/webm' });
+    // Create blob from the recorded chunks, tagged for 360° and 3D players
+    const blob = await addVideoMetadata(new Blob(recordedChunks, { type: 'video/webm' }), recordingLayout);
     
     // Create a timestamp for the filename
     const now = new Date();
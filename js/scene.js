@@ -1,12 +1,27 @@
 import * as THREE from './lib/three.module.min.js';
-import { uniforms, vertexShader, fragmentShader, updateResolutionUniform } from './shaders.js';
-import { camera } from './camera.js'; // Only need the camera object for the renderer
+import {
+    uniforms,
+    vertexShader,
+    fragmentShader,
+    updateResolutionUniform,
+    updateJitterUniform,
+    updateTileOffsetUniform,
+    updateLensSampleUniform,
+    updateSampleIndexUniform
+} from './shaders.js';
+import { camera, getPanoramaAspect } from './camera.js'; // The camera object for the renderer, panorama canvas aspect
+import { qualitySettings, postFxSettings } from './fractal.js';
+import { renderPostFx, isPostFxActive, getTileLayout } from './postfx.js';
+import { CONFIG } from './config.js';
 
 // --- Scene Setup ---
 export const scene = new THREE.Scene();
 
 // --- Renderer Setup ---
-export const renderer = new THREE.WebGLRenderer({ antialias: true });
+// The canvas keeps its alpha channel (transparent background) and its content after
+// compositing, so screenshots taken after an await still read the rendered image
+export const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+renderer.setClearColor(0x000000, 0);
 renderer.setSize(window.innerWidth, window.innerHeight);
 document.body.appendChild(renderer.domElement);
 
@@ -20,15 +35,469 @@ const material = new THREE.ShaderMaterial({
 const quad = new THREE.Mesh(geometry, material);
 scene.add(quad);
 
+// Last fragment shader that compiled and linked successfully
+let lastWorkingShader = { source: fragmentShader, defines: {}, timeDependent: false };
+
+// --- Shader Recompilation ---
+
+/**
+ * Replaces the fragment shader of the fullscreen quad and compiles it right away.
+ * If the new shader fails to compile, the last working shader is restored.
+ * @param {{source: string, defines: Object}} shader - Fragment source and material defines
+ * @returns {{ok: boolean, errors: Array<{line: number, message: string}>}} Compile result;
+ *          error lines are 1-based and relative to the given source
+ */
+export function setFragmentShader(shader) {
+    applyFragmentShader(shader);
+
+    // Keep Three.js from dumping the whole shader source to the console
+    const previousHandler = renderer.debug.onShaderError;
+    renderer.debug.onShaderError = () => {};
+    renderer.render(scene, camera); // Forces compilation and the error check
+    renderer.debug.onShaderError = previousHandler;
+
+    const program = renderer.properties.get(material).currentProgram;
+    const diagnostics = program && program.diagnostics;
+    if (!diagnostics || diagnostics.runnable) {
+        lastWorkingShader = { source: shader.source, defines: { ...shader.defines }, timeDependent: !!shader.timeDependent };
+        resetAccumulation();
+        return { ok: true, errors: [] };
+    }
+
+    // Three.js puts "#version 300 es" and its own prefix in front of our source
+    const prefixLines = ('#version 300 es\n' + diagnostics.fragmentShader.prefix).split('\n').length - 1;
+    const errors = parseShaderLog(diagnostics.fragmentShader.log || diagnostics.programLog, prefixLines);
+
+    applyFragmentShader(lastWorkingShader);
+    return { ok: false, errors };
+}
+
+function applyFragmentShader(shader) {
+    material.fragmentShader = shader.source;
+    material.defines = { ...shader.defines };
+    material.needsUpdate = true;
+}
+
+// Extracts "ERROR: 0:<line>: <message>" entries from a compiler log
+function parseShaderLog(log, prefixLines) {
+    const errors = [];
+    (log || '').split('\n').forEach(entry => {
+        const match = entry.match(/ERROR:\s*\d+:(\d+):\s*(.*)/);
+        if (match) {
+            errors.push({ line: parseInt(match[1], 10) - prefixLines, message: match[2].trim() });
+        } else if (entry.trim()) {
+            errors.push({ line: 0, message: entry.trim() });
+        }
+    });
+    return errors;
+}
+
+// --- Progressive Refinement ---
+// While nothing changes, every frame renders one more sub-pixel-jittered sample and
+// blends it into a float render target as a running average, so the still image
+// converges to an antialiased result. The target is then drawn to the canvas.
+
+const accumulation = {
+    target: null,
+    samples: 0,
+    signature: [] // Flattened uniform values of the accumulated image
+};
+
+// --- Dynamic Resolution ---
+// Frames of a changing view are rendered at a fraction of the drawing buffer size
+// and upscaled; the fraction follows the measured FPS (see adjustRenderScale).
+// Still views accumulate at full resolution.
+
+const scaled = {
+    target: null,
+    scale: 1.0,
+    scaledFrames: 0 // Frames rendered at the render scale since the last adjustment
+};
+
+// Draws a render target to the canvas (nearest for accumulation, linear for upscaling)
+// when no post-processing effect is active
+const displayMaterial = new THREE.ShaderMaterial({
+    uniforms: { u_image: { value: null } },
+    vertexShader,
+    fragmentShader: `
+      uniform sampler2D u_image;
+      varying vec2 vUv;
+      void main() {
+        gl_FragColor = texture2D(u_image, vUv);
+      }
+    `,
+    depthTest: false,
+    depthWrite: false
+});
+const displayScene = new THREE.Scene();
+const drawingBufferSize = new THREE.Vector2();
+displayScene.add(new THREE.Mesh(geometry, displayMaterial));
+
+/**
+ * Discards the accumulated samples; the next frame starts a new image
+ */
+export function resetAccumulation() {
+    accumulation.samples = 0;
+}
+
+/**
+ * @returns {number} Number of samples in the displayed image (0 when refinement is inactive)
+ */
+export function getAccumulatedSamples() {
+    return accumulation.samples;
+}
+
+/**
+ * @returns {number} Current internal render scale of changing views (1: full resolution)
+ */
+export function getRenderScale() {
+    return qualitySettings.dynamicResolution ? scaled.scale : 1.0;
+}
+
+/**
+ * Moves the render scale toward the target frame rate. Called once per FPS
+ * measurement; intervals without scaled frames (still views) are ignored.
+ * @param {number} fps - Frames per second measured over the last interval
+ */
+export function adjustRenderScale(fps) {
+    const { minRenderScale, maxRenderScale, targetFps } = qualitySettings;
+    const frames = scaled.scaledFrames;
+    scaled.scaledFrames = 0;
+
+    if (!qualitySettings.dynamicResolution) {
+        scaled.scale = 1.0;
+        return;
+    }
+    if (frames === 0 || fps <= 0) {
+        scaled.scale = clampScale(scaled.scale, minRenderScale, maxRenderScale);
+        return;
+    }
+
+    // Frame time grows with the pixel count, i.e. with scale squared. Move halfway to
+    // the estimate and ignore small deviations so the scale does not oscillate.
+    const ratio = fps / targetFps;
+    if (Math.abs(ratio - 1) > CONFIG.SHADER.DYNAMIC_RESOLUTION.TOLERANCE) {
+        const estimate = scaled.scale * Math.sqrt(ratio);
+        scaled.scale = (scaled.scale + estimate) / 2;
+    }
+    scaled.scale = clampScale(scaled.scale, minRenderScale, maxRenderScale);
+}
+
+// Clamps to the limits and snaps to the scale step, so targets are not recreated for tiny changes
+function clampScale(scale, minScale, maxScale) {
+    const step = CONFIG.SHADER.DYNAMIC_RESOLUTION.STEP;
+    const snapped = Math.round(scale / step) * step;
+    return Math.min(Math.max(snapped, minScale), Math.max(minScale, maxScale));
+}
+
+/**
+ * @returns {boolean} True if the path-traced render mode is selected
+ */
+export function isPathTracing() {
+    return qualitySettings.renderMode === 1;
+}
+
+/**
+ * @returns {number} Sample count at which a still view stops accumulating
+ */
+export function getMaxAccumulatedSamples() {
+    // Half float averages stop changing long before the path-tracing limit
+    if (!isPathTracing() || accumulationType() === THREE.HalfFloatType) {
+        return CONFIG.SHADER.ACCUMULATION_MAX_SAMPLES;
+    }
+    return CONFIG.SHADER.PATH_TRACING.MAX_SAMPLES;
+}
+
+/**
+ * Renders one frame to the canvas. With progressive refinement enabled (always in
+ * path-traced mode) and a still view, adds a jittered sample to the accumulated image
+ * and presents the average; otherwise renders the scene directly, at the dynamic
+ * render scale.
+ */
+export function renderFrame() {
+    updateCanvasBackground();
+    const animated = lastWorkingShader.timeDependent || uniforms.u_colorAnimEnabled.value;
+    const accumulate = qualitySettings.progressiveRefinement || isPathTracing();
+    const still = accumulate && !animated && matchesSignature();
+    if (!still) {
+        accumulation.samples = 0;
+        renderScaled();
+        return;
+    }
+
+    const target = ensureAccumulationTarget();
+    if (accumulation.samples < getMaxAccumulatedSamples()) {
+        const n = accumulation.samples;
+        // The first sample is unjittered so a reset frame looks like a normal render
+        updateJitterUniform(n === 0 ? 0 : halton(n, 2) - 0.5, n === 0 ? 0 : halton(n, 3) - 0.5);
+        updateLensSampleUniform(halton(n + 1, 5), halton(n + 1, 7)); // Depth of field
+        updateSampleIndexUniform(n); // Path tracing
+        renderAveragedSample(target, n);
+        updateJitterUniform(0, 0);
+        updateLensSampleUniform(0, 0);
+        updateSampleIndexUniform(0);
+        accumulation.samples = n + 1;
+    }
+
+    presentImage(target.texture);
+}
+
+// Shows a checkerboard behind the canvas while the background is transparent
+function updateCanvasBackground() {
+    const transparent = uniforms.u_backgroundMode.value === 5 && !(uniforms.u_envEnabled.value && uniforms.u_envBackground.value);
+    renderer.domElement.classList.toggle('transparent-background', transparent);
+}
+
+// Draws an HDR image to the canvas, through the post-processing chain if any effect is on
+function presentImage(texture) {
+    if (isPostFxActive(postFxSettings)) {
+        const size = renderer.getDrawingBufferSize(drawingBufferSize);
+        renderPostFx(renderer, texture, null, { x: 0, y: 0, width: size.x, height: size.y }, uniforms.u_time.value);
+        return;
+    }
+    displayMaterial.uniforms.u_image.value = texture;
+    renderer.render(displayScene, camera);
+}
+
+// Blends one render of the scene into target as sample n of a running average:
+// new = old * (1 - 1/(n+1)) + sample / (n+1)
+function renderAveragedSample(target, n) {
+    material.blending = THREE.CustomBlending;
+    material.blendSrc = material.blendSrcAlpha = THREE.ConstantAlphaFactor;
+    material.blendDst = material.blendDstAlpha = THREE.OneMinusConstantAlphaFactor;
+    material.blendAlpha = 1 / (n + 1);
+
+    const autoClear = renderer.autoClear;
+    renderer.autoClear = false; // The blend reads the previous average
+    renderer.setRenderTarget(target);
+    renderer.render(scene, camera);
+    renderer.setRenderTarget(null);
+    renderer.autoClear = autoClear;
+
+    material.blending = THREE.NormalBlending;
+}
+
+// --- Tiled Offscreen Rendering ---
+// Large images are rendered tile by tile: u_resolution holds the full image size and
+// u_tileOffset moves gl_FragCoord to the tile's position in the image.
+
+const tiles = {
+    samples: null, // Float target the supersamples of a tile are averaged in
+    output: null   // 8-bit target the averaged tile is read back from
+};
+
+/**
+ * Renders one tile of a large image and reads it back.
+ * @param {Object} tile - Tile to render
+ * @param {number} tile.x - Left edge in image pixels
+ * @param {number} tile.y - Bottom edge in image pixels (GL convention)
+ * @param {number} tile.size - Edge length of the square tile in pixels
+ * @param {number} tile.imageWidth - Width of the whole image in pixels
+ * @param {number} tile.imageHeight - Height of the whole image in pixels
+ * @param {number} [tile.supersampling=1] - Samples per pixel along each axis
+ * @returns {Uint8Array} RGBA pixels of the tile, bottom row first
+ */
+export function renderTile({ x, y, size, imageWidth, imageHeight, supersampling = 1 }) {
+    // Post-processing that reads neighboring pixels needs the tile rendered with a
+    // margin (a larger, aligned region); only the tile itself is read back
+    const { margin, grid } = getTileLayout(postFxSettings, imageWidth, imageHeight);
+    const regionX = Math.floor((x - margin) / grid) * grid;
+    const regionY = Math.floor((y - margin) / grid) * grid;
+    const regionSize = Math.ceil((size + 2 * margin + grid - 1) / grid) * grid;
+    ensureTileTargets(regionSize);
+
+    const resolution = uniforms.u_resolution.value;
+    const fullWidth = resolution.x;
+    const fullHeight = resolution.y;
+    updateResolutionUniform(imageWidth, imageHeight);
+    updateTileOffsetUniform(regionX, regionY);
+
+    // Stratified supersampling: one sample at the center of each sub-pixel cell,
+    // repeated with different lens positions and paths when depth of field or
+    // path tracing is on
+    let passes = uniforms.u_aperture.value > 0 ? CONFIG.SHADER.DOF_TILE_LENS_PASSES : 1;
+    if (isPathTracing()) {
+        passes = Math.max(passes, Math.ceil(CONFIG.SHADER.PATH_TRACING.TILE_SAMPLES / (supersampling * supersampling)));
+    }
+    let n = 0;
+    for (let pass = 0; pass < passes; pass++) {
+        for (let sy = 0; sy < supersampling; sy++) {
+            for (let sx = 0; sx < supersampling; sx++) {
+                updateJitterUniform((sx + 0.5) / supersampling - 0.5, (sy + 0.5) / supersampling - 0.5);
+                updateLensSampleUniform(halton(n + 1, 5), halton(n + 1, 7));
+                updateSampleIndexUniform(n);
+                renderAveragedSample(tiles.samples, n++);
+            }
+        }
+    }
+
+    updateJitterUniform(0, 0);
+    updateLensSampleUniform(0, 0);
+    updateSampleIndexUniform(0);
+    updateTileOffsetUniform(0, 0);
+    updateResolutionUniform(fullWidth, fullHeight);
+
+    // Resolve the float average to 8 bits, post-processed at the tile's place in the image
+    if (isPostFxActive(postFxSettings)) {
+        const view = { x: regionX, y: regionY, width: imageWidth, height: imageHeight, tile: true };
+        renderPostFx(renderer, tiles.samples.texture, tiles.output, view, uniforms.u_time.value);
+    } else {
+        displayMaterial.uniforms.u_image.value = tiles.samples.texture;
+        renderer.setRenderTarget(tiles.output);
+        renderer.render(displayScene, camera);
+        renderer.setRenderTarget(null);
+    }
+
+    const pixels = new Uint8Array(size * size * 4);
+    renderer.readRenderTargetPixels(tiles.output, x - regionX, y - regionY, size, size, pixels);
+    return pixels;
+}
+
+/**
+ * Frees the tile render targets after a tiled render
+ */
+export function disposeTileTargets() {
+    if (tiles.samples) tiles.samples.dispose();
+    if (tiles.output) tiles.output.dispose();
+    tiles.samples = null;
+    tiles.output = null;
+}
+
+function ensureTileTargets(size) {
+    if (tiles.samples && tiles.samples.width === size) {
+        return;
+    }
+    disposeTileTargets();
+    const options = {
+        format: THREE.RGBAFormat,
+        minFilter: THREE.NearestFilter,
+        magFilter: THREE.NearestFilter,
+        depthBuffer: false
+    };
+    tiles.samples = new THREE.WebGLRenderTarget(size, size, { ...options, type: accumulationType() });
+    tiles.output = new THREE.WebGLRenderTarget(size, size, { ...options, type: THREE.UnsignedByteType });
+}
+
+// Renders the scene directly, or into a (smaller) float target that is upscaled to
+// the canvas; post-processing always needs the target
+function renderScaled() {
+    scaled.scaledFrames++;
+    const scale = getRenderScale();
+    if (scale >= 1.0 && !isPostFxActive(postFxSettings)) {
+        renderer.render(scene, camera);
+        return;
+    }
+
+    const size = renderer.getDrawingBufferSize(drawingBufferSize);
+    const width = Math.max(1, Math.round(size.x * scale));
+    const height = Math.max(1, Math.round(size.y * scale));
+    if (!scaled.target) {
+        scaled.target = new THREE.WebGLRenderTarget(width, height, {
+            type: THREE.HalfFloatType,
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            depthBuffer: false
+        });
+    } else if (scaled.target.width !== width || scaled.target.height !== height) {
+        scaled.target.setSize(width, height);
+    }
+
+    // The shader maps gl_FragCoord through u_resolution, so it has to match the target
+    const resolution = uniforms.u_resolution.value;
+    const fullWidth = resolution.x;
+    const fullHeight = resolution.y;
+    updateResolutionUniform(width, height);
+    renderer.setRenderTarget(scaled.target);
+    renderer.render(scene, camera);
+    renderer.setRenderTarget(null);
+    updateResolutionUniform(fullWidth, fullHeight);
+
+    presentImage(scaled.target.texture);
+}
+
+// (Re)creates the accumulation target at the drawing buffer size
+function ensureAccumulationTarget() {
+    const size = renderer.getDrawingBufferSize(drawingBufferSize);
+    const target = accumulation.target;
+    if (target && target.width === size.x && target.height === size.y) {
+        return target;
+    }
+    if (target) {
+        target.dispose();
+    }
+    accumulation.target = new THREE.WebGLRenderTarget(size.x, size.y, {
+        type: accumulationType(),
+        format: THREE.RGBAFormat,
+        minFilter: THREE.NearestFilter,
+        magFilter: THREE.NearestFilter,
+        depthBuffer: false
+    });
+    accumulation.samples = 0;
+    return accumulation.target;
+}
+
+// Blending into 32-bit float targets needs EXT_float_blend; half floats always blend
+function accumulationType() {
+    return renderer.extensions.has('EXT_float_blend') ? THREE.FloatType : THREE.HalfFloatType;
+}
+
+// Compares all uniforms except time and the per-sample offsets with the accumulated image's values
+// and stores the current ones. Returns false when anything changed.
+function matchesSignature() {
+    const values = [];
+    for (const name in uniforms) {
+        if (name !== 'u_time' && name !== 'u_jitter' && name !== 'u_lensSample' && name !== 'u_sampleIndex') {
+            flattenUniformValue(uniforms[name].value, values);
+        }
+    }
+
+    const previous = accumulation.signature;
+    accumulation.signature = values;
+    return values.length === previous.length && values.every((value, i) => value === previous[i]);
+}
+
+function flattenUniformValue(value, out) {
+    if (Array.isArray(value)) {
+        value.forEach(item => flattenUniformValue(item, out));
+    } else if (value && typeof value.toArray === 'function') {
+        out.push(...value.toArray());
+    } else {
+        out.push(value); // Numbers, booleans and textures (compared by reference)
+    }
+}
+
+// Radical inverse of index in the given base, a low-discrepancy sequence in [0, 1)
+function halton(index, base) {
+    let result = 0;
+    let fraction = 1 / base;
+    while (index > 0) {
+        result += (index % base) * fraction;
+        index = Math.floor(index / base);
+        fraction /= base;
+    }
+    return result;
+}
+
 // --- Resize Handling ---
 export function handleResize() {
-    const width = window.innerWidth;
-    const height = window.innerHeight;
+    let width = window.innerWidth;
+    let height = window.innerHeight;
+
+    // Panoramic projections get the largest canvas of their aspect, centered in the
+    // window, so screenshots and recordings come out at panorama proportions
+    const panoramaAspect = getPanoramaAspect();
+    if (panoramaAspect) {
+        width = Math.min(width, Math.floor(height * panoramaAspect));
+        height = Math.min(height, Math.floor(width / panoramaAspect));
+    }
+    renderer.domElement.style.marginLeft = `${Math.floor((window.innerWidth - width) / 2)}px`;
+    renderer.domElement.style.marginTop = `${Math.floor((window.innerHeight - height) / 2)}px`;
 
     renderer.setSize(width, height);
     // Camera aspect ratio update is handled implicitly by the shader's use of u_resolution
     // No need to update camera.aspect or camera.updateProjectionMatrix() for a shader-based fullscreen quad.
     updateResolutionUniform(width, height); // Update the shader uniform directly
+    resetAccumulation();
 }
 
 // Initial setup for resolution uniform
@@ -1,6 +1,8 @@
-import { renderer, scene } from './scene.js';
-import { fractalState, qualitySettings, colorSettings, crossSectionSettings } from './fractal.js';
-import { camera, cameraState } from './camera.js';
+import { renderer, renderFrame, isPathTracing, getAccumulatedSamples, getMaxAccumulatedSamples } from './scene.js';
+import { isPaused, togglePause } from './main.js';
+import { fractalState, qualitySettings, colorSettings, crossSectionSettings, lightSettings, atmosphereSettings, postFxSettings } from './fractal.js';
+import { cameraState } from './camera.js';
+import { addImageMetadata } from './panorama.js';
 import { CONFIG } from './config.js';
 
 // Function to get fractal state (similar to registerTourPoint from tourRecording.js)
@@ -13,9 +15,44 @@ export function getFractalState() {
                 fractalState.params.z,
                 fractalState.params.w
             ],
+            power: fractalState.power,
+            mode: fractalState.mode,
+            algebra: fractalState.algebra,
+            customFormula: fractalState.customFormula,
+            hybrid: {
+                enabled: fractalState.hybrid.enabled,
+                sequence: fractalState.hybrid.sequence,
+                transform: fractalState.hybrid.transform,
+                foldLimit: fractalState.hybrid.foldLimit,
+                rotation: [
+                    fractalState.hybrid.rotation.xw,
+                    fractalState.hybrid.rotation.yw,
+                    fractalState.hybrid.rotation.zw
+                ]
+            },
+            symmetry: {
+                enabled: fractalState.symmetry.enabled,
+                stage: fractalState.symmetry.stage,
+                polyhedral: fractalState.symmetry.polyhedral,
+                absFold: ['x', 'y', 'z', 'w'].map(axis => fractalState.symmetry.absFold[axis]),
+                mirror: fractalState.symmetry.mirror,
+                mirrorNormal: ['x', 'y', 'z', 'w'].map(axis => fractalState.symmetry.mirrorNormal[axis])
+            },
+            z0: [
+                fractalState.z0.x,
+                fractalState.z0.y,
+                fractalState.z0.z,
+                fractalState.z0.w
+            ],
             sliceValue: fractalState.sliceValue,
             sliceAmplitude: fractalState.sliceAmplitude,
-            sliceAnimated: fractalState.animateSlice
+            sliceAnimated: fractalState.animateSlice,
+            sliceRotation: [
+                fractalState.sliceRotation.xw,
+                fractalState.sliceRotation.yw,
+                fractalState.sliceRotation.zw
+            ],
+            sliceRotationAnimated: fractalState.animateSliceRotation
         },
         camera: {
             position: [
@@ -28,6 +65,16 @@ export function getFractalState() {
                 yaw: cameraState.yaw
             },
             focalLength: cameraState.focalLength,
+            aperture: cameraState.aperture,
+            focusDistance: cameraState.focusDistance,
+            bokehBlades: cameraState.bokehBlades,
+            stereoMode: cameraState.stereoMode,
+            stereoAuto: cameraState.stereoAuto,
+            interocular: cameraState.interocular,
+            convergence: cameraState.convergence,
+            projection: cameraState.projection,
+            domeFov: cameraState.domeFov,
+            domeTilt: cameraState.domeTilt,
             animationEnabled: cameraState.animationEnabled,
             decelerationEnabled: cameraState.decelerationEnabled
         },
@@ -38,12 +85,31 @@ export function getFractalState() {
             smoothColor: qualitySettings.enableSmoothColor,
             specular: qualitySettings.enableSpecular,
             adaptiveRM: qualitySettings.enableAdaptiveSteps,
+            analyticNormals: qualitySettings.analyticNormals,
             colorPalette: colorSettings.paletteIndex
         },
         crossSection: {
             mode: crossSectionSettings.clipMode,
             distance: crossSectionSettings.clipDistance
         },
+        lighting: {
+            ambient: lightSettings.ambient,
+            lights: lightSettings.lights.map(light => ({
+                enabled: light.enabled,
+                type: light.type,
+                direction: [light.direction.x, light.direction.y],
+                position: [light.position.x, light.position.y, light.position.z],
+                color: light.color,
+                intensity: light.intensity,
+                shadows: light.shadows
+            }))
+        },
+        atmosphere: {
+            glow: { ...atmosphereSettings.glow },
+            fog: { ...atmosphereSettings.fog },
+            depthCue: { ...atmosphereSettings.depthCue }
+        },
+        postFx: { ...postFxSettings },
         timestamp: new Date().toISOString(),
         application: "Quaternion Julia Fractals Viewer"
     };
@@ -142,7 +208,7 @@ function restoreUIAfterScreenshot() {
 }
 
 // Save fractal state to JSON file
-async function saveFractalState(baseFilename) {
+export async function saveFractalState(baseFilename) {
     if (!CONFIG.SCREENSHOT.SAVE_STATE) return;
     
     try {
@@ -178,6 +244,30 @@ async function saveFractalState(baseFilename) {
 
 // Function removesd - UI screenshots are not supported
 
+// Path-traced views are accumulated up to SCREENSHOT_SAMPLES paths per pixel before
+// the capture. The animation is paused so the view stays still; the returned function
+// resumes it and must only be called after the canvas was copied, since resuming
+// renders a new frame right away.
+async function convergePathTracing() {
+    if (!isPathTracing()) return () => {};
+
+    const wasPaused = isPaused();
+    if (!wasPaused) togglePause();
+    const resumeAnimation = () => {
+        if (!wasPaused && isPaused()) togglePause();
+    };
+
+    const samples = Math.min(CONFIG.SHADER.PATH_TRACING.SCREENSHOT_SAMPLES, getMaxAccumulatedSamples());
+    // Bounded, since time-dependent shaders never accumulate
+    for (let frame = 0; frame <= samples && getAccumulatedSamples() < samples; frame++) {
+        renderFrame();
+        // Let the browser breathe so the GPU watchdog does not reset the context
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    console.log(`Path tracing converged to ${getAccumulatedSamples()} samples for the screenshot`);
+    return resumeAnimation;
+}
+
 // Main function for taking a screenshot
 export async function takeScreenshot(includeUI = false) {
     if (!renderer || !renderer.domElement) {
@@ -185,17 +275,12 @@ export async function takeScreenshot(includeUI = false) {
         return false;
     }
     
+    let resumeAnimation = () => {};
     try {
-        // Save current preserveDrawingBuffer setting
-        const originalPreserveDrawingBuffer = renderer.preserveDrawingBuffer;
-        
-        // Enable preserveDrawingBuffer to allow proper WebGL screenshots
-        renderer.preserveDrawingBuffer = true;
-        
-        // Force scene redraw before screenshot
-        if (scene) {
-            renderer.render(scene, camera);
-        }
+        // The renderer is created with preserveDrawingBuffer and alpha (scene.js), so the
+        // canvas still holds the frame, including a transparent background, when it is copied.
+        // Force scene redraw before screenshot (keeps accumulated samples of a still view)
+        renderFrame();
         
         let screenshotData;
         
@@ -210,9 +295,8 @@ export async function takeScreenshot(includeUI = false) {
             await new Promise(resolve => setTimeout(resolve, 100));
             
             // Force scene redraw again before screenshot
-            if (scene) {
-                renderer.render(scene, camera);
-            }
+            renderFrame();
+            resumeAnimation = await convergePathTracing();
             
             // Canvas dimensions
             const canvas = renderer.domElement;
@@ -225,6 +309,7 @@ export async function takeScreenshot(includeUI = false) {
             
             // Copy WebGL canvas content to 2D canvas
             ctx.drawImage(canvas, 0, 0);
+            resumeAnimation();
             
             screenshotData = tempCanvas;
         }
@@ -250,8 +335,12 @@ export async function takeScreenshot(includeUI = false) {
         // Get image data (using 2D canvas, which always works correctly with toDataURL)
         const dataURL = screenshotData.toDataURL(formatConfig.mime, options);
         
-        // Restore original preserveDrawingBuffer setting
-        renderer.preserveDrawingBuffer = originalPreserveDrawingBuffer;
+        // Equirectangular panoramas are tagged for 360° viewers
+        let href = dataURL;
+        if (cameraState.projection === 1) {
+            const blob = await (await fetch(dataURL)).blob();
+            href = URL.createObjectURL(await addImageMetadata(blob, screenshotData.width, screenshotData.height));
+        }
         
         // Generate filename with timestamp
         const now = new Date();
@@ -261,7 +350,7 @@ export async function takeScreenshot(includeUI = false) {
         
         // Create download link
         const link = document.createElement('a');
-        link.href = dataURL;
+        link.href = href;
         link.download = filename;
         link.style.display = 'none';
         document.body.appendChild(link);
@@ -284,6 +373,8 @@ export async function takeScreenshot(includeUI = false) {
         console.error("Error taking screenshot:", error);
         return false;
     } finally {
+        resumeAnimation();
+        
         // Always restore UI if it was hidden
         if (!includeUI) {
             restoreUIAfterScreenshot();
@@ -9,16 +9,115 @@ export function getRotationMatrix(euler) {
   return m3;
 }
 
+/**
+ * Builds the 4x4 rotation that orients the 3D slicing hyperplane in 4D space.
+ * Rotations are applied in the XW, then YW, then ZW plane.
+ * @param {Object} rotation - Angles in radians: { xw, yw, zw }
+ * @returns {THREE.Matrix4} Rotation matrix
+ */
+export function getSliceRotationMatrix(rotation) {
+  const planeRotation = (i, angle) => {
+    // Rotation mixing axis i with the w axis (index 3)
+    const m = new THREE.Matrix4();
+    const c = Math.cos(angle), s = Math.sin(angle);
+    const e = m.elements; // column-major
+    e[i * 4 + i] = c;
+    e[3 * 4 + 3] = c;
+    e[3 * 4 + i] = -s; // row i, column w
+    e[i * 4 + 3] = s;  // row w, column i
+    return m;
+  };
+  return planeRotation(2, rotation.zw)
+    .multiply(planeRotation(1, rotation.yw))
+    .multiply(planeRotation(0, rotation.xw));
+}
+
+// Length of the u_hybridSequence array in the shader
+export const HYBRID_MAX_STEPS = 8;
+
+// Length of the u_csg* arrays in the shader
+export const CSG_MAX_OBJECTS = 4;
+
+// Length of the u_light* arrays in the shader
+export const LIGHT_MAX_COUNT = 4;
+
 // Uniforms - Central management
 export const uniforms = {
   u_time:             { value: 0.0 },
   u_resolution:       { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
+  u_jitter:           { value: new THREE.Vector2() }, // Sub-pixel offset of the progressive refinement sample
+  u_tileOffset:       { value: new THREE.Vector2() }, // Pixel position of the rendered tile in a tiled image
   u_c:                { value: new THREE.Vector4(-0.2, 0.6, 0.2, 0.2) }, // Initial fractal params
+  u_power:            { value: 2.0 },   // Iteration exponent n in z^n + c
+  u_fractalMode:      { value: 0 },     // 0: Julia (position seeds z), 1: Mandelbrot (position seeds c)
+  u_algebra:          { value: 0 },     // 0: Hamilton, 1: bicomplex, 2: split-quaternion, 3: commutative (Hopf)
+  u_hybridEnabled:    { value: false }, // Alternate the iteration rule following u_hybridSequence
+  u_hybridSequence:   { value: [0, 0, 1, 0, 0, 0, 0, 0] }, // Per-step rule: 0 = A (z^n + c), 1 = B (hybrid transform)
+  u_hybridLength:     { value: 3 },     // Number of used entries in u_hybridSequence
+  u_hybridTransform:  { value: 0 },     // B: 0 power-3 quaternion, 1 abs fold, 2 4D rotation, 3 box fold
+  u_hybridFoldLimit:  { value: 1.0 },   // Box fold limit
+  u_hybridRotation:   { value: new THREE.Matrix4() }, // Rotation used by the 4D rotation transform
+  u_symmetryStage:    { value: -1 },    // -1: off, 0: fold the starting point, 1: also fold before every iteration
+  u_symmetryAbs:      { value: new THREE.Vector4() }, // 1 for abs-folded components
+  u_symmetryMirror:   { value: new THREE.Vector4() }, // Unit normal of the mirror hyperplane (zero: no mirror)
+  u_symmetryPolyhedral: { value: 0 },   // Kaleidoscope: 0 none, 1 tetrahedral, 2 octahedral, 3 icosahedral
+  u_z0:               { value: new THREE.Vector4(0.0, 0.0, 0.0, 0.0) }, // Orbit start in Mandelbrot mode
+  u_bailout:          { value: 4.0 },   // Escape radius of the orbit
+  u_escapeNorm:       { value: 0 },     // 0: Euclidean, 1: L1, 2: L-infinity, 3: single axis
+  u_escapeAxis:       { value: 0 },     // Component tested by the single-axis norm (0-3: x, y, z, w)
+  u_deMethod:         { value: 0 },     // 0: logarithmic, 1: linear, 2: potential gradient
+  u_deFudge:          { value: 1.0 },   // Scale applied to the Julia distance estimate
   u_slice:            { value: 0.0 },
+  u_sliceRotation:    { value: new THREE.Matrix4() }, // Orientation of the slicing hyperplane in 4D
   u_camPos:           { value: new THREE.Vector3() }, // Will be updated by camera.js
   u_camRot:           { value: new THREE.Matrix3() }, // Will be updated by camera.js
   u_colorEnabled:     { value: false }, // Initial value
   u_focalLength:      { value: 1.5 },   // Initial value
+  u_aperture:         { value: 0.0 },   // Thin-lens aperture radius in world units (0: pinhole, no depth of field)
+  u_focusDistance:    { value: 2.0 },   // Distance of the sharp plane along the view axis
+  u_bokehBlades:      { value: 0 },     // Aperture shape: 0 circle, 3+ polygon with that many blades
+  u_lensSample:       { value: new THREE.Vector2() }, // Per-sample offset of the lens position sequence
+  u_stereoMode:       { value: 0 },     // 0: mono, 1: anaglyph, 2: side-by-side, 3: half side-by-side, 4: over-under, 5: cross-eye
+  u_stereoSeparation: { value: 0.1 },   // Interocular distance in world units
+  u_stereoConvergence: { value: 3.0 },  // Zero-parallax distance along the view axis
+  u_projection:       { value: 0 },     // 0: perspective, 1: equirectangular, 2: cubemap (3x2 faces), 3: domemaster
+  u_domeFov:          { value: Math.PI }, // Domemaster field of view in radians
+  u_domeTilt:         { value: 0.0 },   // Domemaster zenith elevation above the view axis in radians
+
+  u_ambient:          { value: 0.2 },   // Ambient light added to every surface
+  u_lightCount:       { value: 1 },     // Number of used entries in the u_light* arrays
+  u_lightType:        { value: [1, 0, 0, 0] }, // 0: directional, 1: point, 2: headlight, 3: camera-relative directional
+  u_lightVector:      { value: [new THREE.Vector3(10, 10, 10), new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()] }, // Position (point) or direction toward the light
+  u_lightColor:       { value: [new THREE.Vector3(1, 1, 1), new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()] }, // Color times intensity
+  u_lightShadows:     { value: [1, 1, 1, 1] }, // 1: the light casts shadows (when shadows are enabled)
+  u_envEnabled:       { value: false }, // Image-based lighting from a loaded environment map
+  u_envMap:           { value: null },  // Equirectangular radiance with a prefiltered mip chain
+  u_envMaxLod:        { value: 0.0 },   // Index of the last mip level
+  u_envSH:            { value: Array.from({ length: 9 }, () => new THREE.Vector3()) }, // Irradiance / pi, order-2 spherical harmonics
+  u_envIntensity:     { value: 1.0 },   // Radiance multiplier
+  u_envRotation:      { value: 0.0 },   // Yaw of the environment in radians
+  u_envBackground:    { value: true },  // Show the environment where rays miss
+  u_envBackgroundBlur: { value: 0.0 },  // Background mip level as a fraction of u_envMaxLod
+  u_envReflectivity:  { value: 0.04 },  // Reflectance at normal incidence (Fresnel F0)
+  u_envReflectionBlur: { value: 0.3 },  // Reflection mip level as a fraction of u_envMaxLod
+
+  u_backgroundMode:   { value: 0 },     // 0: solid, 1: vertical gradient, 2: radial gradient, 3: starfield, 4: nebula, 5: transparent
+  u_backgroundColor:  { value: new THREE.Vector3(0, 0, 0) },       // Solid color, gradient top/center, nebula base
+  u_backgroundColor2: { value: new THREE.Vector3(0.1, 0.16, 0.29) }, // Gradient bottom/edge, nebula clouds
+  u_starDensity:      { value: 0.5 },   // Fraction of the possible stars that are shown
+  u_starBrightness:   { value: 1.0 },
+
+  u_glowIntensity:    { value: 0.0 },   // Glow strength (0: off)
+  u_glowColor:        { value: new THREE.Vector3(0.4, 0.67, 1.0) },
+  u_glowRadius:       { value: 0.05 },  // Closest-approach distance at which the glow falls to 1/e
+  u_fogDensity:       { value: 0.0 },   // Extinction per unit distance at the fog height (0: off)
+  u_fogColor:         { value: new THREE.Vector3(0.53, 0.6, 0.67) },
+  u_fogHeightFalloff: { value: 0.0 },   // Exponential density falloff with height (0: uniform fog)
+  u_fogHeight:        { value: 0.0 },   // Height (y) where the fog has its nominal density
+  u_depthCueIntensity: { value: 0.0 },  // Strength of the depth color ramp (0: off)
+  u_depthCueNear:     { value: new THREE.Vector3(1.0, 1.0, 1.0) }, // Surface tint at the start distance
+  u_depthCueFar:      { value: new THREE.Vector3(0.25, 0.38, 0.63) }, // Surface tint at the end distance
+  u_depthCueRange:    { value: new THREE.Vector2(1.0, 8.0) }, // Start and end distance of the ramp
 
   u_maxIter:          { value: 100 },     // Initial value
   u_enableShadows:    { value: false },   // Initial value
@@ -27,6 +126,12 @@ export const uniforms = {
   u_enableSpecular:   { value: false },   // Initial value
   u_paletteIndex:     { value: 0 },       // Initial value
   u_adaptiveSteps:    { value: false },   // Initial value for adaptive ray marching
+  u_analyticNormals:  { value: false },   // Normals from the orbit Jacobian instead of finite differences
+  u_debugView:        { value: 0 },       // 0: shaded, 1: march steps, 2: final DE, 3: iterations at hit, 4: stop reason
+  u_pathTracing:      { value: false },   // Monte Carlo global illumination instead of direct lighting
+  u_pathBounces:      { value: 3 },       // Indirect bounces per path
+  u_pathSkyIntensity: { value: 1.0 },     // Sky radiance multiplier of path-traced rays that escape
+  u_sampleIndex:      { value: 0 },       // Accumulation sample number, seeds the path random numbers
   u_clipMode:         { value: 0 },       // Cross section mode (0: off, 1: method 1, 2: method 2)
   u_clipDistance:     { value: 3.5 },     // Distance of clipping plane from camera
   
@@ -46,7 +151,22 @@ export const uniforms = {
   // Physics-based coloring
   u_physicsBasedColor:{ value: false },   // Enable physics-based coloring
   u_physicsColorType: { value: 0 },       // Type (0: diffraction, 1: interference, 2: spectrum)
-  u_physicsParams:    { value: new THREE.Vector4(1.0, 5.0, 1.0, 0.5) } // Physics parameters
+  u_physicsParams:    { value: new THREE.Vector4(1.0, 5.0, 1.0, 0.5) }, // Physics parameters
+  
+  // Interior (bounded orbit) rendering
+  u_interiorMode:     { value: 0 },       // 0: off, 1: final |z|, 2: period, 3: average angle, 4: atom domain
+  u_interiorVolume:   { value: false },   // Render the interior as a translucent volume
+  u_interiorDensity:  { value: 4.0 },     // Volume opacity per unit length
+  u_interiorDepth:    { value: 1.0 },     // How far the volume is integrated along the ray
+
+  // CSG scene: objects combined with the Julia set, packed into the first u_csgCount slots
+  u_csgCount:         { value: 0 },
+  u_csgType:          { value: [0, 0, 0, 0] },   // 0: sphere, 1: box, 2: plane, 3: Julia set
+  u_csgOperation:     { value: [0, 0, 0, 0] },   // 0: union, 1: intersection, 2: subtraction, 3: smooth union
+  u_csgPosition:      { value: Array.from({ length: 4 }, () => new THREE.Vector3()) },
+  u_csgSize:          { value: Array.from({ length: 4 }, () => new THREE.Vector3(1.0, 1.0, 1.0)) }, // Radius (x), half extents or plane normal
+  u_csgC:             { value: Array.from({ length: 4 }, () => new THREE.Vector4()) }, // c of Julia objects
+  u_csgSmoothness:    { value: [0.1, 0.1, 0.1, 0.1] } // Blend radius of the smooth union
 };
 
 // Expose uniforms globally for potential debugging or compatibility needs
@@ -62,10 +182,124 @@ export function updateFractalParamsUniform(paramsVec4) {
   uniforms.u_c.value.copy(paramsVec4);
 }
 
+/**
+ * Updates the iteration exponent uniform (z^n + c)
+ * @param {number} power - Exponent n, integer or fractional
+ */
+export function updatePowerUniform(power) {
+  uniforms.u_power.value = power;
+}
+
+/**
+ * Updates the fractal mode uniforms
+ * @param {number} mode - 0 for Julia, 1 for Mandelbrot (parameter space)
+ * @param {THREE.Vector4} z0 - Orbit starting point used in Mandelbrot mode
+ */
+export function updateFractalModeUniforms(mode, z0) {
+  uniforms.u_fractalMode.value = mode;
+  uniforms.u_z0.value.copy(z0);
+}
+
+/**
+ * Updates the hypercomplex algebra used for the iteration
+ * @param {number} algebra - 0 Hamilton, 1 bicomplex, 2 split-quaternion, 3 commutative (Hopf)
+ */
+export function updateAlgebraUniform(algebra) {
+  uniforms.u_algebra.value = algebra;
+}
+
+/**
+ * Updates the escape test and distance estimator uniforms
+ * @param {Object} estimator - Settings from fractalState.estimator
+ * @param {number} estimator.bailout - Escape radius
+ * @param {number} estimator.escapeNorm - 0 Euclidean, 1 L1, 2 L-infinity, 3 single axis
+ * @param {number} estimator.escapeAxis - Axis of the single-axis norm (0-3: x, y, z, w)
+ * @param {number} estimator.deMethod - 0 logarithmic, 1 linear, 2 potential gradient
+ * @param {number} estimator.fudge - Scale applied to the distance estimate
+ */
+export function updateEstimatorUniforms(estimator) {
+  uniforms.u_bailout.value = estimator.bailout;
+  uniforms.u_escapeNorm.value = estimator.escapeNorm;
+  uniforms.u_escapeAxis.value = estimator.escapeAxis;
+  uniforms.u_deMethod.value = estimator.deMethod;
+  uniforms.u_deFudge.value = estimator.fudge;
+}
+
+/**
+ * Updates the hybrid iteration uniforms
+ * @param {Object} hybrid - Hybrid settings from fractalState.hybrid
+ * @param {boolean} hybrid.enabled - Alternate between rule A and transform B
+ * @param {string} hybrid.sequence - Schedule such as "A, A, B"
+ * @param {number} hybrid.transform - Transform B (0 power-3, 1 abs fold, 2 4D rotation, 3 box fold)
+ * @param {number} hybrid.foldLimit - Box fold limit
+ * @param {Object} hybrid.rotation - 4D rotation angles { xw, yw, zw } in radians
+ */
+export function updateHybridUniforms(hybrid) {
+  const steps = parseHybridSequence(hybrid.sequence);
+  uniforms.u_hybridEnabled.value = hybrid.enabled;
+  uniforms.u_hybridLength.value = steps.length;
+  uniforms.u_hybridSequence.value = uniforms.u_hybridSequence.value.map((_, i) => steps[i] || 0);
+  uniforms.u_hybridTransform.value = hybrid.transform;
+  uniforms.u_hybridFoldLimit.value = hybrid.foldLimit;
+  uniforms.u_hybridRotation.value.copy(getSliceRotationMatrix(hybrid.rotation));
+}
+
+/**
+ * Updates the symmetry fold uniforms
+ * @param {Object} symmetry - Symmetry settings from fractalState.symmetry
+ * @param {boolean} symmetry.enabled - Apply the folds
+ * @param {number} symmetry.stage - 0 fold the starting point, 1 also fold z before every iteration
+ * @param {Object} symmetry.absFold - Components to abs-fold: { x, y, z, w } booleans
+ * @param {boolean} symmetry.mirror - Mirror across the hyperplane through the origin
+ * @param {Object} symmetry.mirrorNormal - Hyperplane normal { x, y, z, w }, normalized here
+ * @param {number} symmetry.polyhedral - 0 none, 1 tetrahedral, 2 octahedral, 3 icosahedral
+ */
+export function updateSymmetryUniforms(symmetry) {
+  const { absFold, mirrorNormal } = symmetry;
+  uniforms.u_symmetryStage.value = symmetry.enabled ? symmetry.stage : -1;
+  uniforms.u_symmetryAbs.value.set(+absFold.x, +absFold.y, +absFold.z, +absFold.w);
+  uniforms.u_symmetryMirror.value.set(0, 0, 0, 0);
+  if (symmetry.mirror) {
+    uniforms.u_symmetryMirror.value.set(mirrorNormal.x, mirrorNormal.y, mirrorNormal.z, mirrorNormal.w).normalize();
+  }
+  uniforms.u_symmetryPolyhedral.value = symmetry.polyhedral;
+}
+
+/**
+ * Parses a hybrid schedule such as "A, A, B" into rule indices (A = 0, B = 1).
+ * Unknown characters are ignored; an empty schedule falls back to plain A.
+ * @param {string} sequence - Schedule text
+ * @returns {number[]} Between 1 and HYBRID_MAX_STEPS rule indices
+ */
+export function parseHybridSequence(sequence) {
+  const steps = (sequence || '').toUpperCase().replace(/[^AB]/g, '').split('')
+    .slice(0, HYBRID_MAX_STEPS)
+    .map(letter => letter === 'B' ? 1 : 0);
+  return steps.length > 0 ? steps : [0];
+}
+
 export function updateResolutionUniform(width, height) {
   uniforms.u_resolution.value.set(width, height);
 }
 
+/**
+ * Updates the sub-pixel offset of the current accumulation sample
+ * @param {number} x - Horizontal offset in pixels (-0.5 to 0.5)
+ * @param {number} y - Vertical offset in pixels (-0.5 to 0.5)
+ */
+export function updateJitterUniform(x, y) {
+  uniforms.u_jitter.value.set(x, y);
+}
+
+/**
+ * Updates the position of the tile being rendered within a larger image
+ * @param {number} x - Left edge of the tile in image pixels
+ * @param {number} y - Bottom edge of the tile in image pixels
+ */
+export function updateTileOffsetUniform(x, y) {
+  uniforms.u_tileOffset.value.set(x, y);
+}
+
 export function updateTimeUniform(time) {
     uniforms.u_time.value = time;
 }
@@ -74,10 +308,66 @@ export function updateSliceUniform(sliceValue) {
     uniforms.u_slice.value = sliceValue;
 }
 
+/**
+ * Updates the 4D orientation of the slicing hyperplane
+ * @param {Object} rotation - Angles in radians: { xw, yw, zw }
+ */
+export function updateSliceRotationUniform(rotation) {
+    uniforms.u_sliceRotation.value.copy(getSliceRotationMatrix(rotation));
+}
+
 export function updateFocalLengthUniform(focalLength) {
     uniforms.u_focalLength.value = focalLength;
 }
 
+/**
+ * Updates the thin-lens depth of field uniforms
+ * @param {Object} lens - Lens settings (cameraState provides these fields)
+ * @param {number} lens.aperture - Aperture radius (0 disables depth of field)
+ * @param {number} lens.focusDistance - Distance of the sharp plane
+ * @param {number} lens.bokehBlades - 0 for a circular aperture, else the polygon's blade count
+ */
+export function updateDepthOfFieldUniforms(lens) {
+    uniforms.u_aperture.value = Math.max(0, lens.aperture);
+    uniforms.u_focusDistance.value = Math.max(1e-3, lens.focusDistance);
+    uniforms.u_bokehBlades.value = lens.bokehBlades;
+}
+
+/**
+ * Updates the stereoscopic output uniforms
+ * @param {Object} stereo - Stereo settings (cameraState provides these fields)
+ * @param {number} stereo.stereoMode - 0 mono, 1 anaglyph, 2 side-by-side, 3 half side-by-side, 4 over-under, 5 cross-eye
+ * @param {number} stereo.interocular - Eye separation in world units
+ * @param {number} stereo.convergence - Distance of the plane that appears at screen depth
+ */
+export function updateStereoUniforms(stereo) {
+    uniforms.u_stereoMode.value = stereo.stereoMode;
+    uniforms.u_stereoSeparation.value = Math.max(0, stereo.interocular);
+    uniforms.u_stereoConvergence.value = Math.max(1e-3, stereo.convergence);
+}
+
+/**
+ * Updates the camera projection uniforms
+ * @param {Object} projection - Projection settings (cameraState provides these fields)
+ * @param {number} projection.projection - 0 perspective, 1 equirectangular, 2 cubemap, 3 domemaster
+ * @param {number} projection.domeFov - Domemaster field of view in degrees
+ * @param {number} projection.domeTilt - Domemaster zenith elevation above the view axis in degrees
+ */
+export function updateProjectionUniforms(projection) {
+    uniforms.u_projection.value = projection.projection;
+    uniforms.u_domeFov.value = THREE.MathUtils.degToRad(projection.domeFov);
+    uniforms.u_domeTilt.value = THREE.MathUtils.degToRad(projection.domeTilt);
+}
+
+/**
+ * Updates the lens position of the current accumulation sample
+ * @param {number} u - First coordinate in [0, 1)
+ * @param {number} v - Second coordinate in [0, 1)
+ */
+export function updateLensSampleUniform(u, v) {
+    uniforms.u_lensSample.value.set(u, v);
+}
+
 export function updateQualityUniforms(qualitySettings) {
     uniforms.u_maxIter.value = qualitySettings.maxIter;
     uniforms.u_enableShadows.value = qualitySettings.enableShadows;
@@ -85,6 +375,19 @@ export function updateQualityUniforms(qualitySettings) {
     uniforms.u_enableSmoothColor.value = qualitySettings.enableSmoothColor;
     uniforms.u_enableSpecular.value = qualitySettings.enableSpecular;
     uniforms.u_adaptiveSteps.value = qualitySettings.enableAdaptiveSteps;
+    uniforms.u_analyticNormals.value = qualitySettings.analyticNormals;
+    uniforms.u_debugView.value = qualitySettings.debugView;
+    uniforms.u_pathTracing.value = qualitySettings.renderMode === 1;
+    uniforms.u_pathBounces.value = qualitySettings.pathBounces;
+    uniforms.u_pathSkyIntensity.value = qualitySettings.pathSkyIntensity;
+}
+
+/**
+ * Sets the sample number that seeds the random numbers of path tracing
+ * @param {number} index - Sample index within the accumulated image
+ */
+export function updateSampleIndexUniform(index) {
+    uniforms.u_sampleIndex.value = index;
 }
 
 export function updateColorUniforms(colorSettings) {
@@ -139,6 +442,153 @@ export function updatePhysicsColorUniforms(physicsSettings) {
     uniforms.u_physicsParams.value.copy(params);
 }
 
+/**
+ * Updates interior rendering uniforms
+ * @param {Object} interiorSettings - Interior settings from fractal.js
+ */
+export function updateInteriorUniforms(interiorSettings) {
+    uniforms.u_interiorMode.value = interiorSettings.mode;
+    uniforms.u_interiorVolume.value = interiorSettings.volume;
+    uniforms.u_interiorDensity.value = interiorSettings.density;
+    uniforms.u_interiorDepth.value = interiorSettings.depth;
+}
+
+/**
+ * Updates the CSG scene uniforms. Enabled objects are packed into the first
+ * slots in list order, which is also the order the operations are applied in.
+ * @param {Object} csg - CSG settings from fractalState.csg
+ * @param {boolean} csg.enabled - Combine the objects with the Julia set
+ * @param {Array<Object>} csg.objects - { enabled, type, operation, position, size, c, smoothness }
+ */
+export function updateCsgUniforms(csg) {
+    const objects = csg.enabled ? csg.objects.filter(object => object.enabled).slice(0, CSG_MAX_OBJECTS) : [];
+    uniforms.u_csgCount.value = objects.length;
+    objects.forEach((object, i) => {
+        const { position, size, c } = object;
+        uniforms.u_csgType.value[i] = object.type;
+        uniforms.u_csgOperation.value[i] = object.operation;
+        uniforms.u_csgPosition.value[i].set(position.x, position.y, position.z);
+        uniforms.u_csgSize.value[i].set(size.x, size.y, size.z);
+        // A plane needs a usable normal
+        if (object.type === 2 && uniforms.u_csgSize.value[i].lengthSq() === 0) {
+            uniforms.u_csgSize.value[i].set(0.0, 1.0, 0.0);
+        }
+        uniforms.u_csgC.value[i].set(c.x, c.y, c.z, c.w);
+        uniforms.u_csgSmoothness.value[i] = object.smoothness;
+    });
+}
+
+// Scratch color for parsing light colors
+const lightColor = new THREE.Color();
+
+/**
+ * Packs the enabled lights of a light rig into the u_light* uniforms
+ * @param {Object} lighting - { ambient, lights } as in lightSettings (fractal.js)
+ */
+export function updateLightUniforms(lighting) {
+    uniforms.u_ambient.value = lighting.ambient;
+
+    let count = 0;
+    lighting.lights.forEach(light => {
+        if (!light.enabled || count >= LIGHT_MAX_COUNT) return;
+
+        uniforms.u_lightType.value[count] = light.type;
+        const vector = uniforms.u_lightVector.value[count];
+        if (light.type === 1) {
+            vector.set(light.position.x, light.position.y, light.position.z);
+        } else {
+            // Azimuth around +y from +z, elevation above the xz plane (degrees)
+            const azimuth = THREE.MathUtils.degToRad(light.direction.x);
+            const elevation = THREE.MathUtils.degToRad(light.direction.y);
+            vector.set(
+                Math.cos(elevation) * Math.sin(azimuth),
+                Math.sin(elevation),
+                Math.cos(elevation) * Math.cos(azimuth)
+            );
+        }
+
+        // Colors are used as given, the shader output is not color managed
+        lightColor.setStyle(light.color, THREE.LinearSRGBColorSpace);
+        uniforms.u_lightColor.value[count].set(lightColor.r, lightColor.g, lightColor.b).multiplyScalar(light.intensity);
+        uniforms.u_lightShadows.value[count] = light.shadows ? 1 : 0;
+        count++;
+    });
+    uniforms.u_lightCount.value = count;
+}
+
+// Whether updateEnvironmentMapUniforms received a map
+let environmentMapLoaded = false;
+
+/**
+ * Updates the environment lighting settings
+ * @param {Object} environment - environmentSettings (fractal.js); only takes effect with a loaded map
+ */
+export function updateEnvironmentUniforms(environment) {
+    uniforms.u_envEnabled.value = environment.enabled && environmentMapLoaded;
+    uniforms.u_envIntensity.value = environment.intensity;
+    uniforms.u_envRotation.value = THREE.MathUtils.degToRad(environment.rotation);
+    uniforms.u_envBackground.value = environment.background;
+    uniforms.u_envBackgroundBlur.value = environment.backgroundBlur;
+    uniforms.u_envReflectivity.value = environment.reflectivity;
+    uniforms.u_envReflectionBlur.value = environment.reflectionBlur;
+}
+
+/**
+ * Sets the environment texture and its irradiance coefficients
+ * @param {{texture: THREE.Texture, sh: THREE.Vector3[], maxLod: number}|null} map - Prefiltered
+ *        environment (see environment.js), or null to remove it
+ */
+export function updateEnvironmentMapUniforms(map) {
+    environmentMapLoaded = map !== null;
+    uniforms.u_envMap.value = map ? map.texture : null;
+    uniforms.u_envMaxLod.value = map ? map.maxLod : 0.0;
+    uniforms.u_envSH.value.forEach((coefficient, i) => {
+        if (map) coefficient.copy(map.sh[i]); else coefficient.set(0, 0, 0);
+    });
+}
+
+// Scratch color for parsing atmosphere and background colors
+const atmosphereColor = new THREE.Color();
+
+function setColorUniform(uniform, hex) {
+    atmosphereColor.setStyle(hex, THREE.LinearSRGBColorSpace);
+    uniform.value.set(atmosphereColor.r, atmosphereColor.g, atmosphereColor.b);
+}
+
+/**
+ * Updates the glow, fog and depth cueing uniforms; disabled effects get zero strength
+ * @param {Object} atmosphere - { glow, fog, depthCue } as in atmosphereSettings (fractal.js)
+ */
+export function updateAtmosphereUniforms(atmosphere) {
+    const { glow, fog, depthCue } = atmosphere;
+
+    uniforms.u_glowIntensity.value = glow.enabled ? glow.intensity : 0.0;
+    setColorUniform(uniforms.u_glowColor, glow.color);
+    uniforms.u_glowRadius.value = Math.max(glow.radius, 1e-4);
+
+    uniforms.u_fogDensity.value = fog.enabled ? fog.density : 0.0;
+    setColorUniform(uniforms.u_fogColor, fog.color);
+    uniforms.u_fogHeightFalloff.value = fog.heightFalloff;
+    uniforms.u_fogHeight.value = fog.height;
+
+    uniforms.u_depthCueIntensity.value = depthCue.enabled ? depthCue.intensity : 0.0;
+    setColorUniform(uniforms.u_depthCueNear, depthCue.nearColor);
+    setColorUniform(uniforms.u_depthCueFar, depthCue.farColor);
+    uniforms.u_depthCueRange.value.set(depthCue.start, Math.max(depthCue.end, depthCue.start + 1e-3));
+}
+
+/**
+ * Updates the background of rays that miss the fractal
+ * @param {Object} background - backgroundSettings (fractal.js)
+ */
+export function updateBackgroundUniforms(background) {
+    uniforms.u_backgroundMode.value = background.mode;
+    setColorUniform(uniforms.u_backgroundColor, background.color);
+    setColorUniform(uniforms.u_backgroundColor2, background.secondColor);
+    uniforms.u_starDensity.value = background.starDensity;
+    uniforms.u_starBrightness.value = background.starBrightness;
+}
+
 export function updateAdaptiveStepsUniform(enabled) {
     uniforms.u_adaptiveSteps.value = enabled;
 }
@@ -153,6 +603,45 @@ export function updateClipDistanceUniform(distance) {
 
 
 // Shader Code
+const CUSTOM_FORMULA_MARKER = '// @CUSTOM_FORMULA@';
+
+/**
+ * Builds the fragment shader with a user-defined iteration step spliced into juliaStep().
+ * The formula works on vec4 z and c and may use qmul/amul/qpow and any uniform.
+ * Statements are placed one per line so compiler errors can be mapped back to them.
+ * @param {string} formula - GLSL statements, e.g. "z = qmul(qmul(z,z),z) + c"
+ * @returns {{source: string, defines: Object, firstLine: number, timeDependent: boolean}}
+ *          Shader source, material defines, the 1-based source line of the first formula
+ *          statement and whether the formula animates with u_time
+ */
+export function buildFragmentShader(formula) {
+  const statements = splitFormulaStatements(formula);
+  if (statements.length === 0) {
+    return { source: fragmentShader, defines: {}, firstLine: 0, timeDependent: false };
+  }
+  const markerIndex = fragmentShader.indexOf(CUSTOM_FORMULA_MARKER);
+  const firstLine = fragmentShader.slice(0, markerIndex).split('\n').length;
+  const body = statements.map(statement => `${statement};`).join('\n    ');
+  return {
+    source: fragmentShader.replace(CUSTOM_FORMULA_MARKER, body),
+    defines: { CUSTOM_FORMULA: '' },
+    firstLine,
+    timeDependent: /\bu_time\b/.test(body)
+  };
+}
+
+/**
+ * Splits a formula into trimmed, non-empty statements
+ * @param {string} formula - GLSL statements separated by semicolons or newlines
+ * @returns {string[]} Statements without trailing semicolons
+ */
+export function splitFormulaStatements(formula) {
+  return (formula || '')
+    .split(/[;\n]/)
+    .map(statement => statement.trim())
+    .filter(statement => statement.length > 0);
+}
+
 export const vertexShader = `
   varying vec2 vUv;
   void main(){
@@ -169,13 +658,98 @@ export const fragmentShader = `
   #define CROSS_SECTION_THRESHOLD 0.01
 
   uniform vec2  u_resolution;
+  uniform vec2  u_jitter;        // Sub-pixel sample offset (progressive refinement)
+  uniform vec2  u_tileOffset;    // Tile position within the image (tiled rendering)
   uniform float u_time;
   uniform vec4  u_c;
+  uniform float u_power;
+  uniform int   u_fractalMode;   // 0: Julia, 1: Mandelbrot
+  uniform int   u_algebra;       // 0: Hamilton, 1: bicomplex, 2: split-quaternion, 3: commutative (Hopf)
+  uniform bool  u_hybridEnabled;
+  uniform int   u_hybridSequence[8]; // 0: rule A (z^n + c), 1: transform B
+  uniform int   u_hybridLength;
+  uniform int   u_hybridTransform; // 0: power-3, 1: abs fold, 2: 4D rotation, 3: box fold
+  uniform float u_hybridFoldLimit;
+  uniform mat4  u_hybridRotation;
+  uniform int   u_symmetryStage;      // -1: off, 0: fold the starting point, 1: also before every iteration
+  uniform vec4  u_symmetryAbs;        // 1.0 for components that are abs-folded
+  uniform vec4  u_symmetryMirror;     // Unit normal of the mirror hyperplane, zero for none
+  uniform int   u_symmetryPolyhedral; // 0: none, 1: tetrahedral, 2: octahedral, 3: icosahedral
+  uniform vec4  u_z0;            // Orbit start in Mandelbrot mode
+  uniform float u_bailout;       // Escape radius
+  uniform int   u_escapeNorm;    // 0: Euclidean, 1: L1, 2: L-infinity, 3: single axis
+  uniform int   u_escapeAxis;    // Component tested by the single-axis norm
+  uniform int   u_deMethod;      // 0: logarithmic, 1: linear, 2: potential gradient
+  uniform float u_deFudge;       // Scale applied to the Julia distance estimate
   uniform float u_slice;
+  uniform mat4  u_sliceRotation; // Rotates the 3D slicing space within 4D
   uniform vec3  u_camPos;
   uniform mat3  u_camRot;
   uniform bool  u_colorEnabled;
   uniform float u_focalLength;
+  uniform float u_aperture;      // Thin-lens radius (0: pinhole)
+  uniform float u_focusDistance; // Sharp plane distance along the view axis
+  uniform int   u_bokehBlades;   // 0: circular aperture, else polygon blade count
+  uniform vec2  u_lensSample;    // Lens sample of this accumulation pass
+
+  #define STEREO_ANAGLYPH 1
+  #define STEREO_SIDE_BY_SIDE 2
+  #define STEREO_SIDE_BY_SIDE_HALF 3
+  #define STEREO_OVER_UNDER 4
+  #define STEREO_CROSS_EYE 5
+  uniform int   u_stereoMode;          // 0: mono, else one of the STEREO_* layouts
+  uniform float u_stereoSeparation;    // Interocular distance
+  uniform float u_stereoConvergence;   // Distance of the zero-parallax plane along the view axis
+  float viewAspect = 1.0;              // Width / height of the view being traced (one eye's in stereo)
+
+  #define PROJECTION_EQUIRECTANGULAR 1
+  #define PROJECTION_CUBEMAP 2
+  #define PROJECTION_DOMEMASTER 3
+  uniform int   u_projection;          // 0: perspective, else one of the PROJECTION_* panoramas
+  uniform float u_domeFov;             // Domemaster field of view in radians
+  uniform float u_domeTilt;            // Domemaster zenith elevation above the view axis in radians
+
+  #define MAX_LIGHTS 4
+  uniform float u_ambient;
+  uniform int   u_lightCount;
+  uniform int   u_lightType[MAX_LIGHTS];   // 0: directional, 1: point, 2: headlight, 3: camera-relative directional
+  uniform vec3  u_lightVector[MAX_LIGHTS]; // Point light position, or direction toward the light
+  uniform vec3  u_lightColor[MAX_LIGHTS];  // Color times intensity
+  uniform int   u_lightShadows[MAX_LIGHTS];
+
+  uniform bool      u_envEnabled;        // Image-based lighting from the environment map
+  uniform sampler2D u_envMap;            // Equirectangular radiance, prefiltered mip chain
+  uniform float     u_envMaxLod;
+  uniform vec3      u_envSH[9];          // Irradiance / pi as spherical harmonics
+  uniform float     u_envIntensity;
+  uniform float     u_envRotation;       // Yaw in radians
+  uniform bool      u_envBackground;     // Show the environment on misses
+  uniform float     u_envBackgroundBlur; // Fraction of u_envMaxLod
+  uniform float     u_envReflectivity;   // Fresnel F0
+  uniform float     u_envReflectionBlur; // Fraction of u_envMaxLod
+
+  #define BACKGROUND_VERTICAL 1
+  #define BACKGROUND_RADIAL 2
+  #define BACKGROUND_STARFIELD 3
+  #define BACKGROUND_NEBULA 4
+  #define BACKGROUND_TRANSPARENT 5
+  uniform int   u_backgroundMode;
+  uniform vec3  u_backgroundColor;
+  uniform vec3  u_backgroundColor2;
+  uniform float u_starDensity;
+  uniform float u_starBrightness;
+
+  uniform float u_glowIntensity;     // 0: no glow
+  uniform vec3  u_glowColor;
+  uniform float u_glowRadius;
+  uniform float u_fogDensity;        // 0: no fog
+  uniform vec3  u_fogColor;
+  uniform float u_fogHeightFalloff;  // 0: uniform fog
+  uniform float u_fogHeight;
+  uniform float u_depthCueIntensity; // 0: no depth cueing
+  uniform vec3  u_depthCueNear;
+  uniform vec3  u_depthCueFar;
+  uniform vec2  u_depthCueRange;     // Start and end distance
 
   uniform float u_maxIter;
   uniform bool  u_enableShadows;
@@ -184,6 +758,12 @@ export const fragmentShader = `
   uniform bool  u_enableSpecular;
   uniform int   u_paletteIndex;
   uniform bool  u_adaptiveSteps;
+  uniform bool  u_analyticNormals;
+  uniform int   u_debugView;     // 0: shaded, 1: march steps, 2: final DE, 3: iterations at hit, 4: stop reason
+  uniform bool  u_pathTracing;
+  uniform int   u_pathBounces;
+  uniform float u_pathSkyIntensity;
+  uniform int   u_sampleIndex;
   uniform int   u_clipMode;      // Cross section mode (0: off, 1: method 1, 2: method 2)
   uniform float u_clipDistance;  // Distance of clipping plane from camera
   
@@ -204,6 +784,22 @@ export const fragmentShader = `
   uniform bool  u_physicsBasedColor;
   uniform int   u_physicsColorType;
   uniform vec4  u_physicsParams;
+  
+  // Interior rendering uniforms
+  uniform int   u_interiorMode;
+  uniform bool  u_interiorVolume;
+  uniform float u_interiorDensity;
+  uniform float u_interiorDepth;
+
+  // CSG scene uniforms
+  #define CSG_MAX_OBJECTS 4
+  uniform int   u_csgCount;
+  uniform int   u_csgType[CSG_MAX_OBJECTS];      // 0: sphere, 1: box, 2: plane, 3: Julia set
+  uniform int   u_csgOperation[CSG_MAX_OBJECTS]; // 0: union, 1: intersection, 2: subtraction, 3: smooth union
+  uniform vec3  u_csgPosition[CSG_MAX_OBJECTS];
+  uniform vec3  u_csgSize[CSG_MAX_OBJECTS];      // Sphere radius (x), box half extents, plane normal
+  uniform vec4  u_csgC[CSG_MAX_OBJECTS];
+  uniform float u_csgSmoothness[CSG_MAX_OBJECTS];
 
   varying vec2 vUv;
 
@@ -217,53 +813,531 @@ export const fragmentShader = `
     );
   }
 
-  // Distance Estimator
-  float quaternionJuliaDE(vec3 pos) {
-      vec4 z = vec4(pos, u_slice);
-      vec4 c = u_c;
-      float dr = 1.0;
+  // Bicomplex multiplication: (a1 + a2 j)(b1 + b2 j) with complex a1 = x + iy, a2 = z + iw
+  // and i^2 = j^2 = -1, ij = ji (commutative)
+  vec4 bicomplexMul(vec4 a, vec4 b) {
+    return vec4(
+      a.x*b.x - a.y*b.y - a.z*b.z + a.w*b.w,
+      a.x*b.y + a.y*b.x - a.z*b.w - a.w*b.z,
+      a.x*b.z + a.z*b.x - a.y*b.w - a.w*b.y,
+      a.x*b.w + a.w*b.x + a.y*b.z + a.z*b.y
+    );
+  }
+
+  // Split-quaternion multiplication: i^2 = -1, j^2 = k^2 = +1, ij = k = -ji, jk = -i, ki = j
+  vec4 splitMul(vec4 a, vec4 b) {
+    return vec4(
+      a.x*b.x - a.y*b.y + a.z*b.z + a.w*b.w,
+      a.x*b.y + a.y*b.x - a.z*b.w + a.w*b.z,
+      a.x*b.z + a.z*b.x + a.w*b.y - a.y*b.w,
+      a.x*b.w + a.w*b.x + a.y*b.z - a.z*b.y
+    );
+  }
+
+  // Commutative (Hopf / Segre) quaternion multiplication: i^2 = k^2 = -1, j^2 = +1,
+  // ij = ji = k, jk = kj = i, ki = ik = -j
+  vec4 commutativeMul(vec4 a, vec4 b) {
+    return vec4(
+      a.x*b.x - a.y*b.y + a.z*b.z - a.w*b.w,
+      a.x*b.y + a.y*b.x + a.z*b.w + a.w*b.z,
+      a.x*b.z + a.z*b.x - a.y*b.w - a.w*b.y,
+      a.x*b.w + a.w*b.x + a.y*b.z + a.z*b.y
+    );
+  }
+
+  // Multiplication in the selected algebra
+  vec4 amul(vec4 a, vec4 b) {
+    switch (u_algebra) {
+      case 1: return bicomplexMul(a, b);
+      case 2: return splitMul(a, b);
+      case 3: return commutativeMul(a, b);
+      default: return qmul(a, b);
+    }
+  }
+
+  // Exponent actually used by the iteration - only Hamilton quaternions have a polar
+  // form for fractional powers, the other algebras round to an integer
+  float effectivePower() {
+    return u_algebra == 0 ? u_power : clamp(floor(u_power + 0.5), 2.0, 8.0);
+  }
+
+  // Integer power by repeated multiplication in the selected algebra (n = 2..8)
+  vec4 qpowInt(vec4 q, int n) {
+    vec4 result = q;
+    for (int i = 1; i < 8; i++) {
+      if (i >= n) break;
+      result = amul(result, q);
+    }
+    return result;
+  }
+
+  // Quaternion power in polar form: |q|^n (cos(n*theta) + v*sin(n*theta))
+  vec4 qpowPolar(vec4 q, float n) {
+    float r = length(q);
+    if (r < 1e-9) return vec4(0.0);
+    float vlen = length(q.yzw);
+    float theta = atan(vlen, q.x);
+    vec3 axis = vlen > 1e-9 ? q.yzw / vlen : vec3(0.0);
+    float rn = pow(r, n);
+    return rn * vec4(cos(n * theta), axis * sin(n * theta));
+  }
+
+  // Power - exact multiplication for integer exponents, polar form otherwise
+  vec4 qpow(vec4 q, float n) {
+    if (n == 2.0) return amul(q, q);
+    if (fract(n) == 0.0 && n <= 8.0) return qpowInt(q, int(n));
+    return qpowPolar(q, n);
+  }
+
+  // Single Julia iteration: z^n + c, or the user formula spliced in by buildFragmentShader()
+  vec4 juliaStep(vec4 z, vec4 c) {
+  #ifdef CUSTOM_FORMULA
+    // @CUSTOM_FORMULA@
+    return z;
+  #else
+    return qpow(z, effectivePower()) + c;
+  #endif
+  }
+
+  // True when iteration i of a hybrid sequence uses transform B instead of rule A
+  bool isHybridStep(int i) {
+    return u_hybridEnabled && u_hybridSequence[i % u_hybridLength] == 1;
+  }
+
+  // Hybrid transform B. Only the power-3 step adds c, the folds and the
+  // rotation reshape the orbit between the regular iterations
+  vec4 hybridTransform(vec4 z, vec4 c) {
+    switch (u_hybridTransform) {
+      case 1: return abs(z);
+      case 2: return u_hybridRotation * z;
+      case 3: return clamp(z, -u_hybridFoldLimit, u_hybridFoldLimit) * 2.0 - z;
+      default: return qmul(qmul(z, z), z) + c;
+    }
+  }
+
+  // Scalar running derivative across transform B - folds and rotations are isometries
+  float hybridDerivative(vec4 z, float dr, float dc) {
+    if (u_hybridTransform != 0) return dr;
+    return 3.0 * dot(z, z) * dr + dc;
+  }
+
+  // Full 4D derivative across transform B: the Jacobian applied to dz
+  vec4 hybridDerivativeVec(vec4 z, vec4 dz, vec4 dc) {
+    switch (u_hybridTransform) {
+      case 1: return dz * mix(vec4(1.0), vec4(-1.0), lessThan(z, vec4(0.0)));
+      case 2: return u_hybridRotation * dz;
+      case 3: return dz * mix(vec4(1.0), vec4(-1.0), greaterThan(abs(z), vec4(u_hybridFoldLimit)));
+      default: return qmul(qmul(dz, z), z) + qmul(qmul(z, dz), z) + qmul(qmul(z, z), dz) + dc;
+    }
+  }
+
+  // Reflects z to the positive side of the hyperplane with unit normal n;
+  // dz receives the same reflection
+  void foldPlane(inout vec4 z, inout vec4 dz, vec4 n) {
+      float side = dot(z, n);
+      if (side < 0.0) {
+          z -= 2.0 * side * n;
+          dz -= 2.0 * dot(dz, n) * n;
+      }
+  }
+
+  // Symmetry folds (all reflections, so distance estimates keep their scale):
+  // abs folds of the components in u_symmetryAbs, a mirror across the hyperplane
+  // with normal u_symmetryMirror, then a polyhedral kaleidoscope on xyz that folds
+  // into one chamber of the tetrahedral, octahedral or icosahedral reflection group
+  #define SQRT_HALF 0.70710678
+  vec4 symmetryFold(vec4 z, inout vec4 dz) {
+      if (u_symmetryAbs.x > 0.0) foldPlane(z, dz, vec4(1.0, 0.0, 0.0, 0.0));
+      if (u_symmetryAbs.y > 0.0) foldPlane(z, dz, vec4(0.0, 1.0, 0.0, 0.0));
+      if (u_symmetryAbs.z > 0.0) foldPlane(z, dz, vec4(0.0, 0.0, 1.0, 0.0));
+      if (u_symmetryAbs.w > 0.0) foldPlane(z, dz, vec4(0.0, 0.0, 0.0, 1.0));
+      foldPlane(z, dz, u_symmetryMirror);
+
+      if (u_symmetryPolyhedral == 1) {
+          // Tetrahedral: chamber x >= y >= z, y + z >= 0
+          for (int k = 0; k < 4; k++) {
+              foldPlane(z, dz, vec4(SQRT_HALF, -SQRT_HALF, 0.0, 0.0));
+              foldPlane(z, dz, vec4(0.0, SQRT_HALF, -SQRT_HALF, 0.0));
+              foldPlane(z, dz, vec4(0.0, SQRT_HALF, SQRT_HALF, 0.0));
+          }
+      } else if (u_symmetryPolyhedral == 2) {
+          // Octahedral: chamber x >= y >= z >= 0 (abs folds, then sorting swaps)
+          foldPlane(z, dz, vec4(1.0, 0.0, 0.0, 0.0));
+          foldPlane(z, dz, vec4(0.0, 1.0, 0.0, 0.0));
+          foldPlane(z, dz, vec4(0.0, 0.0, 1.0, 0.0));
+          foldPlane(z, dz, vec4(SQRT_HALF, -SQRT_HALF, 0.0, 0.0));
+          foldPlane(z, dz, vec4(SQRT_HALF, 0.0, -SQRT_HALF, 0.0));
+          foldPlane(z, dz, vec4(0.0, SQRT_HALF, -SQRT_HALF, 0.0));
+      } else if (u_symmetryPolyhedral == 3) {
+          // Icosahedral: mirrors x = 0, y = 0 and the plane with normal
+          // (-1/2, -cos(pi/5), sqrt(3/4 - cos^2(pi/5)))
+          vec4 nc = vec4(-0.5, -0.80901699, 0.30901699, 0.0);
+          for (int k = 0; k < 5; k++) {
+              foldPlane(z, dz, vec4(1.0, 0.0, 0.0, 0.0));
+              foldPlane(z, dz, vec4(0.0, 1.0, 0.0, 0.0));
+              foldPlane(z, dz, nc);
+          }
+      }
+      return z;
+  }
+
+  vec4 foldSymmetry(vec4 z) {
+      vec4 unused = vec4(0.0);
+      return u_symmetryStage >= 0 ? symmetryFold(z, unused) : z;
+  }
+
+  // Iteration i of the orbit: rule A or, on hybrid B steps, the hybrid transform
+  vec4 iterate(int i, vec4 z, vec4 c) {
+    if (u_symmetryStage == 1) z = foldSymmetry(z);
+    return isHybridStep(i) ? hybridTransform(z, c) : juliaStep(z, c);
+  }
+
+  // Maps a point of the 3D view space onto the (possibly rotated) slicing hyperplane
+  vec4 slicePoint(vec3 pos) {
+      return u_sliceRotation * vec4(pos, u_slice);
+  }
+
+  // Julia set instance the orbit functions evaluate. By default this is the main
+  // fractal; selectJuliaInstance switches to a CSG Julia object, which has its own c,
+  // is translated to its position and always iterates in Julia mode
+  bool instanceActive = false;
+  vec4 instanceC = vec4(0.0);
+  vec3 instanceOffset = vec3(0.0);
+
+  void selectJuliaInstance(int object) {
+      instanceActive = true;
+      instanceC = u_csgC[object];
+      instanceOffset = u_csgPosition[object];
+  }
+
+  void selectMainInstance() {
+      instanceActive = false;
+  }
+
+  // True if the current orbit starts at z0 and the position seeds c
+  bool isMandelbrotOrbit() {
+      return u_fractalMode == 1 && !instanceActive;
+  }
+
+  // Seeds the orbit from a 3D position: Julia mode puts the position in z,
+  // Mandelbrot mode puts it in c and starts the orbit from the user-defined z0.
+  // The symmetry folds are applied to the position first
+  void initOrbit(vec3 pos, out vec4 z, out vec4 c) {
+      if (instanceActive) {
+          z = foldSymmetry(slicePoint(pos - instanceOffset));
+          c = instanceC;
+          return;
+      }
+      vec4 p = foldSymmetry(slicePoint(pos));
+      if (u_fractalMode == 1) {
+          z = u_z0;
+          c = p;
+      } else {
+          z = p;
+          c = u_c;
+      }
+  }
+
+  // Orbit size measured with the selected escape norm
+  float escapeNorm(vec4 z) {
+      if (u_escapeNorm == 1) {
+          vec4 a = abs(z);
+          return a.x + a.y + a.z + a.w;
+      } else if (u_escapeNorm == 2) {
+          vec4 a = abs(z);
+          return max(max(a.x, a.y), max(a.z, a.w));
+      } else if (u_escapeNorm == 3) {
+          return abs(z[u_escapeAxis]);
+      }
+      return length(z);
+  }
+
+  bool escaped(vec4 z) {
+      return escapeNorm(z) > u_bailout;
+  }
+
+  // Distance from the final orbit radius r and the running derivative dr
+  float orbitDistance(float r, float dr) {
+      if (u_deMethod == 1) return r / dr; // Linear
+      return 0.5 * log(max(r, 1e-6)) * r / dr;
+  }
+
+  // Distance estimator for the non-Hamilton algebras. Their norms are not
+  // multiplicative, so the scalar running derivative is replaced by the full
+  // hypercomplex derivative dz, propagated with the product rule
+  // d(w*z) = dw*z + w*dz (valid for the non-commutative split-quaternions too)
+  float algebraJuliaDE(vec3 pos) {
+      vec4 z;
+      vec4 c;
+      initOrbit(pos, z, c);
+      bool mandelbrot = isMandelbrotOrbit();
+      vec4 dz = mandelbrot ? vec4(0.0) : vec4(1.0, 0.0, 0.0, 0.0);
+      vec4 dc = mandelbrot ? vec4(1.0, 0.0, 0.0, 0.0) : vec4(0.0);
+      int n = int(effectivePower());
+      float r = 0.0;
+      for (int i = 0; i < 512; i++){
+          if(float(i) >= u_maxIter) break;
+          r = length(z);
+          if (escaped(z)) break;
+          if (u_symmetryStage == 1) z = symmetryFold(z, dz);
+          if (isHybridStep(i)) {
+              dz = hybridDerivativeVec(z, dz, dc);
+              z = hybridTransform(z, c);
+              continue;
+          }
+          vec4 w = z;
+          vec4 dw = dz;
+          for (int k = 1; k < 8; k++) {
+              if (k >= n) break;
+              dw = amul(dw, z) + amul(w, dz);
+              w = amul(w, z);
+          }
+          dz = dw + dc;
+          z = w + c;
+      }
+      return abs(orbitDistance(r, max(length(dz), 1e-9)));
+  }
+
+  #ifdef CUSTOM_FORMULA
+  // Distance estimator for user formulas. Their derivative is unknown, so it is
+  // measured from a neighbouring orbit started CUSTOM_DE_EPSILON away
+  #define CUSTOM_DE_EPSILON 1e-4
+  float customFormulaDE(vec3 pos) {
+      vec4 z;
+      vec4 c;
+      initOrbit(pos, z, c);
+      bool mandelbrot = isMandelbrotOrbit();
+      vec4 offset = vec4(CUSTOM_DE_EPSILON, 0.0, 0.0, 0.0);
+      vec4 z2 = mandelbrot ? z : z + offset;
+      vec4 c2 = mandelbrot ? c + offset : c;
       float r = 0.0;
       for (int i = 0; i < 512; i++){
           if(float(i) >= u_maxIter) break;
           r = length(z);
-          if (r > 4.0) break;
-          dr = 2.0 * r * dr;
-          z = qmul(z, z) + c;
+          if (escaped(z)) break;
+          z = iterate(i, z, c);
+          z2 = iterate(i, z2, c2);
+      }
+      float dr = max(length(z2 - z) / CUSTOM_DE_EPSILON, 1e-9);
+      return abs(orbitDistance(r, dr));
+  }
+  #endif
+
+  // Potential-gradient estimator: with the continuous potential G = log|z| / n^k
+  // the distance is about 0.5 G / |grad G| = 0.5 / |grad log G|. The gradient is
+  // measured with forward differences, so no running derivative is needed
+  #define POTENTIAL_DE_EPSILON 1e-4
+  bool logPotential(vec3 pos, out float value) {
+      vec4 z;
+      vec4 c;
+      initOrbit(pos, z, c);
+      float logPower = log(effectivePower());
+      for (int i = 0; i < 512; i++){
+          if(float(i) >= u_maxIter) break;
+          if (escaped(z)) {
+              value = log(log(max(length(z), 1.0001))) - float(i) * logPower;
+              return true;
+          }
+          z = iterate(i, z, c);
       }
-      return abs(0.5 * log(max(r, 1e-6)) * r / dr);
+      return false;
+  }
+
+  float potentialDE(vec3 pos) {
+      float l0, lx, ly, lz;
+      // Bounded orbits (here or within epsilon) count as on the surface
+      if (!logPotential(pos, l0)) return 0.0;
+      if (!logPotential(pos + vec3(POTENTIAL_DE_EPSILON, 0.0, 0.0), lx)) return 0.0;
+      if (!logPotential(pos + vec3(0.0, POTENTIAL_DE_EPSILON, 0.0), ly)) return 0.0;
+      if (!logPotential(pos + vec3(0.0, 0.0, POTENTIAL_DE_EPSILON), lz)) return 0.0;
+      vec3 grad = vec3(lx - l0, ly - l0, lz - l0) / POTENTIAL_DE_EPSILON;
+      return 0.5 / max(length(grad), 1e-9);
+  }
+
+  // Hamilton quaternion distance estimator with a scalar running derivative
+  float hamiltonJuliaDE(vec3 pos) {
+      vec4 z;
+      vec4 c;
+      initOrbit(pos, z, c);
+      // Julia sets differentiate w.r.t. z0 (dz starts at 1), Mandelbrot sets
+      // w.r.t. c (dz starts at 0 and every step adds dc/dc = 1)
+      bool mandelbrot = isMandelbrotOrbit();
+      float dr = mandelbrot ? 0.0 : 1.0;
+      float dc = mandelbrot ? 1.0 : 0.0;
+      float r = 0.0;
+      for (int i = 0; i < 512; i++){
+          if(float(i) >= u_maxIter) break;
+          r = length(z);
+          if (escaped(z)) break;
+          // Folds are reflections and leave the scalar derivative unchanged
+          if (u_symmetryStage == 1) z = foldSymmetry(z);
+          if (isHybridStep(i)) {
+              dr = hybridDerivative(z, dr, dc);
+              z = hybridTransform(z, c);
+              continue;
+          }
+          // Running derivative of z^n: n * r^(n-1)
+          dr = u_power * pow(r, u_power - 1.0) * dr + dc;
+          z = juliaStep(z, c);
+      }
+      return abs(orbitDistance(r, dr));
+  }
+
+  // Distance Estimator: selects the estimator and applies the fudge factor
+  float quaternionJuliaDE(vec3 pos) {
+      if (u_deMethod == 2) return u_deFudge * potentialDE(pos);
+  #ifdef CUSTOM_FORMULA
+      return u_deFudge * customFormulaDE(pos);
+  #endif
+      if (u_algebra != 0) return u_deFudge * algebraJuliaDE(pos);
+      return u_deFudge * hamiltonJuliaDE(pos);
+  }
+
+  // Polynomial smooth minimum, k is the blend radius
+  float smoothUnion(float a, float b, float k) {
+      float h = clamp(0.5 + 0.5 * (b - a) / k, 0.0, 1.0);
+      return mix(b, a, h) - k * h * (1.0 - h);
+  }
+
+  // Distance to a single CSG object
+  float csgObjectDE(int object, vec3 pos) {
+      vec3 p = pos - u_csgPosition[object];
+      int type = u_csgType[object];
+      if (type == 0) {
+          return length(p) - u_csgSize[object].x;
+      } else if (type == 1) {
+          vec3 q = abs(p) - u_csgSize[object];
+          return length(max(q, 0.0)) + min(max(q.x, max(q.y, q.z)), 0.0);
+      } else if (type == 2) {
+          return dot(p, normalize(u_csgSize[object]));
+      }
+      selectJuliaInstance(object);
+      float d = quaternionJuliaDE(pos);
+      selectMainInstance();
+      return d;
+  }
+
+  // Scene distance: the Julia set combined with the CSG objects in list order.
+  // Julia distance estimates are unsigned, so subtracting a Julia object only
+  // carves where the scene so far has a signed interior (spheres, boxes, planes)
+  float sceneDE(vec3 pos) {
+      float d = quaternionJuliaDE(pos);
+      for (int i = 0; i < CSG_MAX_OBJECTS; i++) {
+          if (i >= u_csgCount) break;
+          float objectDistance = csgObjectDE(i, pos);
+          int operation = u_csgOperation[i];
+          if (operation == 0) {
+              d = min(d, objectDistance);
+          } else if (operation == 1) {
+              d = max(d, objectDistance);
+          } else if (operation == 2) {
+              d = max(d, -objectDistance);
+          } else {
+              d = smoothUnion(d, objectDistance, max(u_csgSmoothness[i], 1e-4));
+          }
+      }
+      return d;
+  }
+
+  // Index of the CSG object whose surface is closest to pos, -1 for the main Julia set
+  int sceneObjectAt(vec3 pos) {
+      int nearest = -1;
+      float nearestDistance = abs(quaternionJuliaDE(pos));
+      for (int i = 0; i < CSG_MAX_OBJECTS; i++) {
+          if (i >= u_csgCount) break;
+          float objectDistance = abs(csgObjectDE(i, pos));
+          if (objectDistance < nearestDistance) {
+              nearest = i;
+              nearestDistance = objectDistance;
+          }
+      }
+      return nearest;
   }
 
   // Iteration count
   float getIterationCount(vec3 pos) {
-      vec4 z = vec4(pos, u_slice);
-      vec4 c = u_c;
+      vec4 z;
+      vec4 c;
+      initOrbit(pos, z, c);
       for (int i = 0; i < 512; i++){
           if(float(i) >= u_maxIter) break;
-          float r = length(z);
-          if(r > 4.0){
+          if (escaped(z)) {
               return float(i);
           }
-          z = qmul(z, z) + c;
+          z = iterate(i, z, c);
       }
       return u_maxIter;
   }
 
   // Smooth iteration
   float getIterationSmooth(vec3 pos) {
-      vec4 z = vec4(pos, u_slice);
-      vec4 c = u_c;
+      vec4 z;
+      vec4 c;
+      initOrbit(pos, z, c);
       for (int i=0; i<512; i++){
           if(float(i) >= u_maxIter) break;
           float r = length(z);
-          if(r>4.0){
-              float f = float(i) - log2(log2(r)) + 4.0;
+          if (escaped(z)) {
+              // log base n of log2(r) - reduces to log2(log2(r)) for n = 2
+              float f = float(i) - log(log2(r)) / log(effectivePower()) + 4.0;
               return f;
           }
-          z = qmul(z,z) + c;
+          z = iterate(i, z, c);
       }
       return u_maxIter;
   }
 
+  // Interior coloring for orbits that stay bounded. Returns false if the orbit escapes,
+  // otherwise a 0..1 value for the selected method:
+  // 1: final |z|, 2: orbit period (Brent cycle detection), 3: average orbit angle,
+  // 4: atom domain (iteration with the smallest |z|)
+  #define MAX_INTERIOR_PERIOD 16.0
+  bool getInteriorValue(vec3 pos, out float value) {
+      vec4 z;
+      vec4 c;
+      initOrbit(pos, z, c);
+      vec4 checkpoint = z;
+      int checkpointIter = 0;
+      int nextCheckpoint = 1;
+      int period = 0;
+      float angleSum = 0.0;
+      float minRadius = 1e10;
+      int minIter = 0;
+      int count = 0;
+      for (int i = 0; i < 512; i++){
+          if(float(i) >= u_maxIter) break;
+          if (escaped(z)) return false;
+          z = iterate(i, z, c);
+          count = i + 1;
+          angleSum += atan(length(z.yzw), z.x);
+          float r = length(z);
+          if (r < minRadius) {
+              minRadius = r;
+              minIter = count;
+          }
+          if (u_interiorMode == 2 && period == 0) {
+              if (distance(z, checkpoint) < 1e-4) {
+                  period = count - checkpointIter;
+              } else if (count == nextCheckpoint) {
+                  checkpoint = z;
+                  checkpointIter = count;
+                  nextCheckpoint *= 2;
+              }
+          }
+      }
+      if (escaped(z)) return false;
+      if (u_interiorMode == 2) {
+          value = period > 0 ? min(float(period), MAX_INTERIOR_PERIOD) / MAX_INTERIOR_PERIOD : 1.0;
+      } else if (u_interiorMode == 3) {
+          value = angleSum / (float(max(count, 1)) * 3.14159265);
+      } else if (u_interiorMode == 4) {
+          value = mod(float(minIter), MAX_INTERIOR_PERIOD) / MAX_INTERIOR_PERIOD;
+      } else {
+          value = clamp(length(z) * 0.5, 0.0, 1.0);
+      }
+      return true;
+  }
+
   // Helper function to calculate step size based on distance and adaptivity settings
   float calculateStepSize(float distance) {
       if (!u_adaptiveSteps)
@@ -285,23 +1359,41 @@ export const fragmentShader = `
       return distance * stepFactor;
   }
 
+  // Filled in by the ray marchers for the diagnostics views
+  #define STOP_HIT 0
+  #define STOP_MAX_DIST 1
+  #define STOP_MAX_MARCH 2
+  int marchSteps = 0;
+  int marchStop = STOP_MAX_MARCH;
+  float marchMinDist = 1e10;
+
   // Standard ray marching mode (no clipping)
   float rayMarchStandard(vec3 ro, vec3 rd) {
       float t = 0.0;
+      marchStop = STOP_MAX_MARCH;
+      marchMinDist = 1e10;
       
       for (int i = 0; i < MAX_MARCH; i++) {
+          marchSteps = i + 1;
           vec3 pos = ro + rd * t;
-          float d = quaternionJuliaDE(pos);
+          float d = sceneDE(pos);
           
           // Simple hit condition
-          if (d < HIT_THRESHOLD)
+          if (d < HIT_THRESHOLD) {
+              marchStop = STOP_HIT;
               return t;
+          }
+          
+          // Closest approach of the rays that do not stop here (atmospheric glow)
+          marchMinDist = min(marchMinDist, d);
           
           // Calculate and apply step
           t += calculateStepSize(d);
           
-          if (t > MAX_DIST)
+          if (t > MAX_DIST) {
+              marchStop = STOP_MAX_DIST;
               break;
+          }
       }
       
       return t;
@@ -310,10 +1402,13 @@ export const fragmentShader = `
   // Cross-section mode 1: Ignore first hit
   float rayMarchClipMode1(vec3 ro, vec3 rd) {
       float t = 0.0;
+      marchStop = STOP_MAX_MARCH;
+      marchMinDist = 1e10;
       
       for (int i = 0; i < MAX_MARCH; i++) {
+          marchSteps = i + 1;
           vec3 pos = ro + rd * t;
-          float d = quaternionJuliaDE(pos);
+          float d = sceneDE(pos);
           
           // Hit condition with special handling
           if (d < HIT_THRESHOLD) {
@@ -322,11 +1417,16 @@ export const fragmentShader = `
               continue;
           }
           
+          // Closest approach of the rays that do not stop here (atmospheric glow)
+          marchMinDist = min(marchMinDist, d);
+          
           // Calculate and apply step
           t += calculateStepSize(d);
           
-          if (t > MAX_DIST)
+          if (t > MAX_DIST) {
+              marchStop = STOP_MAX_DIST;
               break;
+          }
       }
       
       return t;
@@ -335,16 +1435,20 @@ export const fragmentShader = `
   // Cross-section mode 2: Only render at specific distance
   float rayMarchClipMode2(vec3 ro, vec3 rd) {
       float t = 0.0;
+      marchStop = STOP_MAX_MARCH;
+      marchMinDist = 1e10;
       
       for (int i = 0; i < MAX_MARCH; i++) {
+          marchSteps = i + 1;
           vec3 pos = ro + rd * t;
-          float d = quaternionJuliaDE(pos);
+          float d = sceneDE(pos);
           
           // Hit condition with special handling
           if (d < HIT_THRESHOLD) {
               // Mode 2 only renders points close to the cross-section distance
               float distToPlane = abs(t - u_clipDistance);
               if (distToPlane < CROSS_SECTION_THRESHOLD) {
+                  marchStop = STOP_HIT;
                   return t; // Only render points in cross-section
               } else {
                   t += SAFE_STEP;
@@ -352,11 +1456,16 @@ export const fragmentShader = `
               }
           }
           
+          // Closest approach of the rays that do not stop here (atmospheric glow)
+          marchMinDist = min(marchMinDist, d);
+          
           // Calculate and apply step
           t += calculateStepSize(d);
           
-          if (t > MAX_DIST)
+          if (t > MAX_DIST) {
+              marchStop = STOP_MAX_DIST;
               break;
+          }
       }
       
       return t;
@@ -365,10 +1474,13 @@ export const fragmentShader = `
   // Cross-section mode 3: Ignore hits beyond cross-section plane
   float rayMarchClipMode3(vec3 ro, vec3 rd) {
       float t = 0.0;
+      marchStop = STOP_MAX_MARCH;
+      marchMinDist = 1e10;
       
       for (int i = 0; i < MAX_MARCH; i++) {
+          marchSteps = i + 1;
           vec3 pos = ro + rd * t;
-          float d = quaternionJuliaDE(pos);
+          float d = sceneDE(pos);
           
           // Hit condition with special handling
           if (d < HIT_THRESHOLD) {
@@ -379,14 +1491,20 @@ export const fragmentShader = `
               }
               
               // Otherwise render as normal
+              marchStop = STOP_HIT;
               return t;
           }
           
+          // Closest approach of the rays that do not stop here (atmospheric glow)
+          marchMinDist = min(marchMinDist, d);
+          
           // Calculate and apply step
           t += calculateStepSize(d);
           
-          if (t > MAX_DIST)
+          if (t > MAX_DIST) {
+              marchStop = STOP_MAX_DIST;
               break;
+          }
       }
       
       return t;
@@ -409,26 +1527,111 @@ export const fragmentShader = `
       }
   }
 
+  // Atmosphere: glow from the closest approach of a missing ray, height fog
+  // integrated analytically along the ray, and a depth color ramp for surfaces
+  vec3 atmosphereGlow() {
+      if (u_glowIntensity <= 0.0) return vec3(0.0);
+      return u_glowColor * u_glowIntensity * exp(-marchMinDist / u_glowRadius);
+  }
+
+  float fogAmount(vec3 ro, vec3 rd, float t) {
+      if (u_fogDensity <= 0.0) return 0.0;
+      float opticalDepth = u_fogDensity * t;
+      if (u_fogHeightFalloff > 0.0) {
+          // Integral of density * exp(-falloff * (y - height)) along the ray
+          float k = u_fogHeightFalloff * rd.y;
+          float base = exp(clamp(-u_fogHeightFalloff * (ro.y - u_fogHeight), -80.0, 80.0));
+          float along = abs(k) > 1e-4 ? (1.0 - exp(clamp(-k * t, -80.0, 80.0))) / k : t;
+          opticalDepth = u_fogDensity * base * along;
+      }
+      return 1.0 - exp(-opticalDepth);
+  }
+
+  // Transparent background: only fog and glow cover it (premultiplied alpha)
+  vec4 transparentBackground(vec3 ro, vec3 rd) {
+      float fog = fogAmount(ro, rd, MAX_DIST);
+      vec3 glow = atmosphereGlow();
+      float alpha = clamp(max(fog, max(glow.r, max(glow.g, glow.b))), 0.0, 1.0);
+      return vec4(min(u_fogColor * fog + glow, vec3(alpha)), alpha);
+  }
+
+  vec3 applyAtmosphere(vec3 col, vec3 ro, vec3 rd, float t, bool hit) {
+      if (hit && u_depthCueIntensity > 0.0) {
+          float depth = smoothstep(u_depthCueRange.x, u_depthCueRange.y, t);
+          col = mix(col, col * mix(u_depthCueNear, u_depthCueFar, depth), u_depthCueIntensity);
+      }
+      col = mix(col, u_fogColor, fogAmount(ro, rd, t));
+      if (!hit) col += atmosphereGlow();
+      return col;
+  }
+
+  // Analytic normal: carries the Jacobian of the orbit with respect to the three
+  // view-space axes (one 4D column each) through the iteration. The gradient of
+  // |z| at the end of the orbit is J^T z, one pass instead of six DE evaluations.
+  // Returns vec3(0.0) when the iteration has no closed-form derivative.
+  vec3 getAnalyticNormal(vec3 pos) {
+  #ifdef CUSTOM_FORMULA
+      return vec3(0.0);
+  #endif
+      float n = effectivePower();
+      if (fract(n) != 0.0) return vec3(0.0); // Fractional powers use the polar form
+      if (u_symmetryStage >= 0) return vec3(0.0); // Folds are piecewise, finite differences handle the seams
+
+      vec4 z;
+      vec4 c;
+      initOrbit(pos, z, c);
+      // The slice point depends on pos through the first three columns of u_sliceRotation;
+      // Julia sets start with that in z, Mandelbrot sets add it through c every step
+      bool mandelbrot = isMandelbrotOrbit();
+      mat4 J = mandelbrot ? mat4(0.0) : u_sliceRotation;
+      mat4 Jc = mandelbrot ? u_sliceRotation : mat4(0.0);
+      for (int i = 0; i < 512; i++){
+          if(float(i) >= u_maxIter) break;
+          if (escaped(z)) break;
+          if (isHybridStep(i)) {
+              for (int k = 0; k < 3; k++) J[k] = hybridDerivativeVec(z, J[k], Jc[k]);
+              z = hybridTransform(z, c);
+              continue;
+          }
+          // Product rule for z^n, column by column
+          vec4 w = z;
+          mat4 dW = J;
+          for (int m = 1; m < 8; m++) {
+              if (float(m) >= n) break;
+              for (int k = 0; k < 3; k++) dW[k] = amul(dW[k], z) + amul(w, J[k]);
+              w = amul(w, z);
+          }
+          for (int k = 0; k < 3; k++) J[k] = dW[k] + Jc[k];
+          z = w + c;
+      }
+      return vec3(dot(J[0], z), dot(J[1], z), dot(J[2], z));
+  }
+
   // Normal (finite differences)
   vec3 getNormal(vec3 p) {
+      // The Jacobian only describes the main Julia set, CSG scenes use finite differences
+      if (u_analyticNormals && u_csgCount == 0) {
+          vec3 grad = getAnalyticNormal(p);
+          if (dot(grad, grad) > 1e-20) return normalize(grad);
+      }
       float eps = 0.001;
-      float dx = quaternionJuliaDE(p + vec3(eps, 0.0, 0.0)) - quaternionJuliaDE(p - vec3(eps, 0.0, 0.0));
-      float dy = quaternionJuliaDE(p + vec3(0.0, eps, 0.0)) - quaternionJuliaDE(p - vec3(0.0, eps, 0.0));
-      float dz = quaternionJuliaDE(p + vec3(0.0, 0.0, eps)) - quaternionJuliaDE(p - vec3(0.0, 0.0, eps));
+      float dx = sceneDE(p + vec3(eps, 0.0, 0.0)) - sceneDE(p - vec3(eps, 0.0, 0.0));
+      float dy = sceneDE(p + vec3(0.0, eps, 0.0)) - sceneDE(p - vec3(0.0, eps, 0.0));
+      float dz = sceneDE(p + vec3(0.0, 0.0, eps)) - sceneDE(p - vec3(0.0, 0.0, eps));
       return normalize(vec3(dx, dy, dz));
   }
 
-  // Soft shadows
-  float calcShadow(vec3 ro, vec3 rd) {
+  // Soft shadows toward a light at distance maxT
+  float calcShadow(vec3 ro, vec3 rd, float maxT) {
       float t = 0.02;
       float res = 1.0;
       for(int i=0; i<32; i++){
           vec3 p = ro + rd*t;
-          float d = quaternionJuliaDE(p);
+          float d = sceneDE(p);
           if(d < HIT_THRESHOLD * 5.0) return 0.0;
           res = min(res, 10.0*d/t);
           t += d;
-          if(t > 20.0) break;
+          if(t > min(maxT, 20.0)) break;
       }
       return clamp(res, 0.0, 1.0);
   }
@@ -439,7 +1642,7 @@ export const fragmentShader = `
       for(int i=0; i<5; i++){
           float dist = 0.02 + 0.12*float(i);
           vec3 pt = pos + nor * dist;
-          float d = quaternionJuliaDE(pt);
+          float d = sceneDE(pt);
           if(d < dist) {
               occ += 1.0;
           }
@@ -450,6 +1653,112 @@ export const fragmentShader = `
       return 1.0 - aoStrength*(1.0 - rawAO);
   }
 
+  // Unit direction from pos toward light i; lightDist receives the distance to
+  // the light (very large for directional lights)
+  vec3 lightDirection(int i, vec3 pos, out float lightDist) {
+      int type = u_lightType[i];
+      if (type == 0 || type == 3) {
+          lightDist = 1e4;
+          return normalize(type == 3 ? u_camRot * u_lightVector[i] : u_lightVector[i]);
+      }
+      vec3 toLight = (type == 2 ? u_camPos : u_lightVector[i]) - pos;
+      lightDist = length(toLight);
+      return toLight / max(lightDist, 1e-6);
+  }
+
+  // Turns a world direction into the environment's frame
+  vec3 environmentFrame(vec3 d) {
+      float c = cos(u_envRotation);
+      float s = sin(u_envRotation);
+      return vec3(c * d.x - s * d.z, d.y, s * d.x + c * d.z);
+  }
+
+  // Radiance arriving from direction d; higher lod reads blurrier prefiltered levels
+  vec3 sampleEnvironment(vec3 d, float lod) {
+      d = environmentFrame(normalize(d));
+      vec2 uv = vec2(atan(d.z, d.x) * 0.15915494 + 0.5, 0.5 - asin(clamp(d.y, -1.0, 1.0)) * 0.31830989);
+      return textureLod(u_envMap, uv, lod).rgb * u_envIntensity;
+  }
+
+  // Diffuse light for normal n (irradiance / pi) from the spherical harmonics
+  vec3 environmentIrradiance(vec3 n) {
+      n = environmentFrame(n);
+      vec3 e = u_envSH[0]
+          + u_envSH[1] * n.y + u_envSH[2] * n.z + u_envSH[3] * n.x
+          + u_envSH[4] * (n.x * n.y) + u_envSH[5] * (n.y * n.z)
+          + u_envSH[6] * (3.0 * n.z * n.z - 1.0)
+          + u_envSH[7] * (n.x * n.z) + u_envSH[8] * (n.x * n.x - n.y * n.y);
+      return max(e, vec3(0.0)) * u_envIntensity;
+  }
+
+  // Procedural backgrounds: stars and clouds are fixed to view directions, so they
+  // turn with the camera; gradients are fixed to the image (screenUv in 0..1)
+  float backgroundHash(vec3 p) {
+      p = fract(p * vec3(443.897, 441.423, 437.195));
+      p += dot(p, p.yzx + 19.19);
+      return fract((p.x + p.y) * p.z);
+  }
+
+  float backgroundNoise(vec3 p) {
+      vec3 i = floor(p);
+      vec3 f = fract(p);
+      f = f * f * (3.0 - 2.0 * f);
+      return mix(
+          mix(mix(backgroundHash(i), backgroundHash(i + vec3(1, 0, 0)), f.x),
+              mix(backgroundHash(i + vec3(0, 1, 0)), backgroundHash(i + vec3(1, 1, 0)), f.x), f.y),
+          mix(mix(backgroundHash(i + vec3(0, 0, 1)), backgroundHash(i + vec3(1, 0, 1)), f.x),
+              mix(backgroundHash(i + vec3(0, 1, 1)), backgroundHash(i + vec3(1, 1, 1)), f.x), f.y),
+          f.z);
+  }
+
+  // Three layers of cells on spheres of growing radius; a few cells hold a star
+  vec3 starfield(vec3 rd) {
+      vec3 stars = vec3(0.0);
+      for (int layer = 0; layer < 3; layer++) {
+          vec3 p = rd * (80.0 + 70.0 * float(layer)) + float(layer) * 31.7;
+          vec3 cell = floor(p);
+          float h = backgroundHash(cell);
+          if (h > 1.0 - 0.06 * u_starDensity) {
+              vec3 center = vec3(backgroundHash(cell + 7.1), backgroundHash(cell + 3.3), backgroundHash(cell + 5.9)) * 0.6 + 0.2;
+              float glow = smoothstep(0.25, 0.0, length(fract(p) - center));
+              vec3 tint = mix(vec3(1.0, 0.85, 0.7), vec3(0.75, 0.85, 1.0), backgroundHash(cell + 1.7));
+              stars += tint * glow * fract(h * 37.0);
+          }
+      }
+      return stars * u_starBrightness;
+  }
+
+  vec3 nebula(vec3 rd) {
+      float clouds = 0.0;
+      float amplitude = 0.5;
+      vec3 p = rd * 2.5;
+      for (int octave = 0; octave < 5; octave++) {
+          clouds += amplitude * backgroundNoise(p);
+          p *= 2.03;
+          amplitude *= 0.5;
+      }
+      clouds = smoothstep(0.35, 0.85, clouds);
+      return mix(u_backgroundColor, u_backgroundColor2, clouds) + starfield(rd) * (1.0 - clouds);
+  }
+
+  // Color of rays that miss the fractal
+  vec3 backgroundColor(vec3 rd, vec2 screenUv) {
+      if (u_envEnabled && u_envBackground) {
+          return sampleEnvironment(rd, u_envBackgroundBlur * u_envMaxLod);
+      }
+      if (u_backgroundMode == BACKGROUND_VERTICAL) {
+          return mix(u_backgroundColor2, u_backgroundColor, screenUv.y);
+      } else if (u_backgroundMode == BACKGROUND_RADIAL) {
+          vec2 fromCenter = (screenUv - 0.5) * vec2(viewAspect, 1.0);
+          return mix(u_backgroundColor, u_backgroundColor2, clamp(length(fromCenter) * 1.4, 0.0, 1.0));
+      } else if (u_backgroundMode == BACKGROUND_STARFIELD) {
+          return u_backgroundColor + starfield(rd);
+      } else if (u_backgroundMode == BACKGROUND_NEBULA) {
+          return nebula(rd);
+      }
+      return u_backgroundColor;
+  }
+
   // Specular
   float calcSpecular(vec3 rd, vec3 lightDir, vec3 normal) {
       vec3 h = normalize(lightDir - rd);
@@ -581,10 +1890,32 @@ export const fragmentShader = `
     }
   }
 
+  // Translucent interior: emission-absorption integration of the bounded part
+  // of the ray over u_interiorDepth, colored by the interior method.
+  // Returns premultiplied color and opacity
+  #define INTERIOR_VOLUME_STEPS 48
+  vec4 marchInteriorVolume(vec3 ro, vec3 rd, float tStart) {
+      float stepSize = u_interiorDepth / float(INTERIOR_VOLUME_STEPS);
+      float alpha = 1.0 - exp(-u_interiorDensity * stepSize);
+      vec4 acc = vec4(0.0);
+      for (int i = 0; i < INTERIOR_VOLUME_STEPS; i++) {
+          float t = tStart + (float(i) + 0.5) * stepSize;
+          float value;
+          if (getInteriorValue(ro + rd * t, value)) {
+              vec3 sampleColor = getPalette(value, u_paletteIndex);
+              acc.rgb += (1.0 - acc.a) * alpha * sampleColor;
+              acc.a += (1.0 - acc.a) * alpha;
+              if (acc.a > 0.98) break;
+          }
+      }
+      return acc;
+  }
+
     // Function to calculate orbit trap value
   float calcOrbitTrap(vec3 pos) {
-    vec4 z = vec4(pos, u_slice);
-    vec4 c = u_c;
+    vec4 z;
+    vec4 c;
+    initOrbit(pos, z, c);
     float minDistance = 1000.0;  // Large initial value
     
     for (int i=0; i<30; i++) {  // Fewer iterations than main loop for performance
@@ -613,10 +1944,10 @@ export const fragmentShader = `
       }
       
       // Next iteration
-      z = qmul(z, z) + c;
+      z = iterate(i, z, c);
       
       // Exit condition
-      if (length(z) > 4.0) break;
+      if (escaped(z)) break;
     }
     
     // Transform distance to coloring value (0-1)
@@ -763,36 +2094,65 @@ export const fragmentShader = `
     return vec3(1.0);
   }
 
-  void main(){
-      vec2 uv = (gl_FragCoord.xy / u_resolution.xy) * 2.0 - 1.0;
-      uv.x *= u_resolution.x / u_resolution.y;
+  // Blue - cyan - green - yellow - red heatmap for 0..1
+  vec3 heatmap(float v) {
+      v = clamp(v, 0.0, 1.0);
+      return clamp(vec3(1.5) - abs(4.0 * v - vec3(3.0, 2.0, 1.0)), 0.0, 1.0);
+  }
 
-      vec3 ro = u_camPos;
-      vec3 rd = normalize(u_camRot * vec3(uv, -u_focalLength));
+  // Diagnostics views of the last rayMarch call (legend in tweakpane-ui/rendering.js)
+  vec3 diagnosticsColor(vec3 ro, vec3 rd, float t) {
+      if (u_debugView == 1) {
+          return heatmap(float(marchSteps) / float(MAX_MARCH));
+      } else if (u_debugView == 2) {
+          // Log scale from 1e-6 to 1
+          float d = sceneDE(ro + rd * min(t, MAX_DIST));
+          return heatmap(log(max(d, 1e-7)) / log(10.0) / 6.0 + 1.0);
+      } else if (u_debugView == 3) {
+          if (marchStop != STOP_HIT) return vec3(0.0);
+          return heatmap(getIterationCount(ro + rd * t) / u_maxIter);
+      }
+      if (marchStop == STOP_HIT) return vec3(0.2, 0.8, 0.3);
+      if (marchStop == STOP_MAX_DIST) return vec3(0.2, 0.4, 0.9);
+      return vec3(0.9, 0.2, 0.2);
+  }
 
-      float t = rayMarch(ro, rd);
-      if(t > MAX_DIST - 0.1) {
-          gl_FragColor = vec4(0.0,0.0,0.0,1.0);
-          return;
+  // Maps a unit square sample to a point on the aperture: uniform on the unit disc,
+  // or on a regular polygon built from one triangle per blade
+  vec2 sampleAperture(vec2 s) {
+      if (u_bokehBlades < 3) {
+          float angle = 6.28318531 * s.y;
+          return sqrt(s.x) * vec2(cos(angle), sin(angle));
       }
-      vec3 pos = ro + rd * t;
-      vec3 normal = getNormal(pos);
+      float blades = float(u_bokehBlades);
+      float sector = floor(s.x * blades);
+      float along = s.x * blades - sector;
+      float a0 = 6.28318531 * sector / blades;
+      float a1 = 6.28318531 * (sector + 1.0) / blades;
+      return sqrt(s.y) * mix(vec2(cos(a0), sin(a0)), vec2(cos(a1), sin(a1)), along);
+  }
 
-      // Simple light
-      vec3 lightPos = vec3(10.0, 10.0, 10.0);
-      vec3 lightDir = normalize(lightPos - pos);
-      float diff = clamp(dot(normal, lightDir), 0.0, 1.0);
+  // Thin lens: moves the ray origin to a point on the aperture and aims it at the
+  // point where the pinhole ray crosses the focus plane. Each pixel offsets the
+  // per-pass lens sample by its own hash, so accumulated passes cover the aperture.
+  void applyThinLens(inout vec3 ro, inout vec3 rd, vec2 pixel) {
+      vec3 forward = u_camRot * vec3(0.0, 0.0, -1.0);
+      vec3 focusPoint = ro + rd * (u_focusDistance / dot(rd, forward));
 
-      // Shadows
-      float shadowVal = 1.0;
-      if(u_enableShadows){
-        shadowVal = calcShadow(pos + normal*0.001, lightDir);
-      }
+      vec2 pixelHash = fract(sin(vec2(dot(pixel, vec2(127.1, 311.7)), dot(pixel, vec2(269.5, 183.3)))) * 43758.5453);
+      vec2 lens = sampleAperture(fract(u_lensSample + pixelHash)) * u_aperture;
 
-      // AO
-      float aoVal = 1.0;
-      if(u_enableAO){
-        aoVal = calcAO(pos, normal);
+      ro += u_camRot * vec3(lens, 0.0);
+      rd = normalize(focusPoint - ro);
+  }
+
+  // Surface color (albedo) at a hit point: palette, interior, physics-based or
+  // orbit trap coloring with the color dynamics applied
+  vec3 surfaceColor(vec3 pos, vec3 normal) {
+      // Julia objects of a CSG scene are colored from their own orbit
+      int hitObject = sceneObjectAt(pos);
+      if (hitObject >= 0 && u_csgType[hitObject] == 3) {
+          selectJuliaInstance(hitObject);
       }
 
       // Iterations
@@ -803,11 +2163,16 @@ export const fragmentShader = `
 
       // Fractal coloring with advanced effects
       vec3 fractColor = vec3(1.0);
+      float interiorValue = 0.0;
       if(u_colorEnabled) {
-        if (u_physicsBasedColor) {
+        if (u_interiorMode > 0 && getInteriorValue(pos, interiorValue)) {
+          // Interior coloring for bounded orbits
+          fractColor = getPalette(interiorValue, u_paletteIndex);
+        }
+        else if (u_physicsBasedColor) {
           // Physics-based coloring
           vec3 physicsColor = getPhysicsBasedColor(iterNorm, pos, normal);
-          
+        
           // Option to mix with standard palette color
           if (u_physicsParams.w < 1.0) {
             vec3 paletteColor = getPalette(iterNorm, u_paletteIndex);
@@ -825,23 +2190,317 @@ export const fragmentShader = `
           // Standard iteration-based coloring
           fractColor = getPalette(iterNorm, u_paletteIndex);
         }
-        
+      
         // Apply dynamic color adjustments
         fractColor = applyColorDynamics(fractColor, u_time);
       }
 
-      // Diffuse
-      vec3 col = fractColor * (0.2 + 0.8 * diff * shadowVal);
+      selectMainInstance();
+      return fractColor;
+  }
+
+  // --- Path Tracing ---
+  // Lambertian paths: cosine-weighted bounces (the pdf cancels the cosine and 1/pi),
+  // direct light from the rig at every vertex with a shadow ray, and the sky
+  // (environment map, or the ambient level as a uniform sky) where paths escape
+  #define MAX_PATH_BOUNCES 8
+  uint rngState = 0u;
+
+  void initRandom(vec2 pixel) {
+      rngState = uint(pixel.x) * 1973u + uint(pixel.y) * 9277u + uint(u_sampleIndex) * 26699u;
+  }
+
+  // PCG hash step, uniform in [0, 1]
+  float random() {
+      rngState = rngState * 747796405u + 2891336453u;
+      uint word = ((rngState >> ((rngState >> 28u) + 4u)) ^ rngState) * 277803737u;
+      word = (word >> 22u) ^ word;
+      return float(word) / 4294967295.0;
+  }
+
+  vec3 cosineDirection(vec3 normal) {
+      float u = random();
+      float phi = 6.28318531 * random();
+      vec3 tangent = normalize(cross(abs(normal.x) > 0.5 ? vec3(0.0, 1.0, 0.0) : vec3(1.0, 0.0, 0.0), normal));
+      vec3 bitangent = cross(normal, tangent);
+      float r = sqrt(u);
+      return normalize(tangent * r * cos(phi) + bitangent * r * sin(phi) + normal * sqrt(1.0 - u));
+  }
+
+  vec3 skyRadiance(vec3 rd) {
+      vec3 sky = u_envEnabled ? sampleEnvironment(rd, 0.0) : vec3(u_ambient);
+      return sky * u_pathSkyIntensity;
+  }
+
+  // Radiance along a primary ray that hit the scene at t
+  vec3 pathTrace(vec3 ro, vec3 rd, float t) {
+      vec3 radiance = vec3(0.0);
+      vec3 throughput = vec3(1.0);
+      for (int bounce = 0; bounce <= MAX_PATH_BOUNCES; bounce++) {
+          if (bounce > 0) {
+              t = rayMarchStandard(ro, rd);
+              if (t > MAX_DIST - 0.1) {
+                  radiance += throughput * skyRadiance(rd);
+                  break;
+              }
+          }
+          vec3 pos = ro + rd * t;
+          vec3 normal = getNormal(pos);
+          throughput *= surfaceColor(pos, normal);
+
+          // Next event estimation: light arriving directly from the rig
+          for (int i = 0; i < MAX_LIGHTS; i++) {
+              if (i >= u_lightCount) break;
+              float lightDist;
+              vec3 lightDir = lightDirection(i, pos, lightDist);
+              float diff = clamp(dot(normal, lightDir), 0.0, 1.0);
+              if (diff <= 0.0) continue;
+              float visibility = u_lightShadows[i] != 0 ? calcShadow(pos + normal*0.001, lightDir, lightDist) : 1.0;
+              radiance += throughput * u_lightColor[i] * diff * visibility;
+          }
+
+          if (bounce >= u_pathBounces) break;
+          ro = pos + normal * 0.001;
+          rd = cosineDirection(normal);
+      }
+      return radiance;
+  }
+
+  // --- Stereo ---
+  // Eyes sit half the interocular distance left and right of the camera and aim at
+  // the point their mono ray reaches on the convergence plane (parallel axes with
+  // shifted frusta), so surfaces at the convergence distance appear at screen depth
+  void applyStereoEye(inout vec3 ro, inout vec3 rd, float eye) {
+      // Panoramas use omnidirectional stereo: the eyes sit across each ray
+      // horizontally, converging at the same distance all around, and blend to
+      // mono toward the poles
+      if (u_projection != 0) {
+          vec3 side = cross(rd, u_camRot * vec3(0.0, 1.0, 0.0));
+          vec3 convergencePoint = ro + rd * u_stereoConvergence;
+          ro += side * (0.5 * eye * u_stereoSeparation);
+          rd = normalize(convergencePoint - ro);
+          return;
+      }
+      vec3 forward = u_camRot * vec3(0.0, 0.0, -1.0);
+      vec3 convergencePoint = ro + rd * (u_stereoConvergence / dot(rd, forward));
+      ro += u_camRot * vec3(0.5 * eye * u_stereoSeparation, 0.0, 0.0);
+      rd = normalize(convergencePoint - ro);
+  }
+
+  // Splits the image into the eyes' views. Side-by-side puts the left eye on the left
+  // (cross-eye: on the right), over-under puts it on top. Full side-by-side and
+  // cross-eye views keep their own aspect; half side-by-side and over-under views are
+  // rendered with the whole image's aspect and squeezed, as 3D video players expect;
+  // panoramas stack full-size over-under views instead (the 360 top-bottom convention).
+  void stereoLayout(vec2 pixel, out vec2 viewPixel, out vec2 viewSize, out float aspect, out float eye) {
+      viewPixel = pixel;
+      viewSize = u_resolution.xy;
+      aspect = u_resolution.x / u_resolution.y;
+      eye = 0.0;
+      if (u_stereoMode == STEREO_SIDE_BY_SIDE || u_stereoMode == STEREO_SIDE_BY_SIDE_HALF || u_stereoMode == STEREO_CROSS_EYE) {
+          viewSize.x *= 0.5;
+          bool rightHalf = pixel.x >= viewSize.x;
+          if (rightHalf) viewPixel.x -= viewSize.x;
+          eye = rightHalf ? 1.0 : -1.0;
+          if (u_stereoMode == STEREO_CROSS_EYE) eye = -eye;
+          if (u_stereoMode != STEREO_SIDE_BY_SIDE_HALF) aspect = viewSize.x / viewSize.y;
+      } else if (u_stereoMode == STEREO_OVER_UNDER) {
+          viewSize.y *= 0.5;
+          bool topHalf = pixel.y >= viewSize.y;
+          if (topHalf) viewPixel.y -= viewSize.y;
+          eye = topHalf ? -1.0 : 1.0;
+          if (u_projection != 0) aspect = viewSize.x / viewSize.y;
+      }
+  }
+
+  // Premultiplied color of a ray that leaves the scene: the background, or only fog
+  // and glow over a transparent background
+  vec4 missColor(vec3 ro, vec3 rd, vec2 viewUv) {
+      if (u_backgroundMode == BACKGROUND_TRANSPARENT && !(u_envEnabled && u_envBackground)) {
+          return transparentBackground(ro, rd);
+      }
+      return vec4(applyAtmosphere(backgroundColor(rd, viewUv), ro, rd, MAX_DIST, false), 1.0);
+  }
+
+  // --- Projections ---
+  // Map a position in the view (0..1) to a camera-space direction
+  // (+x right, +y up, -z forward)
+
+  // 360 x 180 degrees, the view axis in the center
+  vec3 equirectangularDirection(vec2 viewUv) {
+      float longitude = (viewUv.x - 0.5) * 6.28318531;
+      float latitude = (viewUv.y - 0.5) * 3.14159265;
+      return vec3(sin(longitude) * cos(latitude), sin(latitude), -cos(longitude) * cos(latitude));
+  }
+
+  // 3x2 grid of 90 degree faces, +x, -x, +y on top and -y, +z, -z below, each upright
+  // as seen from inside the cube when turning (or tilting the head) from the view axis
+  vec3 cubemapDirection(vec2 viewUv) {
+      vec2 cell = viewUv * vec2(3.0, 2.0);
+      vec2 corner = min(floor(cell), vec2(2.0, 1.0));
+      vec2 f = (cell - corner) * 2.0 - 1.0;
+      int face = int(corner.x) + (corner.y > 0.5 ? 0 : 3);
+      if (face == 0) return vec3(1.0, f.y, f.x);
+      if (face == 1) return vec3(-1.0, f.y, -f.x);
+      if (face == 2) return vec3(f.x, 1.0, f.y);
+      if (face == 3) return vec3(f.x, -1.0, -f.y);
+      if (face == 4) return vec3(-f.x, f.y, 1.0);
+      return vec3(f.x, f.y, -1.0);
+  }
+
+  // Angular fisheye filling the circle inscribed in the view, the zenith in the center
+  // tilted u_domeTilt up from the view axis; false outside the circle
+  bool domemasterDirection(vec2 viewUv, out vec3 dir) {
+      vec2 p = viewUv * 2.0 - 1.0;
+      p *= viewAspect >= 1.0 ? vec2(viewAspect, 1.0) : vec2(1.0, 1.0 / viewAspect);
+      float r = length(p);
+      dir = vec3(0.0, 0.0, -1.0);
+      if (r > 1.0) return false;
+      float theta = r * 0.5 * u_domeFov;
+      vec2 across = r > 0.0 ? p / r * sin(theta) : vec2(0.0);
+      float z = -cos(theta);
+      float c = cos(u_domeTilt);
+      float s = sin(u_domeTilt);
+      dir = vec3(across.x, across.y * c - z * s, across.y * s + z * c);
+      return true;
+  }
+
+  // Camera-space direction through viewUv for the selected projection; false where
+  // the projection leaves the image empty
+  bool projectRay(vec2 viewUv, out vec3 dir) {
+      if (u_projection == PROJECTION_EQUIRECTANGULAR) {
+          dir = equirectangularDirection(viewUv);
+      } else if (u_projection == PROJECTION_CUBEMAP) {
+          dir = normalize(cubemapDirection(viewUv));
+      } else if (u_projection == PROJECTION_DOMEMASTER) {
+          return domemasterDirection(viewUv, dir);
+      } else {
+          vec2 uv = (viewUv * 2.0 - 1.0) * vec2(viewAspect, 1.0);
+          dir = normalize(vec3(uv, -u_focalLength));
+      }
+      return true;
+  }
+
+  // Shades the ray through viewUv (0..1 within the eye's view, which also places the
+  // screen-fixed backgrounds) for one eye (-1: left, 0: mono, 1: right); pixel seeds
+  // the per-pixel hashes
+  vec4 renderView(vec2 viewUv, vec2 pixel, float eye) {
+      vec3 dir;
+      if (!projectRay(viewUv, dir)) {
+          // Outside the dome circle: black, or nothing over a transparent background
+          return u_backgroundMode == BACKGROUND_TRANSPARENT ? vec4(0.0) : vec4(0.0, 0.0, 0.0, 1.0);
+      }
+      vec3 ro = u_camPos;
+      vec3 rd = u_camRot * dir;
+      if (eye != 0.0) {
+          applyStereoEye(ro, rd, eye);
+      }
+      // Depth of field needs the pinhole image plane
+      if (u_aperture > 0.0 && u_projection == 0) {
+          applyThinLens(ro, rd, floor(pixel));
+      }
+
+      // Diagnostics views replace the shaded output
+      if (u_debugView > 0) {
+          float tDebug = rayMarch(ro, rd);
+          return vec4(diagnosticsColor(ro, rd, tDebug), 1.0);
+      }
+
+      // Interior volume: starts where the ray first touches the set, or at the
+      // clipping plane in cross-section modes so the cut-open inside is visible
+      if (u_interiorVolume) {
+          float tEntry = rayMarchStandard(ro, rd);
+          if (u_clipMode != 0) tEntry = max(tEntry, u_clipDistance);
+          vec4 volume = tEntry < MAX_DIST - 0.1 ? marchInteriorVolume(ro, rd, tEntry) : vec4(0.0);
+          // Premultiplied volume over what the ray would show behind it
+          vec4 behind = missColor(ro, rd, viewUv);
+          return vec4(applyColorDynamics(volume.rgb, u_time), volume.a) + (1.0 - volume.a) * behind;
+      }
+
+      float t = rayMarch(ro, rd);
+      if(t > MAX_DIST - 0.1) {
+          return missColor(ro, rd, viewUv);
+      }
+      if (u_pathTracing) {
+          initRandom(floor(pixel));
+          return vec4(applyAtmosphere(pathTrace(ro, rd, t), ro, rd, t, true), 1.0);
+      }
+
+      vec3 pos = ro + rd * t;
+      vec3 normal = getNormal(pos);
+
+      // Light rig: diffuse and specular light with per-light shadows
+      vec3 diffuseLight = vec3(0.0);
+      vec3 specularLight = vec3(0.0);
+      for (int i = 0; i < MAX_LIGHTS; i++) {
+        if (i >= u_lightCount) break;
+        float lightDist;
+        vec3 lightDir = lightDirection(i, pos, lightDist);
+        float diff = clamp(dot(normal, lightDir), 0.0, 1.0);
+
+        float shadowVal = 1.0;
+        if (u_enableShadows && u_lightShadows[i] != 0) {
+          shadowVal = calcShadow(pos + normal*0.001, lightDir, lightDist);
+        }
+
+        diffuseLight += u_lightColor[i] * diff * shadowVal;
+        if (u_enableSpecular) {
+          specularLight += u_lightColor[i] * calcSpecular(rd, lightDir, normal) * shadowVal;
+        }
+      }
+
+      // AO
+      float aoVal = 1.0;
+      if(u_enableAO){
+        aoVal = calcAO(pos, normal);
+      }
+
+      vec3 fractColor = surfaceColor(pos, normal);
+
+      // Diffuse; the environment replaces the flat ambient term
+      vec3 ambientLight = u_envEnabled ? environmentIrradiance(normal) : vec3(u_ambient);
+      vec3 col = fractColor * (ambientLight + 0.8 * diffuseLight);
 
       // Specular
-      if(u_enableSpecular){
-        float spec = calcSpecular(rd, lightDir, normal) * shadowVal;
-        col += vec3(1.0) * spec * 0.5;
+      col += specularLight * 0.5;
+
+      // Environment reflection with Schlick Fresnel
+      if (u_envEnabled) {
+        float fresnel = pow(1.0 - clamp(dot(normal, -rd), 0.0, 1.0), 5.0);
+        float reflectance = u_envReflectivity + (1.0 - u_envReflectivity) * fresnel;
+        col += sampleEnvironment(reflect(rd, normal), u_envReflectionBlur * u_envMaxLod) * reflectance;
       }
 
       // AO (partially)
       col *= aoVal;
 
-      gl_FragColor = vec4(col, 1.0);
+      col = applyAtmosphere(col, ro, rd, t, true);
+
+      return vec4(col, 1.0);
+  }
+
+  void main(){
+      vec2 pixel = gl_FragCoord.xy + u_tileOffset;
+
+      // Which eye's view this pixel belongs to, and where in it
+      vec2 viewPixel;
+      vec2 viewSize;
+      float eye;
+      stereoLayout(pixel, viewPixel, viewSize, viewAspect, eye);
+      vec2 viewUv = (viewPixel + u_jitter) / viewSize;
+
+      // Anaglyph traces both eyes per pixel; the loop keeps renderView inlined once
+      bool anaglyph = u_stereoMode == STEREO_ANAGLYPH;
+      vec4 views[2];
+      views[1] = vec4(0.0);
+      for (int i = 0; i < 2; i++) {
+          views[i] = renderView(viewUv, pixel, anaglyph ? float(2 * i - 1) : eye);
+          if (!anaglyph) break;
+      }
+
+      // Red from the left eye, green and blue (cyan) from the right
+      gl_FragColor = anaglyph
+          ? vec4(views[0].r, views[1].g, views[1].b, max(views[0].a, views[1].a))
+          : views[0];
   }
 `;
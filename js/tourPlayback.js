@@ -240,6 +240,7 @@ export function updateTourPlayback(deltaTime) {
 let fractalModule = null;
 let shadersModule = null;
 let cameraModule = null;
+let formulaModule = null;
 
 // Pre-load modules to avoid dynamic imports during tour playback
 export async function preloadTourModules() {
@@ -247,15 +248,16 @@ export async function preloadTourModules() {
     if (!fractalModule) fractalModule = await import('./fractal.js');
     if (!shadersModule) shadersModule = await import('./shaders.js');
     if (!cameraModule) cameraModule = await import('./camera.js');
+    if (!formulaModule) formulaModule = await import('./formula.js');
     
     console.log("Tour playback modules preloaded");
-    return { fractalModule, shadersModule, cameraModule };
+    return { fractalModule, shadersModule, cameraModule, formulaModule };
 }
 
 // Apply a tour point to the system
 async function applyTourPoint(point) {
     // Ensure modules are loaded
-    if (!fractalModule || !shadersModule || !cameraModule) {
+    if (!fractalModule || !shadersModule || !cameraModule || !formulaModule) {
         await preloadTourModules();
     }
     
@@ -263,12 +265,35 @@ async function applyTourPoint(point) {
     if (point.fractalParams) applyFractalParameters(point.fractalParams);
     if (point.renderQuality) applyRenderQuality(point.renderQuality);
     if (point.crossSection) applyCrossSection(point.crossSection);
+    applyLighting(point.lighting);
+    fractalModule.setAtmosphere(point.atmosphere || {});
+    fractalModule.setPostFx(point.postFx || {});
     if (point.camera) applyCameraSettings(point.camera);
     
     // Force update stats panel to reflect changes
     updateStatsPanel(true);
 }
 
+// Apply the light rig from a tour point (older tours: the original single point light)
+function applyLighting(lighting) {
+    if (!lighting) {
+        fractalModule.setLightRig({ lights: [fractalModule.defaultKeyLight()] });
+        return;
+    }
+    fractalModule.setLightRig({
+        ambient: lighting.ambient,
+        lights: (lighting.lights || []).map(light => ({
+            enabled: light.enabled,
+            type: light.type,
+            direction: light.direction ? { x: light.direction[0], y: light.direction[1] } : undefined,
+            position: light.position ? { x: light.position[0], y: light.position[1], z: light.position[2] } : undefined,
+            color: light.color,
+            intensity: light.intensity,
+            shadows: light.shadows
+        }))
+    });
+}
+
 // Apply fractal parameters from a tour point
 function applyFractalParameters(params) {
     if (!fractalModule) return;
@@ -283,6 +308,58 @@ function applyFractalParameters(params) {
         shadersModule.updateFractalParamsUniform(fractalModule.fractalState.params);
     }
     
+    // Set iteration exponent (tours recorded before it existed use z^2 + c)
+    const power = params.power !== undefined ? params.power : CONFIG.FRACTAL.DEFAULT_POWER;
+    fractalModule.fractalState.power = power;
+    shadersModule.updatePowerUniform(power);
+    
+    // Set Julia/Mandelbrot mode and the Mandelbrot orbit start
+    fractalModule.fractalState.mode = params.mode !== undefined ? params.mode : 0;
+    if (params.z0 && params.z0.length === 4) {
+        fractalModule.fractalState.z0.set(
+            params.z0[0], params.z0[1], params.z0[2], params.z0[3]
+        );
+    }
+    shadersModule.updateFractalModeUniforms(fractalModule.fractalState.mode, fractalModule.fractalState.z0);
+    
+    // Set hypercomplex algebra (older tours always used Hamilton quaternions)
+    fractalModule.fractalState.algebra = params.algebra !== undefined ? params.algebra : 0;
+    shadersModule.updateAlgebraUniform(fractalModule.fractalState.algebra);
+    
+    // Set custom iteration formula (recompiles only when it changes)
+    formulaModule.setCustomFormula(params.customFormula || '');
+    
+    // Set hybrid sequence (older tours iterate a single rule)
+    const hybrid = fractalModule.fractalState.hybrid;
+    hybrid.enabled = false;
+    if (params.hybrid) {
+        hybrid.enabled = !!params.hybrid.enabled;
+        if (params.hybrid.sequence !== undefined) hybrid.sequence = params.hybrid.sequence;
+        if (params.hybrid.transform !== undefined) hybrid.transform = params.hybrid.transform;
+        if (params.hybrid.foldLimit !== undefined) hybrid.foldLimit = params.hybrid.foldLimit;
+        if (params.hybrid.rotation && params.hybrid.rotation.length === 3) {
+            hybrid.rotation.xw = params.hybrid.rotation[0];
+            hybrid.rotation.yw = params.hybrid.rotation[1];
+            hybrid.rotation.zw = params.hybrid.rotation[2];
+        }
+    }
+    shadersModule.updateHybridUniforms(hybrid);
+    
+    // Set symmetry folds (older tours have none)
+    const symmetry = fractalModule.fractalState.symmetry;
+    symmetry.enabled = false;
+    if (params.symmetry) {
+        symmetry.enabled = !!params.symmetry.enabled;
+        if (params.symmetry.stage !== undefined) symmetry.stage = params.symmetry.stage;
+        if (params.symmetry.polyhedral !== undefined) symmetry.polyhedral = params.symmetry.polyhedral;
+        symmetry.mirror = !!params.symmetry.mirror;
+        ['x', 'y', 'z', 'w'].forEach((axis, i) => {
+            if (params.symmetry.absFold) symmetry.absFold[axis] = !!params.symmetry.absFold[i];
+            if (params.symmetry.mirrorNormal) symmetry.mirrorNormal[axis] = params.symmetry.mirrorNormal[i];
+        });
+    }
+    shadersModule.updateSymmetryUniforms(symmetry);
+    
     // Set slice parameters
     if (params.sliceValue !== undefined) {
         fractalModule.fractalState.sliceValue = params.sliceValue;
@@ -296,6 +373,19 @@ function applyFractalParameters(params) {
     if (params.sliceAnimated !== undefined) {
         fractalModule.fractalState.animateSlice = params.sliceAnimated;
     }
+    
+    // Set hyperplane orientation (xw, yw, zw angles)
+    if (params.sliceRotation && params.sliceRotation.length === 3) {
+        const rotation = fractalModule.fractalState.sliceRotation;
+        rotation.xw = params.sliceRotation[0];
+        rotation.yw = params.sliceRotation[1];
+        rotation.zw = params.sliceRotation[2];
+        shadersModule.updateSliceRotationUniform(rotation);
+    }
+    
+    if (params.sliceRotationAnimated !== undefined) {
+        fractalModule.fractalState.animateSliceRotation = params.sliceRotationAnimated;
+    }
 }
 
 // Apply render quality settings from a tour point
@@ -350,6 +440,10 @@ function applyRenderQuality(quality) {
         console.log("Applied color palette:", quality.colorPalette === 0 ? "OFF" : quality.colorPalette);
     }
     
+    if (quality.analyticNormals !== undefined) {
+        fractalModule.qualitySettings.analyticNormals = quality.analyticNormals;
+    }
+    
     // Update all quality uniforms to ensure consistency
     shadersModule.updateQualityUniforms(fractalModule.qualitySettings);
 }
@@ -404,6 +498,33 @@ function applyCameraSettings(camera) {
         shadersModule.updateFocalLengthUniform(camera.focalLength);
     }
     
+    // Set depth of field (tours recorded without it use a pinhole camera)
+    cameraModule.cameraState.aperture = camera.aperture ?? 0.0;
+    if (camera.focusDistance !== undefined) {
+        cameraModule.cameraState.focusDistance = camera.focusDistance;
+    }
+    cameraModule.cameraState.bokehBlades = camera.bokehBlades ?? 0;
+    shadersModule.updateDepthOfFieldUniforms(cameraModule.cameraState);
+    
+    // Set stereo output (tours recorded without it play in mono)
+    cameraModule.cameraState.stereoMode = camera.stereoMode ?? 0;
+    cameraModule.cameraState.stereoAuto = camera.stereoAuto ?? true;
+    if (camera.interocular !== undefined) {
+        cameraModule.cameraState.interocular = camera.interocular;
+    }
+    if (camera.convergence !== undefined) {
+        cameraModule.cameraState.convergence = camera.convergence;
+    }
+    
+    // Set projection (tours recorded without it use the perspective camera)
+    cameraModule.cameraState.projection = camera.projection ?? 0;
+    if (camera.domeFov !== undefined) {
+        cameraModule.cameraState.domeFov = camera.domeFov;
+    }
+    if (camera.domeTilt !== undefined) {
+        cameraModule.cameraState.domeTilt = camera.domeTilt;
+    }
+    
     // Apply camera animation settings
     if (camera.animationEnabled !== undefined) {
         cameraModule.cameraState.animationEnabled = camera.animationEnabled;
@@ -433,6 +554,52 @@ function interpolateTourPoints(pointA, pointB, t) {
         }
     };
     
+    // Interpolate the exponent - fractional powers make the morph continuous
+    const powerA = pointA.fractalParams.power !== undefined ? pointA.fractalParams.power : CONFIG.FRACTAL.DEFAULT_POWER;
+    const powerB = pointB.fractalParams.power !== undefined ? pointB.fractalParams.power : CONFIG.FRACTAL.DEFAULT_POWER;
+    result.fractalParams.power = lerp(powerA, powerB, t);
+    
+    // Mode switches at the end point, z0 morphs like c
+    if (pointB.fractalParams.mode !== undefined) {
+        result.fractalParams.mode = pointB.fractalParams.mode;
+    }
+    if (pointA.fractalParams.z0 && pointB.fractalParams.z0) {
+        result.fractalParams.z0 = interpolateArray(pointA.fractalParams.z0, pointB.fractalParams.z0, t);
+    }
+    
+    // Algebras cannot be blended - switch at the end point like the mode
+    if (pointB.fractalParams.algebra !== undefined) {
+        result.fractalParams.algebra = pointB.fractalParams.algebra;
+    }
+    if (pointB.fractalParams.customFormula !== undefined) {
+        result.fractalParams.customFormula = pointB.fractalParams.customFormula;
+    }
+    
+    // Hybrid schedule switches at the end point, fold limit and rotation morph
+    if (pointB.fractalParams.hybrid) {
+        const hybridA = pointA.fractalParams.hybrid;
+        const hybridB = pointB.fractalParams.hybrid;
+        result.fractalParams.hybrid = { ...hybridB };
+        if (hybridA && hybridA.foldLimit !== undefined && hybridB.foldLimit !== undefined) {
+            result.fractalParams.hybrid.foldLimit = lerp(hybridA.foldLimit, hybridB.foldLimit, t);
+        }
+        if (hybridA && hybridA.rotation && hybridB.rotation) {
+            result.fractalParams.hybrid.rotation = hybridA.rotation.map(
+                (angle, i) => lerpAngle(angle, hybridB.rotation[i], t)
+            );
+        }
+    }
+    
+    // Folds switch at the end point, the mirror normal morphs
+    if (pointB.fractalParams.symmetry) {
+        const symmetryA = pointA.fractalParams.symmetry;
+        const symmetryB = pointB.fractalParams.symmetry;
+        result.fractalParams.symmetry = { ...symmetryB };
+        if (symmetryA && symmetryA.mirrorNormal && symmetryB.mirrorNormal) {
+            result.fractalParams.symmetry.mirrorNormal = interpolateArray(symmetryA.mirrorNormal, symmetryB.mirrorNormal, t);
+        }
+    }
+    
     // Interpolate other fractal parameters
     if (pointA.fractalParams.sliceValue !== undefined && pointB.fractalParams.sliceValue !== undefined) {
         result.fractalParams.sliceValue = lerp(pointA.fractalParams.sliceValue, pointB.fractalParams.sliceValue, t);
@@ -447,6 +614,17 @@ function interpolateTourPoints(pointA, pointB, t) {
         result.fractalParams.sliceAnimated = pointB.fractalParams.sliceAnimated;
     }
     
+    // Interpolate hyperplane angles along the shortest arc
+    if (pointA.fractalParams.sliceRotation && pointB.fractalParams.sliceRotation) {
+        result.fractalParams.sliceRotation = pointA.fractalParams.sliceRotation.map(
+            (angle, i) => lerpAngle(angle, pointB.fractalParams.sliceRotation[i], t)
+        );
+    }
+    
+    if (pointB.fractalParams.sliceRotationAnimated !== undefined) {
+        result.fractalParams.sliceRotationAnimated = pointB.fractalParams.sliceRotationAnimated;
+    }
+    
     // Interpolate camera rotation (special care for angle wrapping)
     if (pointA.camera.rotation && pointB.camera.rotation) {
         if (pointA.camera.rotation.pitch !== undefined && pointB.camera.rotation.pitch !== undefined) {
@@ -463,6 +641,28 @@ function interpolateTourPoints(pointA, pointB, t) {
         result.camera.focalLength = lerp(pointA.camera.focalLength, pointB.camera.focalLength, t);
     }
     
+    // Interpolate depth of field (focus pulls); the bokeh shape comes from the end point
+    result.camera.aperture = lerp(pointA.camera.aperture ?? 0.0, pointB.camera.aperture ?? 0.0, t);
+    if (pointA.camera.focusDistance !== undefined && pointB.camera.focusDistance !== undefined) {
+        result.camera.focusDistance = lerp(pointA.camera.focusDistance, pointB.camera.focusDistance, t);
+    }
+    result.camera.bokehBlades = pointB.camera.bokehBlades;
+    
+    // Interpolate the manual stereo depth; the stereo layout comes from the end point
+    result.camera.stereoMode = pointB.camera.stereoMode;
+    result.camera.stereoAuto = pointB.camera.stereoAuto;
+    if (pointA.camera.interocular !== undefined && pointB.camera.interocular !== undefined) {
+        result.camera.interocular = lerp(pointA.camera.interocular, pointB.camera.interocular, t);
+        result.camera.convergence = lerp(pointA.camera.convergence, pointB.camera.convergence, t);
+    }
+    
+    // Interpolate the dome framing; the projection comes from the end point
+    result.camera.projection = pointB.camera.projection;
+    if (pointA.camera.domeFov !== undefined && pointB.camera.domeFov !== undefined) {
+        result.camera.domeFov = lerp(pointA.camera.domeFov, pointB.camera.domeFov, t);
+        result.camera.domeTilt = lerp(pointA.camera.domeTilt, pointB.camera.domeTilt, t);
+    }
+    
     // For quality and rendering settings, use the end point values rather than interpolating
     if (pointB.renderQuality) {
         result.renderQuality = {...pointB.renderQuality};
@@ -472,9 +672,94 @@ function interpolateTourPoints(pointA, pointB, t) {
         result.crossSection = {...pointB.crossSection};
     }
     
+    // Interpolate the light rig; types, toggles and shadows come from the end point
+    if (pointB.lighting) {
+        result.lighting = interpolateLighting(pointA.lighting, pointB.lighting, t);
+    }
+    
+    // Interpolate the atmosphere; effects fade in and out through their strength
+    if (pointB.atmosphere) {
+        result.atmosphere = interpolateAtmosphere(pointA.atmosphere, pointB.atmosphere, t);
+    }
+    
+    // Interpolate the post-processing; the tone mapping curve comes from the end point
+    if (pointB.postFx) {
+        result.postFx = { ...pointB.postFx };
+        if (pointA.postFx) {
+            Object.keys(pointB.postFx).forEach(key => {
+                if (key !== 'toneMapping' && typeof pointA.postFx[key] === 'number') {
+                    result.postFx[key] = lerp(pointA.postFx[key], pointB.postFx[key], t);
+                }
+            });
+        }
+    }
+    
+    return result;
+}
+
+// Helper: Interpolate light rigs slot by slot (directions in degrees)
+function interpolateLighting(lightingA, lightingB, t) {
+    if (!lightingA) return lightingB;
+    const lightsA = lightingA.lights || [];
+    return {
+        ambient: lerp(lightingA.ambient ?? lightingB.ambient, lightingB.ambient, t),
+        lights: (lightingB.lights || []).map((lightB, i) => {
+            const lightA = lightsA[i];
+            if (!lightA || lightA.type !== lightB.type) return lightB;
+            const degrees = Math.PI / 180;
+            return {
+                ...lightB,
+                direction: [
+                    lerpAngle(lightA.direction[0] * degrees, lightB.direction[0] * degrees, t) / degrees,
+                    lerp(lightA.direction[1], lightB.direction[1], t)
+                ],
+                position: interpolateArray(lightA.position, lightB.position, t),
+                color: interpolateHexColor(lightA.color, lightB.color, t),
+                intensity: lerp(lightA.enabled ? lightA.intensity : 0.0, lightB.enabled ? lightB.intensity : 0.0, t),
+                enabled: lightA.enabled || lightB.enabled
+            };
+        })
+    };
+}
+
+// Helper: Interpolate glow, fog and depth cueing group by group
+function interpolateAtmosphere(atmosphereA, atmosphereB, t) {
+    if (!atmosphereA) return atmosphereB;
+    const strengths = { glow: 'intensity', fog: 'density', depthCue: 'intensity' };
+    const result = {};
+    Object.entries(atmosphereB).forEach(([group, groupB]) => {
+        const groupA = atmosphereA[group];
+        if (!groupA) {
+            result[group] = groupB;
+            return;
+        }
+        const blended = { ...groupB, enabled: groupA.enabled || groupB.enabled };
+        Object.keys(groupB).forEach(key => {
+            if (typeof groupB[key] === 'number' && typeof groupA[key] === 'number') {
+                blended[key] = lerp(groupA[key], groupB[key], t);
+            } else if (typeof groupB[key] === 'string') {
+                blended[key] = interpolateHexColor(groupA[key], groupB[key], t);
+            }
+        });
+        // A disabled effect counts as zero strength
+        const strength = strengths[group];
+        if (strength) {
+            blended[strength] = lerp(groupA.enabled ? groupA[strength] : 0.0, groupB.enabled ? groupB[strength] : 0.0, t);
+        }
+        result[group] = blended;
+    });
     return result;
 }
 
+// Helper: Interpolate '#rrggbb' colors channel by channel
+function interpolateHexColor(colorA, colorB, t) {
+    if (!colorA || !colorB) return colorB || colorA;
+    const channels = color => [1, 3, 5].map(i => parseInt(color.substr(i, 2), 16));
+    const a = channels(colorA);
+    const b = channels(colorB);
+    return '#' + a.map((value, i) => Math.round(lerp(value, b[i], t)).toString(16).padStart(2, '0')).join('');
+}
+
 // Helper: Linear interpolation of two numbers
 function lerp(a, b, t) {
     return a + (b - a) * t;
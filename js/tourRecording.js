@@ -1,6 +1,6 @@
 import { tourState } from './tour.js';
 import { cameraState } from './camera.js';
-import { fractalState, qualitySettings, colorSettings, crossSectionSettings } from './fractal.js';
+import { fractalState, qualitySettings, colorSettings, crossSectionSettings, lightSettings, atmosphereSettings, postFxSettings } from './fractal.js';
 
 // --- Recording Functions ---
 
@@ -15,9 +15,44 @@ export function registerTourPoint() {
                 fractalState.params.z,
                 fractalState.params.w
             ],
+            power: fractalState.power,
+            mode: fractalState.mode,
+            algebra: fractalState.algebra,
+            customFormula: fractalState.customFormula,
+            hybrid: {
+                enabled: fractalState.hybrid.enabled,
+                sequence: fractalState.hybrid.sequence,
+                transform: fractalState.hybrid.transform,
+                foldLimit: fractalState.hybrid.foldLimit,
+                rotation: [
+                    fractalState.hybrid.rotation.xw,
+                    fractalState.hybrid.rotation.yw,
+                    fractalState.hybrid.rotation.zw
+                ]
+            },
+            symmetry: {
+                enabled: fractalState.symmetry.enabled,
+                stage: fractalState.symmetry.stage,
+                polyhedral: fractalState.symmetry.polyhedral,
+                absFold: ['x', 'y', 'z', 'w'].map(axis => fractalState.symmetry.absFold[axis]),
+                mirror: fractalState.symmetry.mirror,
+                mirrorNormal: ['x', 'y', 'z', 'w'].map(axis => fractalState.symmetry.mirrorNormal[axis])
+            },
+            z0: [
+                fractalState.z0.x,
+                fractalState.z0.y,
+                fractalState.z0.z,
+                fractalState.z0.w
+            ],
             sliceValue: fractalState.sliceValue,
             sliceAmplitude: fractalState.sliceAmplitude,
-            sliceAnimated: fractalState.animateSlice
+            sliceAnimated: fractalState.animateSlice,
+            sliceRotation: [
+                fractalState.sliceRotation.xw,
+                fractalState.sliceRotation.yw,
+                fractalState.sliceRotation.zw
+            ],
+            sliceRotationAnimated: fractalState.animateSliceRotation
         },
         camera: {
             position: [
@@ -30,6 +65,16 @@ export function registerTourPoint() {
                 yaw: cameraState.yaw
             },
             focalLength: cameraState.focalLength,
+            aperture: cameraState.aperture,
+            focusDistance: cameraState.focusDistance,
+            bokehBlades: cameraState.bokehBlades,
+            stereoMode: cameraState.stereoMode,
+            stereoAuto: cameraState.stereoAuto,
+            interocular: cameraState.interocular,
+            convergence: cameraState.convergence,
+            projection: cameraState.projection,
+            domeFov: cameraState.domeFov,
+            domeTilt: cameraState.domeTilt,
             // Add camera animation settings
             animationEnabled: cameraState.animationEnabled,
             decelerationEnabled: cameraState.decelerationEnabled
@@ -41,12 +86,31 @@ export function registerTourPoint() {
             smoothColor: qualitySettings.enableSmoothColor,
             specular: qualitySettings.enableSpecular,
             adaptiveRM: qualitySettings.enableAdaptiveSteps,
+            analyticNormals: qualitySettings.analyticNormals,
             colorPalette: colorSettings.paletteIndex
         },
         crossSection: {
             mode: crossSectionSettings.clipMode,
             distance: crossSectionSettings.clipDistance
-        }
+        },
+        lighting: {
+            ambient: lightSettings.ambient,
+            lights: lightSettings.lights.map(light => ({
+                enabled: light.enabled,
+                type: light.type,
+                direction: [light.direction.x, light.direction.y],
+                position: [light.position.x, light.position.y, light.position.z],
+                color: light.color,
+                intensity: light.intensity,
+                shadows: light.shadows
+            }))
+        },
+        atmosphere: {
+            glow: { ...atmosphereSettings.glow },
+            fog: { ...atmosphereSettings.fog },
+            depthCue: { ...atmosphereSettings.depthCue }
+        },
+        postFx: { ...postFxSettings }
     };
 
     // Add point to the tour
@@ -0,0 +1,86 @@
+/**
+ * Tweakpane UI Atmosphere Module
+ * Contains controls for the volumetric effects of the ray march:
+ * glow, height/distance fog and depth cueing
+ *
+ * @module tweakpane-ui/atmosphere
+ */
+
+import { atmosphereSettings } from '../fractal.js';
+import { updateAtmosphereUniforms } from '../shaders.js';
+
+// Import shared UI elements
+import { pane, folders } from './core.js';
+
+/**
+ * Creates the atmosphere control section
+ */
+export function createAtmosphereFolder(targetPane = null) {
+    const usePane = targetPane || pane;
+
+    // Create main folder
+    folders.atmosphere = usePane.addFolder({
+        title: 'Atmosphere',
+        expanded: false
+    });
+
+    const update = () => updateAtmosphereUniforms(atmosphereSettings);
+    const { glow, fog, depthCue } = atmosphereSettings;
+
+    // Glow around the set, from how close each missing ray passed the surface
+    const glowFolder = folders.atmosphere.addFolder({
+        title: 'Glow',
+        expanded: false
+    });
+    glowFolder.addBinding(glow, 'enabled', { label: 'Enabled' }).on('change', update);
+    glowFolder.addBinding(glow, 'intensity', {
+        min: 0.0, max: 4.0, step: 0.01,
+        label: 'Intensity'
+    }).on('change', update);
+    glowFolder.addBinding(glow, 'color', { label: 'Color' }).on('change', update);
+    glowFolder.addBinding(glow, 'radius', {
+        min: 0.001, max: 0.5, step: 0.001,
+        label: 'Radius'
+    }).on('change', update);
+
+    // Exponential fog, optionally thinning out above the fog height
+    const fogFolder = folders.atmosphere.addFolder({
+        title: 'Fog',
+        expanded: false
+    });
+    fogFolder.addBinding(fog, 'enabled', { label: 'Enabled' }).on('change', update);
+    fogFolder.addBinding(fog, 'density', {
+        min: 0.0, max: 1.0, step: 0.001,
+        label: 'Density'
+    }).on('change', update);
+    fogFolder.addBinding(fog, 'color', { label: 'Color' }).on('change', update);
+    fogFolder.addBinding(fog, 'heightFalloff', {
+        min: 0.0, max: 5.0, step: 0.01,
+        label: 'Height Falloff'
+    }).on('change', update);
+    fogFolder.addBinding(fog, 'height', {
+        min: -5.0, max: 5.0, step: 0.01,
+        label: 'Fog Height'
+    }).on('change', update);
+
+    // Surface tint ramp over distance
+    const depthCueFolder = folders.atmosphere.addFolder({
+        title: 'Depth Cueing',
+        expanded: false
+    });
+    depthCueFolder.addBinding(depthCue, 'enabled', { label: 'Enabled' }).on('change', update);
+    depthCueFolder.addBinding(depthCue, 'intensity', {
+        min: 0.0, max: 1.0, step: 0.01,
+        label: 'Intensity'
+    }).on('change', update);
+    depthCueFolder.addBinding(depthCue, 'nearColor', { label: 'Near Color' }).on('change', update);
+    depthCueFolder.addBinding(depthCue, 'farColor', { label: 'Far Color' }).on('change', update);
+    depthCueFolder.addBinding(depthCue, 'start', {
+        min: 0.0, max: 20.0, step: 0.1,
+        label: 'Start Distance'
+    }).on('change', update);
+    depthCueFolder.addBinding(depthCue, 'end', {
+        min: 0.1, max: 50.0, step: 0.1,
+        label: 'End Distance'
+    }).on('change', update);
+}
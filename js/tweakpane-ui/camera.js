@@ -1,6 +1,7 @@
 /**
  * Tweakpane UI Camera Controls Module
- * Contains controls for camera settings such as focal length and animations
+ * Contains controls for camera settings such as focal length, animations,
+ * depth of field, stereoscopic output and panoramic projections
  * 
  * @module tweakpane-ui/camera
  */
@@ -38,6 +39,10 @@ export function createCameraControlsFolder(targetPane = null) {
         label: 'Animations (A)'
     });
     
+    createDepthOfFieldControls();
+    createStereoControls();
+    createProjectionControls();
+    
     // Add a button to reset camera
     folders.camera.addButton({
         title: 'Reset Camera'
@@ -46,6 +51,144 @@ export function createCameraControlsFolder(targetPane = null) {
     });
 }
 
+/**
+ * Creates the thin-lens depth of field sub-section
+ */
+function createDepthOfFieldControls() {
+    const dofFolder = folders.camera.addFolder({
+        title: 'Depth of Field',
+        expanded: false
+    });
+    
+    // Aperture radius in world units; 0 keeps the pinhole camera
+    dofFolder.addBinding(cameraState, 'aperture', {
+        label: 'Aperture',
+        min: 0.0, max: 0.2, step: 0.001
+    }).on('change', () => {
+        updateCameraState();
+    });
+    
+    // Also set by clicking a surface
+    dofFolder.addBinding(cameraState, 'focusDistance', {
+        label: 'Focus (click)',
+        min: 0.01, max: 20.0, step: 0.01
+    }).on('change', () => {
+        updateCameraState();
+    });
+    
+    dofFolder.addBinding(cameraState, 'bokehBlades', {
+        label: 'Bokeh',
+        options: {
+            'Circle': 0,
+            'Pentagon': 5,
+            'Hexagon': 6,
+            'Octagon': 8
+        }
+    }).on('change', () => {
+        updateCameraState();
+    });
+}
+
+/**
+ * Creates the stereoscopic 3D sub-section
+ */
+function createStereoControls() {
+    const stereoFolder = folders.camera.addFolder({
+        title: 'Stereo 3D',
+        expanded: false
+    });
+    
+    stereoFolder.addBinding(cameraState, 'stereoMode', {
+        label: 'Mode',
+        options: {
+            'Off': 0,
+            'Anaglyph (Red/Cyan)': 1,
+            'Side-by-Side': 2,
+            'Side-by-Side (Half)': 3,
+            'Over-Under': 4,
+            'Cross-Eye': 5
+        }
+    }).on('change', () => {
+        updateCameraState();
+        refreshStereoControls();
+    });
+    
+    const interocularBinding = stereoFolder.addBinding(cameraState, 'interocular', {
+        label: 'Eye Separation',
+        min: 0.0, max: 0.5, step: 0.0005
+    }).on('change', () => {
+        updateCameraState();
+    });
+    const convergenceBinding = stereoFolder.addBinding(cameraState, 'convergence', {
+        label: 'Convergence',
+        min: 0.01, max: 20.0, step: 0.01
+    }).on('change', () => {
+        updateCameraState();
+    });
+    
+    // Auto follows the camera's distance to the fractal; turn it off to set the values by hand
+    const syncManualControls = () => {
+        interocularBinding.disabled = cameraState.stereoAuto;
+        convergenceBinding.disabled = cameraState.stereoAuto;
+    };
+    stereoFolder.addBinding(cameraState, 'stereoAuto', {
+        label: 'Auto Distance',
+        index: 1
+    }).on('change', () => {
+        syncManualControls();
+        updateCameraState();
+        refreshStereoControls();
+    });
+    syncManualControls();
+}
+
+/**
+ * Creates the projection sub-section (perspective or 360° / dome panoramas)
+ */
+function createProjectionControls() {
+    const projectionFolder = folders.camera.addFolder({
+        title: 'Projection',
+        expanded: false
+    });
+    
+    // Panoramas resize the canvas to their aspect (2:1, 3:2 or 1:1)
+    projectionFolder.addBinding(cameraState, 'projection', {
+        label: 'Projection',
+        options: {
+            'Perspective': 0,
+            'Equirectangular 360°': 1,
+            'Cubemap (3×2 Faces)': 2,
+            'Domemaster': 3
+        }
+    }).on('change', () => {
+        updateCameraState();
+    });
+    
+    projectionFolder.addBinding(cameraState, 'domeFov', {
+        label: 'Dome FOV',
+        min: 90, max: 360, step: 1
+    }).on('change', () => {
+        updateCameraState();
+    });
+    
+    // 90 points the dome zenith straight up for a level flight on a planetarium dome
+    projectionFolder.addBinding(cameraState, 'domeTilt', {
+        label: 'Dome Tilt',
+        min: -90, max: 90, step: 1
+    }).on('change', () => {
+        updateCameraState();
+    });
+}
+
+/**
+ * Shows the interocular and convergence values computed by auto stereo
+ */
+function refreshStereoControls() {
+    import('./core.js').then(module => {
+        if (module.refreshUI) module.refreshUI();
+    });
+}
+
 /**
  * Resets the camera to its default state with a fast animation
  */
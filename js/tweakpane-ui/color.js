@@ -1,6 +1,7 @@
 /**
  * Tweakpane UI Color Controls Module
- * Contains controls for color palettes, dynamic colors, orbit trap and physics-based coloring
+ * Contains controls for color palettes, dynamic colors, orbit trap, physics-based coloring
+ * and the background
  * 
  * @module tweakpane-ui/color
  */
@@ -9,14 +10,18 @@ import {
     colorSettings,
     colorDynamicsSettings,
     orbitTrapSettings,
-    physicsColorSettings
+    physicsColorSettings,
+    interiorSettings,
+    backgroundSettings
 } from '../fractal.js';
 
 import { 
     updateColorUniforms,
     updateColorDynamicsUniforms,
     updateOrbitTrapUniforms,
-    updatePhysicsColorUniforms
+    updatePhysicsColorUniforms,
+    updateInteriorUniforms,
+    updateBackgroundUniforms
 } from '../shaders.js';
 
 // Import shared UI elements
@@ -41,6 +46,8 @@ export function createColorControlsFolder(targetPane = null) {
     createDynamicColorsFolder();
     createOrbitTrapFolder();
     createPhysicsColorsFolder();
+    createInteriorFolder();
+    createBackgroundFolder();
 }
 
 /**
@@ -182,6 +189,92 @@ function createOrbitTrapFolder() {
     });
 }
 
+/**
+ * Creates interior (bounded orbit) rendering sub-section
+ */
+function createInteriorFolder() {
+    const interior = folders.color.addFolder({
+        title: 'Interior',
+        expanded: false
+    });
+    
+    interior.addBinding(interiorSettings, 'mode', {
+        label: 'Interior Coloring',
+        options: {
+            'Off': 0,
+            'Final |z|': 1,
+            'Period': 2,
+            'Average Angle': 3,
+            'Atom Domain': 4
+        }
+    }).on('change', () => {
+        updateInteriorUniforms(interiorSettings);
+    });
+    
+    // Translucent volume - combine with cross-section modes to look inside
+    interior.addBinding(interiorSettings, 'volume', {
+        label: 'Translucent Volume'
+    }).on('change', () => {
+        updateInteriorUniforms(interiorSettings);
+    });
+    
+    interior.addBinding(interiorSettings, 'density', {
+        label: 'Density',
+        min: 0.1, max: 20.0, step: 0.1
+    }).on('change', () => {
+        updateInteriorUniforms(interiorSettings);
+    });
+    
+    interior.addBinding(interiorSettings, 'depth', {
+        label: 'Depth',
+        min: 0.1, max: 4.0, step: 0.05
+    }).on('change', () => {
+        updateInteriorUniforms(interiorSettings);
+    });
+}
+
+/**
+ * Creates the background sub-section (where rays miss the fractal)
+ */
+function createBackgroundFolder() {
+    const background = folders.color.addFolder({
+        title: 'Background',
+        expanded: false
+    });
+    const update = () => updateBackgroundUniforms(backgroundSettings);
+    
+    // Transparent exports PNGs with alpha; a shown HDR environment takes precedence
+    background.addBinding(backgroundSettings, 'mode', {
+        label: 'Mode',
+        options: {
+            'Solid Color': 0,
+            'Vertical Gradient': 1,
+            'Radial Gradient': 2,
+            'Starfield': 3,
+            'Nebula': 4,
+            'Transparent': 5
+        }
+    }).on('change', update);
+    
+    background.addBinding(backgroundSettings, 'color', {
+        label: 'Color (Top/Center)'
+    }).on('change', update);
+    
+    background.addBinding(backgroundSettings, 'secondColor', {
+        label: 'Color 2 (Bottom/Edge)'
+    }).on('change', update);
+    
+    background.addBinding(backgroundSettings, 'starDensity', {
+        label: 'Star Density',
+        min: 0.0, max: 1.0, step: 0.01
+    }).on('change', update);
+    
+    background.addBinding(backgroundSettings, 'starBrightness', {
+        label: 'Star Brightness',
+        min: 0.0, max: 4.0, step: 0.01
+    }).on('change', update);
+}
+
 /**
  * Creates physics-based coloring sub-section
  */
@@ -8,6 +8,7 @@
 import { Pane } from '../lib/tweakpane.min.js';
 import { CONFIG } from '../config.js';
 import { 
+    fractalState,
     colorSettings, 
     crossSectionSettings, 
     orbitTrapSettings, 
@@ -20,6 +21,9 @@ import { createFractalParametersFolder } from './fractal.js';
 import { createColorControlsFolder } from './color.js';
 import { createRenderingFolder } from './rendering.js';
 import { createCameraControlsFolder } from './camera.js';
+import { createLightingFolder } from './lighting.js';
+import { createAtmosphereFolder } from './atmosphere.js';
+import { createPostFxFolder } from './postfx.js';
 import { createPresetsFolder } from './presets-ui.js';
 import { createRecordingFolder } from './recording.js';
 import { createInterfaceFolder } from './interface.js';
@@ -59,6 +63,10 @@ export const bindingState = {
     physicsColorTypeSelector: {
         value: 0, // Default: Diffraction
     },
+    // For the c path toggle, which captures/restores the path center
+    cPathSelector: {
+        value: false, // Default: OFF
+    },
     // For camera focal length (zoom)
     focalLength: {
         value: 1.5 // Default value
@@ -76,7 +84,9 @@ export const bindingState = {
     appStatus: 'Running',
     animationStatus: 'Active',
     recordingStatusMonitor: 'Stopped',
-    activeEffects: 'Basic'
+    activeEffects: 'Basic',
+    accumulatedSamples: 0,
+    renderScale: 1.0
 };
 
 /**
@@ -106,6 +116,9 @@ export function initTweakpane() {
     createFractalParametersFolder(mainPaneInstance);
     createColorControlsFolder(mainPaneInstance);
     createRenderingFolder(mainPaneInstance);
+    createLightingFolder(mainPaneInstance);
+    createAtmosphereFolder(mainPaneInstance);
+    createPostFxFolder(mainPaneInstance);
     createCameraControlsFolder(mainPaneInstance);
     createRecordingFolder(mainPaneInstance);
     createSettingsFolder(mainPaneInstance);
@@ -185,6 +198,7 @@ export function refreshUI() {
     bindingState.clipModeSelector.value = crossSectionSettings.clipMode;
     bindingState.orbitTrapTypeSelector.value = orbitTrapSettings.type;
     bindingState.physicsColorTypeSelector.value = physicsColorSettings.type;
+    bindingState.cPathSelector.value = fractalState.cPath.enabled;
     bindingState.focalLength.value = cameraState.focalLength;
     
     // Refresh all panes
@@ -8,14 +8,30 @@
 import { 
     fractalState, 
     crossSectionSettings,
-    resetFractalParams
+    resetFractalParams,
+    setFractalPower,
+    setFractalMode,
+    setFractalAlgebra,
+    setSliceRotation,
+    setCPathEnabled,
+    setCsgScene
 } from '../fractal.js';
+import { CONFIG } from '../config.js';
 
 import { 
     updateFractalParamsUniform,
+    updateFractalModeUniforms,
+    updateSliceRotationUniform,
+    updateHybridUniforms,
+    parseHybridSequence,
+    updateCsgUniforms,
+    updateSymmetryUniforms,
+    updateEstimatorUniforms,
     updateClipModeUniform,
     updateClipDistanceUniform
 } from '../shaders.js';
+import { formulaState, setCustomFormula } from '../formula.js';
+import { findPresetParams } from './presets-ui.js';
 
 // Import shared UI elements
 import { pane, folders, bindingState } from './core.js';
@@ -41,6 +57,30 @@ export function createFractalParametersFolder(targetPane = null) {
         return;
     }
     
+    // Julia (position seeds z) or Mandelbrot (position seeds c) rendering
+    folders.fractal.addBinding(fractalState, 'mode', {
+        label: 'Mode',
+        options: {
+            'Julia': 0,
+            'Mandelbrot': 1
+        }
+    }).on('change', (ev) => {
+        setFractalMode(ev.value);
+    });
+    
+    // Multiplication rule used for z^n + c - same camera and coloring, different algebra
+    folders.fractal.addBinding(fractalState, 'algebra', {
+        label: 'Algebra',
+        options: {
+            'Hamilton Quaternion': 0,
+            'Bicomplex': 1,
+            'Split-Quaternion': 2,
+            'Commutative (Hopf)': 3
+        }
+    }).on('change', (ev) => {
+        setFractalAlgebra(ev.value);
+    });
+    
     // Test - create simple object first
     const testParams = { x: fractalState.params.x };
     
@@ -74,6 +114,14 @@ export function createFractalParametersFolder(targetPane = null) {
         updateFractalParamsUniform(fractalState.params);
     });
     
+    // Iteration exponent (z^n + c) - fractional values use the polar quaternion form
+    folders.fractal.addBinding(fractalState, 'power', {
+        min: CONFIG.FRACTAL.MIN_POWER, max: CONFIG.FRACTAL.MAX_POWER, step: 0.05,
+        label: 'Power (n)'
+    }).on('change', (ev) => {
+        setFractalPower(ev.value);
+    });
+    
     // Random button
     folders.fractal.addButton({
         title: 'Randomize Parameters (R)'
@@ -86,10 +134,336 @@ export function createFractalParametersFolder(targetPane = null) {
     });
     
     // Create sub-sections
+    createMandelbrotSeedFolder();
+    createEstimatorFolder();
+    createCustomFormulaFolder();
+    createHybridFolder();
+    createSymmetryFolder();
+    createCsgFolder();
     createSliceControlsFolder();
+    createCPathFolder();
     createCrossSectionFolder();
 }
 
+/**
+ * Creates the Mandelbrot mode sub-section with the orbit starting point z0
+ */
+function createMandelbrotSeedFolder() {
+    const seedFolder = folders.fractal.addFolder({
+        title: 'Mandelbrot Seed (z0)',
+        expanded: false
+    });
+    
+    ['x', 'y', 'z', 'w'].forEach(axis => {
+        seedFolder.addBinding(fractalState.z0, axis, {
+            min: -1, max: 1, step: 0.01,
+            label: `z0.${axis}`
+        }).on('change', () => {
+            updateFractalModeUniforms(fractalState.mode, fractalState.z0);
+        });
+    });
+}
+
+/**
+ * Creates the bailout and distance estimator sub-section
+ */
+function createEstimatorFolder() {
+    const estimator = fractalState.estimator;
+    const estimatorFolder = folders.fractal.addFolder({
+        title: 'Bailout & Estimator',
+        expanded: false
+    });
+    const update = () => updateEstimatorUniforms(estimator);
+    
+    estimatorFolder.addBinding(estimator, 'bailout', {
+        min: 1.5, max: 64, step: 0.1,
+        label: 'Bailout'
+    }).on('change', update);
+    
+    estimatorFolder.addBinding(estimator, 'escapeNorm', {
+        label: 'Escape Norm',
+        options: {
+            'Euclidean (L2)': 0,
+            'Manhattan (L1)': 1,
+            'Chebyshev (L∞)': 2,
+            'Single Axis': 3
+        }
+    }).on('change', update);
+    
+    estimatorFolder.addBinding(estimator, 'escapeAxis', {
+        label: 'Escape Axis',
+        options: { 'x': 0, 'y': 1, 'z': 2, 'w': 3 }
+    }).on('change', update);
+    
+    estimatorFolder.addBinding(estimator, 'deMethod', {
+        label: 'DE Formula',
+        options: {
+            'Logarithmic': 0,
+            'Linear': 1,
+            'Potential Gradient': 2
+        }
+    }).on('change', update);
+    
+    // Values below 1 shorten the steps of sets that overstep and show holes
+    estimatorFolder.addBinding(estimator, 'fudge', {
+        min: 0.1, max: 2.0, step: 0.01,
+        label: 'DE Fudge'
+    }).on('change', update);
+}
+
+/**
+ * Creates the custom formula editor sub-section
+ */
+function createCustomFormulaFolder() {
+    const formulaFolder = folders.fractal.addFolder({
+        title: 'Custom Formula (GLSL)',
+        expanded: false
+    });
+    
+    // Statements separated by ';' - recompiled when the text is committed (Enter/blur)
+    formulaFolder.addBinding(formulaState, 'draft', {
+        label: 'Step'
+    }).on('change', (ev) => {
+        setCustomFormula(ev.value);
+    });
+    
+    formulaFolder.addButton({
+        title: 'Insert Example'
+    }).on('click', () => {
+        setCustomFormula('z = qmul(qmul(z, z), z) + c * sin(u_time)');
+        import('./core.js').then(module => {
+            if (module.refreshUI) module.refreshUI();
+        });
+    });
+    
+    formulaFolder.addButton({
+        title: 'Use Built-in (z^n + c)'
+    }).on('click', () => {
+        setCustomFormula('');
+        import('./core.js').then(module => {
+            if (module.refreshUI) module.refreshUI();
+        });
+    });
+    
+    // Compiler output with line numbers of the offending statements
+    formulaFolder.addBinding(formulaState, 'errors', {
+        readonly: true,
+        multiline: true,
+        rows: 4,
+        label: 'Errors'
+    });
+}
+
+/**
+ * Creates the hybrid formula sequence sub-section
+ */
+function createHybridFolder() {
+    const hybrid = fractalState.hybrid;
+    const hybridFolder = folders.fractal.addFolder({
+        title: 'Hybrid Sequence',
+        expanded: false
+    });
+    
+    hybridFolder.addBinding(hybrid, 'enabled', {
+        label: 'Enabled'
+    }).on('change', () => {
+        updateHybridUniforms(hybrid);
+    });
+    
+    // Per-iteration schedule, e.g. "A, A, B" - repeats over all iterations
+    hybridFolder.addBinding(hybrid, 'sequence', {
+        label: 'Sequence'
+    }).on('change', (ev) => {
+        const normalized = parseHybridSequence(ev.value).map(step => 'AB'[step]).join(', ');
+        updateHybridUniforms(hybrid);
+        if (normalized !== ev.value) {
+            hybrid.sequence = normalized;
+            import('./core.js').then(module => {
+                if (module.refreshUI) module.refreshUI();
+            });
+        }
+    });
+    
+    // A is always the main iteration (z^n + c, algebra or custom formula)
+    hybridFolder.addBinding(hybrid, 'transform', {
+        label: 'B Transform',
+        options: {
+            'Power-3 Quaternion': 0,
+            'Abs Fold': 1,
+            '4D Rotation': 2,
+            'Box Fold': 3
+        }
+    }).on('change', () => {
+        updateHybridUniforms(hybrid);
+    });
+    
+    hybridFolder.addBinding(hybrid, 'foldLimit', {
+        min: 0.1, max: 2.0, step: 0.01,
+        label: 'Fold Limit'
+    }).on('change', () => {
+        updateHybridUniforms(hybrid);
+    });
+    
+    ['xw', 'yw', 'zw'].forEach(plane => {
+        hybridFolder.addBinding(hybrid.rotation, plane, {
+            min: -Math.PI, max: Math.PI, step: 0.01,
+            label: `Rotation ${plane.toUpperCase()}`
+        }).on('change', () => {
+            updateHybridUniforms(hybrid);
+        });
+    });
+}
+
+/**
+ * Creates the symmetry folding sub-section
+ */
+function createSymmetryFolder() {
+    const symmetry = fractalState.symmetry;
+    const symmetryFolder = folders.fractal.addFolder({
+        title: 'Symmetry',
+        expanded: false
+    });
+    const update = () => updateSymmetryUniforms(symmetry);
+    
+    symmetryFolder.addBinding(symmetry, 'enabled', {
+        label: 'Enabled'
+    }).on('change', update);
+    
+    symmetryFolder.addBinding(symmetry, 'stage', {
+        label: 'Apply',
+        options: {
+            'Before Iteration': 0,
+            'Every Iteration': 1
+        }
+    }).on('change', update);
+    
+    symmetryFolder.addBinding(symmetry, 'polyhedral', {
+        label: 'Kaleidoscope',
+        options: {
+            'None': 0,
+            'Tetrahedral': 1,
+            'Octahedral': 2,
+            'Icosahedral': 3
+        }
+    }).on('change', update);
+    
+    ['x', 'y', 'z', 'w'].forEach(axis => {
+        symmetryFolder.addBinding(symmetry.absFold, axis, {
+            label: `Abs Fold ${axis}`
+        }).on('change', update);
+    });
+    
+    // Mirror hyperplane through the origin, given by its normal
+    symmetryFolder.addBinding(symmetry, 'mirror', {
+        label: 'Mirror'
+    }).on('change', update);
+    ['x', 'y', 'z', 'w'].forEach(axis => {
+        symmetryFolder.addBinding(symmetry.mirrorNormal, axis, {
+            min: -1, max: 1, step: 0.01,
+            label: `Normal ${axis}`
+        }).on('change', update);
+    });
+}
+
+/**
+ * Example CSG scenes for the template buttons
+ */
+const CSG_TEMPLATES = {
+    'Pedestal': [
+        { enabled: true, type: 1, operation: 3, position: { y: -1.3 }, size: { x: 1.2, y: 0.1, z: 1.2 }, smoothness: 0.15 }
+    ],
+    'Carved Window': [
+        { enabled: true, type: 1, operation: 2, position: { z: 1.0 }, size: { x: 0.35, y: 0.35, z: 1.0 } }
+    ],
+    'Half Space': [
+        { enabled: true, type: 2, operation: 1, size: { x: 0.0, y: 0.0, z: 1.0 } }
+    ],
+    'Twin Julia': [
+        { enabled: true, type: 3, operation: 0, position: { x: 2.2 }, c: { x: -0.45, y: 0.3, z: 0.2, w: 0.1 } }
+    ]
+};
+
+/**
+ * Creates the constructive solid geometry sub-section
+ */
+function createCsgFolder() {
+    const csg = fractalState.csg;
+    const csgFolder = folders.fractal.addFolder({
+        title: 'CSG Scene',
+        expanded: false
+    });
+    
+    csgFolder.addBinding(csg, 'enabled', {
+        label: 'Enabled'
+    }).on('change', () => {
+        updateCsgUniforms(csg);
+    });
+    
+    Object.entries(CSG_TEMPLATES).forEach(([name, objects]) => {
+        csgFolder.addButton({
+            title: `Template: ${name}`
+        }).on('click', () => {
+            setCsgScene({ enabled: true, objects });
+            import('./core.js').then(module => {
+                if (module.refreshUI) module.refreshUI();
+            });
+        });
+    });
+    
+    // Operations apply in list order to the result of the previous objects
+    csg.objects.forEach((object, index) => {
+        const objectFolder = csgFolder.addFolder({
+            title: `Object ${index + 1}`,
+            expanded: false
+        });
+        const update = () => updateCsgUniforms(csg);
+        
+        objectFolder.addBinding(object, 'enabled', { label: 'Enabled' }).on('change', update);
+        objectFolder.addBinding(object, 'type', {
+            label: 'Primitive',
+            options: {
+                'Sphere': 0,
+                'Box': 1,
+                'Plane': 2,
+                'Julia Set': 3
+            }
+        }).on('change', update);
+        objectFolder.addBinding(object, 'operation', {
+            label: 'Operation',
+            options: {
+                'Union': 0,
+                'Intersection': 1,
+                'Subtraction': 2,
+                'Smooth Union': 3
+            }
+        }).on('change', update);
+        objectFolder.addBinding(object, 'smoothness', {
+            min: 0.01, max: 1.0, step: 0.01,
+            label: 'Smoothness'
+        }).on('change', update);
+        
+        ['x', 'y', 'z'].forEach(axis => {
+            objectFolder.addBinding(object.position, axis, {
+                min: -4, max: 4, step: 0.01,
+                label: `Position ${axis}`
+            }).on('change', update);
+        });
+        // Sphere radius is size x, planes use size as their normal
+        ['x', 'y', 'z'].forEach(axis => {
+            objectFolder.addBinding(object.size, axis, {
+                min: -2, max: 2, step: 0.01,
+                label: `Size ${axis}`
+            }).on('change', update);
+        });
+        ['x', 'y', 'z', 'w'].forEach(axis => {
+            objectFolder.addBinding(object.c, axis, {
+                min: -1, max: 1, step: 0.01,
+                label: `Julia c.${axis}`
+            }).on('change', update);
+        });
+    });
+}
+
 /**
  * Creates the slice controls sub-section
  */
@@ -112,6 +486,128 @@ function createSliceControlsFolder() {
     }).on('change', () => {
         // No direct handler needed, the value is used in updateSlice()
     });
+    
+    // Orientation of the slicing hyperplane in 4D
+    const rotationFolder = sliceFolder.addFolder({
+        title: 'Hyperplane Rotation',
+        expanded: false
+    });
+    
+    ['xw', 'yw', 'zw'].forEach(plane => {
+        rotationFolder.addBinding(fractalState.sliceRotation, plane, {
+            min: -Math.PI, max: Math.PI, step: 0.01,
+            label: `${plane.toUpperCase()} Angle`
+        }).on('change', () => {
+            updateSliceRotationUniform(fractalState.sliceRotation);
+        });
+    });
+    
+    rotationFolder.addBinding(fractalState, 'animateSliceRotation', {
+        label: 'Animate Rotation'
+    });
+    
+    ['xw', 'yw', 'zw'].forEach(plane => {
+        rotationFolder.addBinding(fractalState.sliceRotationSpeed, plane, {
+            min: -1.0, max: 1.0, step: 0.01,
+            label: `${plane.toUpperCase()} Speed`
+        });
+    });
+    
+    rotationFolder.addButton({
+        title: 'Reset Rotation'
+    }).on('click', () => {
+        fractalState.animateSliceRotation = false;
+        setSliceRotation({ xw: 0.0, yw: 0.0, zw: 0.0 });
+        import('./core.js').then(module => {
+            if (module.refreshUI) module.refreshUI();
+        });
+    });
+}
+
+/**
+ * Creates the animated c path sub-section
+ */
+function createCPathFolder() {
+    const cPath = fractalState.cPath;
+    const cPathFolder = folders.fractal.addFolder({
+        title: 'c Path Animation',
+        expanded: false
+    });
+    
+    // Starting captures the current c as the path center
+    bindingState.cPathSelector.value = cPath.enabled;
+    
+    cPathFolder.addBinding(bindingState.cPathSelector, 'value', {
+        label: 'Animate c'
+    }).on('change', (ev) => {
+        setCPathEnabled(ev.value);
+    });
+    
+    cPathFolder.addBinding(cPath, 'type', {
+        label: 'Path',
+        options: {
+            'Circle in Plane': 0,
+            '4D Lissajous': 1,
+            'Great Circle': 2,
+            'Preset Polyline': 3
+        }
+    });
+    
+    cPathFolder.addBinding(cPath, 'plane', {
+        label: 'Plane',
+        options: {
+            'XY': 0, 'XZ': 1, 'XW': 2,
+            'YZ': 3, 'YW': 4, 'ZW': 5
+        }
+    });
+    
+    cPathFolder.addBinding(cPath, 'speed', {
+        min: -1.0, max: 1.0, step: 0.01,
+        label: 'Speed'
+    });
+    
+    cPathFolder.addBinding(cPath, 'phase', {
+        min: 0.0, max: Math.PI * 2, step: 0.01,
+        label: 'Phase'
+    });
+    
+    cPathFolder.addBinding(cPath, 'amplitude', {
+        min: 0.0, max: 1.0, step: 0.01,
+        label: 'Amplitude'
+    });
+    
+    ['x', 'y', 'z', 'w'].forEach(axis => {
+        cPathFolder.addBinding(cPath.frequencies, axis, {
+            min: 1, max: 8, step: 1,
+            label: `Lissajous f${axis}`
+        });
+    });
+    
+    // Comma-separated preset names (Q01-Q18 or saved settings) for the polyline path
+    cPathFolder.addBinding(cPath, 'presetList', {
+        label: 'Presets'
+    }).on('change', () => {
+        resolveCPathWaypoints();
+    });
+    resolveCPathWaypoints();
+    
+    cPathFolder.addButton({
+        title: 'Center on Current c'
+    }).on('click', () => {
+        cPath.center.copy(fractalState.params);
+    });
+}
+
+/**
+ * Resolves the preset names of the polyline path to c values
+ */
+function resolveCPathWaypoints() {
+    const cPath = fractalState.cPath;
+    const names = cPath.presetList.split(',').filter(name => name.trim());
+    cPath.waypoints = names.map(findPresetParams).filter(params => params !== null);
+    if (cPath.waypoints.length < names.length) {
+        console.warn("c path: some presets were not found:", cPath.presetList);
+    }
 }
 
 /**
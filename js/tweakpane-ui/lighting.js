@@ -0,0 +1,197 @@
+/**
+ * Tweakpane UI Lighting Module
+ * Contains controls for the light rig: ambient light, light types, colors,
+ * directions and per-light shadows, and the HDR environment
+ *
+ * @module tweakpane-ui/lighting
+ */
+
+import { lightSettings, environmentSettings, setLightRig, defaultKeyLight } from '../fractal.js';
+import { updateLightUniforms, updateEnvironmentUniforms } from '../shaders.js';
+import { loadEnvironmentFile, clearEnvironment, hasEnvironment } from '../environment.js';
+
+// Import shared UI elements
+import { pane, folders } from './core.js';
+
+/**
+ * Light rig presets for the preset buttons (lights as createLight overrides)
+ */
+const LIGHT_RIG_PRESETS = {
+    'Default': {
+        ambient: 0.2,
+        lights: [defaultKeyLight()]
+    },
+    'Headlight': {
+        ambient: 0.15,
+        lights: [
+            { enabled: true, type: 2, intensity: 1.0, shadows: false }
+        ]
+    },
+    'Key + Rim': {
+        ambient: 0.15,
+        lights: [
+            defaultKeyLight(),
+            // Behind the subject as seen from the camera, follows the view
+            { enabled: true, type: 3, direction: { x: 180, y: 30 }, color: '#9fc4ff', intensity: 1.2, shadows: false }
+        ]
+    },
+    'Three-Point': {
+        ambient: 0.1,
+        lights: [
+            { enabled: true, type: 3, direction: { x: -40, y: 35 }, color: '#fff1dc', intensity: 1.0, shadows: true },
+            { enabled: true, type: 3, direction: { x: 50, y: 10 }, color: '#c8d8ff', intensity: 0.35, shadows: false },
+            { enabled: true, type: 3, direction: { x: 180, y: 40 }, color: '#ffffff', intensity: 1.0, shadows: false }
+        ]
+    }
+};
+
+/**
+ * Creates the lighting control section
+ */
+export function createLightingFolder(targetPane = null) {
+    const usePane = targetPane || pane;
+
+    // Create main folder
+    folders.lighting = usePane.addFolder({
+        title: 'Lighting',
+        expanded: false
+    });
+
+    const update = () => updateLightUniforms(lightSettings);
+
+    createEnvironmentFolder();
+
+    folders.lighting.addBinding(lightSettings, 'ambient', {
+        label: 'Ambient',
+        min: 0.0, max: 1.0, step: 0.01
+    }).on('change', update);
+
+    Object.entries(LIGHT_RIG_PRESETS).forEach(([name, rig]) => {
+        folders.lighting.addButton({
+            title: `Preset: ${name}`
+        }).on('click', () => {
+            setLightRig(rig);
+            import('./core.js').then(module => {
+                if (module.refreshUI) module.refreshUI();
+            });
+        });
+    });
+
+    lightSettings.lights.forEach((light, index) => {
+        const lightFolder = folders.lighting.addFolder({
+            title: `Light ${index + 1}`,
+            expanded: false
+        });
+
+        lightFolder.addBinding(light, 'enabled', { label: 'Enabled' }).on('change', update);
+        lightFolder.addBinding(light, 'type', {
+            label: 'Type',
+            options: {
+                'Directional': 0,
+                'Point': 1,
+                'Headlight (Camera)': 2,
+                'Camera Directional': 3
+            }
+        }).on('change', update);
+        lightFolder.addBinding(light, 'color', {
+            label: 'Color'
+        }).on('change', update);
+        lightFolder.addBinding(light, 'intensity', {
+            min: 0.0, max: 4.0, step: 0.01,
+            label: 'Intensity'
+        }).on('change', update);
+        lightFolder.addBinding(light, 'shadows', {
+            label: 'Shadows'
+        }).on('change', update);
+
+        // Directional lights: azimuth/elevation pad (camera space for camera directional)
+        lightFolder.addBinding(light, 'direction', {
+            label: 'Direction',
+            picker: 'inline',
+            expanded: true,
+            x: { min: -180, max: 180, step: 1 },
+            y: { min: -90, max: 90, step: 1, inverted: true }
+        }).on('change', update);
+
+        // Point lights
+        ['x', 'y', 'z'].forEach(axis => {
+            lightFolder.addBinding(light.position, axis, {
+                min: -20, max: 20, step: 0.1,
+                label: `Position ${axis}`
+            }).on('change', update);
+        });
+    });
+}
+
+/**
+ * Creates the HDR environment sub-section (background and image-based lighting)
+ */
+function createEnvironmentFolder() {
+    const envFolder = folders.lighting.addFolder({
+        title: 'Environment (HDR)',
+        expanded: false
+    });
+    const update = () => updateEnvironmentUniforms(environmentSettings);
+    const refresh = () => import('./core.js').then(module => {
+        if (module.refreshUI) module.refreshUI();
+    });
+
+    envFolder.addButton({
+        title: 'Load .hdr / .exr...'
+    }).on('click', () => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.hdr,.exr';
+        input.onchange = event => {
+            const file = event.target.files[0];
+            if (!file) return;
+            const previousName = environmentSettings.fileName;
+            environmentSettings.fileName = `Loading ${file.name}...`;
+            refresh();
+            loadEnvironmentFile(file).then(refresh).catch(error => {
+                console.error('Error loading environment:', error);
+                // The previous environment, if any, stays active
+                environmentSettings.fileName = hasEnvironment() ? previousName : '';
+                refresh();
+                alert(`Failed to load environment: ${error.message}`);
+            });
+        };
+        input.click();
+    });
+
+    envFolder.addButton({
+        title: 'Remove Environment'
+    }).on('click', () => {
+        clearEnvironment();
+        refresh();
+    });
+
+    envFolder.addBinding(environmentSettings, 'fileName', {
+        readonly: true,
+        label: 'File'
+    });
+
+    // Replaces the flat ambient term and adds Fresnel reflections
+    envFolder.addBinding(environmentSettings, 'enabled', { label: 'Enabled' }).on('change', update);
+    envFolder.addBinding(environmentSettings, 'background', { label: 'Background' }).on('change', update);
+    envFolder.addBinding(environmentSettings, 'intensity', {
+        min: 0.0, max: 8.0, step: 0.01,
+        label: 'Intensity'
+    }).on('change', update);
+    envFolder.addBinding(environmentSettings, 'rotation', {
+        min: -180, max: 180, step: 1,
+        label: 'Rotation'
+    }).on('change', update);
+    envFolder.addBinding(environmentSettings, 'backgroundBlur', {
+        min: 0.0, max: 1.0, step: 0.01,
+        label: 'Background Blur'
+    }).on('change', update);
+    envFolder.addBinding(environmentSettings, 'reflectivity', {
+        min: 0.0, max: 1.0, step: 0.01,
+        label: 'Reflectivity'
+    }).on('change', update);
+    envFolder.addBinding(environmentSettings, 'reflectionBlur', {
+        min: 0.0, max: 1.0, step: 0.01,
+        label: 'Reflection Blur'
+    }).on('change', update);
+}
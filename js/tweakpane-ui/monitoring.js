@@ -15,9 +15,16 @@ import {
     crossSectionSettings,
     colorDynamicsSettings,
     orbitTrapSettings,
-    physicsColorSettings
+    physicsColorSettings,
+    interiorSettings,
+    lightSettings,
+    atmosphereSettings,
+    postFxSettings,
+    backgroundSettings
 } from '../fractal.js';
+import { isPostFxActive } from '../postfx.js';
 import { getRecordingQuality, isCurrentlyRecording } from '../recorder.js';
+import { getAccumulatedSamples, getRenderScale } from '../scene.js';
 
 /**
  * Creates the system monitoring section
@@ -56,6 +63,13 @@ function createPerformanceMonitorFolder(parentPane) {
         max: 120
     });
     
+    // Internal resolution of changing views (dynamic resolution)
+    perfFolder.addBinding(bindingState, 'renderScale', {
+        readonly: true,
+        label: 'Render Scale',
+        format: value => `${Math.round(value * 100)}%`
+    });
+    
     // Iteration count monitor
     perfFolder.addBinding(qualitySettings, 'maxIter', {
         readonly: true,
@@ -102,6 +116,11 @@ function createParameterMonitorFolder(parentPane) {
         label: 'c.w'
     });
     
+    paramFolder.addBinding(fractalState, 'power', {
+        readonly: true,
+        label: 'Power (n)'
+    });
+    
     // Slice information
     paramFolder.addBinding(fractalState, 'sliceValue', {
         readonly: true,
@@ -113,6 +132,13 @@ function createParameterMonitorFolder(parentPane) {
         readonly: true,
         label: 'Focal Length'
     });
+    
+    // Progressive refinement: samples averaged into the still image
+    paramFolder.addBinding(bindingState, 'accumulatedSamples', {
+        readonly: true,
+        label: 'Samples',
+        format: value => value.toFixed(0)
+    });
 }
 
 /**
@@ -164,6 +190,10 @@ function updateMonitoringValues() {
         // Update camera velocity
         bindingState.cameraVelocity = cameraState.moveVelocity || 0;
         
+        // Update accumulated sample count
+        bindingState.accumulatedSamples = getAccumulatedSamples();
+        bindingState.renderScale = getRenderScale();
+        
         // Update application status
         if (isPaused()) {
             bindingState.appStatus = 'Paused';
@@ -191,6 +221,32 @@ function updateMonitoringValues() {
         if (orbitTrapSettings.enabled) effects.push('Orbit Trap');
         if (physicsColorSettings.enabled) effects.push('Physics Color');
         if (crossSectionSettings.clipMode > 0) effects.push('Cross-Section');
+        if (qualitySettings.debugView > 0) effects.push('Diagnostics');
+        if (qualitySettings.renderMode === 1) effects.push(`Path Traced (${qualitySettings.pathBounces} bounces)`);
+        if (qualitySettings.progressiveRefinement) effects.push('Progressive');
+        if (qualitySettings.dynamicResolution) effects.push('Dynamic Resolution');
+        if (cameraState.aperture > 0) effects.push('Depth of Field');
+        if (cameraState.stereoMode > 0) effects.push('Stereo 3D');
+        if (cameraState.projection > 0) effects.push(['', '360° Panorama', 'Cubemap', 'Domemaster'][cameraState.projection]);
+        const lights = lightSettings.lights.filter(light => light.enabled).length;
+        if (lights !== 1) effects.push(`${lights} Lights`);
+        if (window.uniforms?.u_envEnabled?.value) effects.push('HDR Environment');
+        if (atmosphereSettings.glow.enabled) effects.push('Glow');
+        if (atmosphereSettings.fog.enabled) effects.push('Fog');
+        if (atmosphereSettings.depthCue.enabled) effects.push('Depth Cue');
+        if (isPostFxActive(postFxSettings)) effects.push('Post FX');
+        if (backgroundSettings.mode > 0) effects.push(['Vertical Gradient', 'Radial Gradient', 'Starfield', 'Nebula', 'Transparent BG'][backgroundSettings.mode - 1]);
+        if (interiorSettings.mode > 0) effects.push('Interior');
+        if (interiorSettings.volume) effects.push('Interior Volume');
+        if (fractalState.cPath.enabled) effects.push('c Path');
+        if (fractalState.mode === 1) effects.push('Mandelbrot');
+        if (fractalState.customFormula) effects.push('Custom Formula');
+        if (fractalState.hybrid.enabled) effects.push(`Hybrid ${fractalState.hybrid.sequence}`);
+        if (fractalState.symmetry.enabled) effects.push('Symmetry');
+        if (fractalState.estimator.deMethod !== 0) effects.push(['Log DE', 'Linear DE', 'Potential DE'][fractalState.estimator.deMethod]);
+        const csgObjects = fractalState.csg.objects.filter(object => object.enabled).length;
+        if (fractalState.csg.enabled && csgObjects > 0) effects.push(`CSG (${csgObjects})`);
+        if (fractalState.algebra !== 0) effects.push(['Hamilton', 'Bicomplex', 'Split-Quaternion', 'Commutative'][fractalState.algebra]);
         
         bindingState.activeEffects = effects.length > 0 ? effects.join(', ') : 'Basic';
         
@@ -0,0 +1,77 @@
+/**
+ * Tweakpane UI Post FX Module
+ * Contains controls for the post-processing chain: exposure, tone mapping,
+ * gamma, bloom, vignette, film grain and chromatic aberration
+ *
+ * @module tweakpane-ui/postfx
+ */
+
+import { postFxSettings } from '../fractal.js';
+import { updatePostFxUniforms } from '../postfx.js';
+
+// Import shared UI elements
+import { pane, folders } from './core.js';
+
+/**
+ * Creates the post-processing control section
+ */
+export function createPostFxFolder(targetPane = null) {
+    const usePane = targetPane || pane;
+
+    // Create main folder
+    folders.postFx = usePane.addFolder({
+        title: 'Post FX',
+        expanded: false
+    });
+
+    const update = () => updatePostFxUniforms(postFxSettings);
+
+    folders.postFx.addBinding(postFxSettings, 'exposure', {
+        min: -4.0, max: 4.0, step: 0.05,
+        label: 'Exposure (EV)'
+    }).on('change', update);
+    folders.postFx.addBinding(postFxSettings, 'toneMapping', {
+        label: 'Tone Mapping',
+        options: {
+            'None (Clip)': 0,
+            'Reinhard': 1,
+            'Filmic': 2,
+            'ACES': 3
+        }
+    }).on('change', update);
+    folders.postFx.addBinding(postFxSettings, 'gamma', {
+        min: 0.5, max: 3.0, step: 0.01,
+        label: 'Gamma'
+    }).on('change', update);
+
+    // Bloom spreads what is brighter than the threshold
+    const bloomFolder = folders.postFx.addFolder({
+        title: 'Bloom',
+        expanded: false
+    });
+    bloomFolder.addBinding(postFxSettings, 'bloomIntensity', {
+        min: 0.0, max: 2.0, step: 0.01,
+        label: 'Intensity'
+    }).on('change', update);
+    bloomFolder.addBinding(postFxSettings, 'bloomThreshold', {
+        min: 0.0, max: 4.0, step: 0.01,
+        label: 'Threshold'
+    }).on('change', update);
+    bloomFolder.addBinding(postFxSettings, 'bloomRadius', {
+        min: 0.0, max: 1.0, step: 0.01,
+        label: 'Radius'
+    }).on('change', update);
+
+    folders.postFx.addBinding(postFxSettings, 'vignette', {
+        min: 0.0, max: 1.0, step: 0.01,
+        label: 'Vignette'
+    }).on('change', update);
+    folders.postFx.addBinding(postFxSettings, 'grain', {
+        min: 0.0, max: 0.3, step: 0.005,
+        label: 'Film Grain'
+    }).on('change', update);
+    folders.postFx.addBinding(postFxSettings, 'chromaticAberration', {
+        min: 0.0, max: 0.03, step: 0.0005,
+        label: 'Chromatic Aberration'
+    }).on('change', update);
+}
@@ -10,7 +10,8 @@ import { pane, folders, bindingState } from './core.js';
 import { resetAllToDefaults } from './settings-reset.js';
 import { saveCurrentSettings, loadSavedSettings } from './settings-storage.js';
 import { exportSettingsToFile, importSettingsFromFile } from './settings-io.js';
-import { fractalState } from '../fractal.js';
+import { fractalState, setFractalPower } from '../fractal.js';
+import { CONFIG } from '../config.js';
 import { cameraState, startTargetAnimation, updateCameraState } from '../camera.js';
 import { updateFractalParamsUniform } from '../shaders.js';
 import { loadAvailableTours, startTourPlayback } from '../tour.js';
@@ -26,7 +27,8 @@ import {
 } from '../tour.js';
 
 /**
- * Predefined quaternion parameter presets from the legacy UI
+ * Predefined quaternion parameter presets from the legacy UI.
+ * Presets without a power use the classic z^2 + c iteration.
  */
 const quaternionPresets = [
     { name: 'Q01', params: new THREE.Vector4(-1.0, 0.2, 0.0, 0.0) },
@@ -41,7 +43,12 @@ const quaternionPresets = [
     { name: 'Q10', params: new THREE.Vector4(-0.450, -0.447, 0.181, 0.306) },
     { name: 'Q11', params: new THREE.Vector4(-0.218, -0.113, -0.181, -0.496) },
     { name: 'Q12', params: new THREE.Vector4(-0.137, -0.630, -0.475, -0.046) },
-    { name: 'Q13', params: new THREE.Vector4(-0.125, -0.256, 0.847, 0.0895) }
+    { name: 'Q13', params: new THREE.Vector4(-0.125, -0.256, 0.847, 0.0895) },
+    { name: 'Q14', params: new THREE.Vector4(-0.5, 0.3, 0.4, 0.0), power: 3 },
+    { name: 'Q15', params: new THREE.Vector4(-0.3, 0.4, 0.3, 0.25), power: 3 },
+    { name: 'Q16', params: new THREE.Vector4(0.35, 0.2, 0.2, 0.2), power: 4 },
+    { name: 'Q17', params: new THREE.Vector4(-0.6, 0.3, 0.0, 0.0), power: 4 },
+    { name: 'Q18', params: new THREE.Vector4(0.3, 0.3, 0.3, 0.25), power: 5 }
 ];
 
 /**
@@ -235,6 +242,9 @@ function showQuaternionPresetMenu() {
             border-bottom: 1px solid #333;
         `;
         item.textContent = `${preset.name} (${preset.params.x.toFixed(2)}, ${preset.params.y.toFixed(2)}, ${preset.params.z.toFixed(2)}, ${preset.params.w.toFixed(2)})`;
+        if (preset.power) {
+            item.textContent += ` n=${preset.power}`;
+        }
         
         item.addEventListener('mouseenter', () => {
             item.style.backgroundColor = '#555';
@@ -351,9 +361,31 @@ function showTourPresetMenu(tours) {
     setTimeout(() => document.addEventListener('click', closeMenu), 100);
 }
 
+/**
+ * Looks up the c value of a preset by name - built-in quaternion presets
+ * (e.g. "Q05") first, then settings saved to localStorage
+ * @param {string} name - Preset name
+ * @returns {number[]|null} c as [x, y, z, w], or null if no preset matches
+ */
+export function findPresetParams(name) {
+    const key = name.trim().toUpperCase();
+    const preset = quaternionPresets.find(p => p.name.toUpperCase() === key);
+    if (preset) return preset.params.toArray();
+    
+    try {
+        const saved = JSON.parse(localStorage.getItem('fractalExplorerPresets') || '{}');
+        const settings = saved[name.trim()];
+        const c = settings && settings.fractalParams && settings.fractalParams.c;
+        if (c) return [c.x, c.y, c.z, c.w];
+    } catch (error) {
+        console.error('Error reading saved presets:', error);
+    }
+    return null;
+}
+
 /**
  * Loads a quaternion parameter preset and updates the fractal
- * @param {number} index - Index of the preset to load (0-12)
+ * @param {number} index - Index of the preset to load (0-17)
  */
 function loadQuaternionPreset(index) {
     try {
@@ -363,9 +395,12 @@ function loadQuaternionPreset(index) {
         
         // Copy preset to fractal parameters
         fractalState.params.copy(preset.params);
+        // A running c path now circles around the preset
+        fractalState.cPath.center.copy(preset.params);
         
         // Update the shader uniform
         updateFractalParamsUniform(fractalState.params);
+        setFractalPower(preset.power || CONFIG.FRACTAL.DEFAULT_POWER);
         
         // Reset camera as in R key operation (but keep our parameters)
         cameraState.focalLength = cameraState.defaultFocalLength;
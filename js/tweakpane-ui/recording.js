@@ -13,6 +13,8 @@ import {
     getRecordingQuality 
 } from '../recorder.js';
 import { handleScreenshotKeys } from '../screenshot.js';
+import { posterState, renderPoster, cancelPoster } from '../poster.js';
+import { CONFIG } from '../config.js';
 
 /**
  * Creates the recording controls section
@@ -31,6 +33,9 @@ export function createRecordingFolder(targetPane = null) {
     
     // Screenshot controls
     createScreenshotControls();
+    
+    // Tiled poster export
+    createPosterControls();
 }
 
 /**
@@ -125,6 +130,91 @@ function createScreenshotControls() {
     }
 }
 
+/**
+ * Creates poster export sub-section (tiled rendering of images larger than the window)
+ */
+function createPosterControls() {
+    const posterFolder = folders.recording.addFolder({
+        title: 'Poster Export',
+        expanded: false
+    });
+    
+    // Size presets fill in width and height
+    bindingState.posterSize = { value: '' };
+    const sizeOptions = { 'Custom': '' };
+    Object.keys(CONFIG.SCREENSHOT.POSTER.SIZES).forEach(name => {
+        sizeOptions[name] = name;
+    });
+    posterFolder.addBinding(bindingState.posterSize, 'value', {
+        label: 'Size',
+        options: sizeOptions
+    }).on('change', (ev) => {
+        const size = CONFIG.SCREENSHOT.POSTER.SIZES[ev.value];
+        if (size) {
+            [posterState.width, posterState.height] = size;
+            refreshPosterUI();
+        }
+    });
+    
+    posterFolder.addBinding(posterState, 'width', {
+        label: 'Width',
+        min: 256,
+        max: CONFIG.SCREENSHOT.POSTER.MAX_SIZE,
+        step: 1
+    });
+    
+    posterFolder.addBinding(posterState, 'height', {
+        label: 'Height',
+        min: 256,
+        max: CONFIG.SCREENSHOT.POSTER.MAX_SIZE,
+        step: 1
+    });
+    
+    posterFolder.addBinding(posterState, 'tileSize', {
+        label: 'Tile Size',
+        options: { '256': 256, '512': 512, '1024': 1024, '2048': 2048 }
+    });
+    
+    posterFolder.addBinding(posterState, 'supersampling', {
+        label: 'Supersampling',
+        options: { 'Off': 1, '2×2': 2, '3×3': 3, '4×4': 4 }
+    });
+    
+    posterFolder.addButton({
+        title: '🖼️ Render Poster'
+    }).on('click', () => {
+        renderPoster(refreshPosterUI).then(refreshPosterUI);
+        refreshPosterUI();
+    });
+    
+    posterFolder.addButton({
+        title: '⏹ Cancel'
+    }).on('click', () => {
+        cancelPoster();
+    });
+    
+    posterFolder.addBinding(posterState, 'progress', {
+        readonly: true,
+        label: 'Progress',
+        format: value => `${Math.round(value * 100)}%`
+    });
+    
+    posterFolder.addBinding(posterState, 'status', {
+        readonly: true,
+        label: 'Status',
+        view: 'text'
+    });
+}
+
+/**
+ * The animation loop (which normally refreshes the UI) is paused during poster export
+ */
+function refreshPosterUI() {
+    import('./core.js').then(module => {
+        if (module.refreshUI) module.refreshUI();
+    });
+}
+
 /**
  * Gets the current recording quality as an index (0, 1, 2)
  */
@@ -67,18 +67,215 @@ export function createRenderingFolder(targetPane = null) {
         updateQualityUniforms(qualitySettings);
         updateAdaptiveStepsUniform(qualitySettings.enableAdaptiveSteps);
     });
+    
+    // Compare with finite differences: analytic normals need one orbit pass instead of six
+    folders.rendering.addBinding(qualitySettings, 'analyticNormals', {
+        label: 'Analytic Normals'
+    }).on('change', () => {
+        updateQualityUniforms(qualitySettings);
+    });
+    
+    // Path tracing accumulates whenever the view is still, regardless of progressive refinement
+    folders.rendering.addBinding(qualitySettings, 'renderMode', {
+        label: 'Render Mode',
+        options: {
+            'Direct Lighting': 0,
+            'Path Traced (GI)': 1
+        }
+    }).on('change', () => {
+        updateQualityUniforms(qualitySettings);
+    });
+    
+    folders.rendering.addBinding(qualitySettings, 'pathBounces', {
+        label: 'GI Bounces',
+        min: 1,
+        max: CONFIG.SHADER.PATH_TRACING.MAX_BOUNCES,
+        step: 1
+    }).on('change', () => {
+        updateQualityUniforms(qualitySettings);
+    });
+    
+    folders.rendering.addBinding(qualitySettings, 'pathSkyIntensity', {
+        label: 'GI Sky Intensity',
+        min: 0.0,
+        max: 4.0,
+        step: 0.01
+    }).on('change', () => {
+        updateQualityUniforms(qualitySettings);
+    });
+    
+    // Averages jittered frames while the view is still (read by renderFrame, no uniform)
+    folders.rendering.addBinding(qualitySettings, 'progressiveRefinement', {
+        label: 'Progressive Refinement'
+    });
+    
+    // Lowers the internal resolution of moving views toward the target frame rate
+    folders.rendering.addBinding(qualitySettings, 'dynamicResolution', {
+        label: 'Dynamic Resolution'
+    });
+    
+    folders.rendering.addBinding(qualitySettings, 'targetFps', {
+        label: 'Target FPS',
+        min: 10,
+        max: 60,
+        step: 1
+    });
+    
+    folders.rendering.addBinding(qualitySettings, 'minRenderScale', {
+        label: 'Min Scale',
+        min: 0.1,
+        max: 1.0,
+        step: 0.05
+    }).on('change', () => {
+        // Keep the limits ordered
+        if (qualitySettings.maxRenderScale < qualitySettings.minRenderScale) {
+            qualitySettings.maxRenderScale = qualitySettings.minRenderScale;
+            import('./core.js').then(module => {
+                if (module.refreshUI) module.refreshUI();
+            });
+        }
+    });
+    
+    folders.rendering.addBinding(qualitySettings, 'maxRenderScale', {
+        label: 'Max Scale',
+        min: 0.1,
+        max: 1.0,
+        step: 0.05
+    }).on('change', () => {
+        if (qualitySettings.minRenderScale > qualitySettings.maxRenderScale) {
+            qualitySettings.minRenderScale = qualitySettings.maxRenderScale;
+            import('./core.js').then(module => {
+                if (module.refreshUI) module.refreshUI();
+            });
+        }
+    });
+    
+    // Heatmaps for finding holes and overstepping of the ray marcher
+    folders.rendering.addBinding(qualitySettings, 'debugView', {
+        label: 'Diagnostics',
+        options: {
+            'Off (Shaded)': 0,
+            'March Steps': 1,
+            'Final Distance': 2,
+            'Iterations at Hit': 3,
+            'Stop Reason': 4
+        }
+    }).on('change', () => {
+        updateQualityUniforms(qualitySettings);
+    });
 }
 
 /**
  * Updates quality uniforms from UI
  */
 export function updateQualityUniforms(qualitySettings) {
+    updateDiagnosticsLegend(qualitySettings.debugView);
     // This function calls the shader updateQualityUniforms
     import('../shaders.js').then(module => {
         module.updateQualityUniforms(qualitySettings);
     });
 }
 
+/**
+ * Legends of the diagnostics views: gradient labels for the heatmaps,
+ * color swatches for the stop reason (colors match diagnosticsColor in shaders.js)
+ */
+const DIAGNOSTICS_LEGENDS = {
+    1: { title: 'March Steps', labels: ['0', String(CONFIG.RAYMARCHING.MAX_MARCH_STEPS / 2), String(CONFIG.RAYMARCHING.MAX_MARCH_STEPS)] },
+    2: { title: 'Final Distance Estimate', labels: ['1e-6', '1e-4 (hit)', '1e-2', '1'] },
+    3: { title: 'Iterations at Hit (black: miss)', labels: ['0', '50%', 'Max'] },
+    4: {
+        title: 'Stop Reason',
+        swatches: [
+            ['Hit threshold', 'rgb(51, 204, 77)'],
+            ['MAX_DIST', 'rgb(51, 102, 230)'],
+            ['MAX_MARCH', 'rgb(230, 51, 51)']
+        ]
+    }
+};
+
+/**
+ * CSS gradient sampling the shader heatmap()
+ * @returns {string} linear-gradient() value
+ */
+function heatmapGradient() {
+    const stops = [];
+    for (let i = 0; i <= 8; i++) {
+        const v = i / 8;
+        const channel = center => Math.round(255 * Math.min(Math.max(1.5 - Math.abs(4 * v - center), 0), 1));
+        stops.push(`rgb(${channel(3)}, ${channel(2)}, ${channel(1)}) ${v * 100}%`);
+    }
+    return `linear-gradient(to right, ${stops.join(', ')})`;
+}
+
+/**
+ * Shows the legend overlay for a diagnostics view, or removes it
+ * @param {number} mode - Diagnostics view (0: off)
+ */
+function updateDiagnosticsLegend(mode) {
+    let legend = document.getElementById('diagnostics-legend');
+    const definition = DIAGNOSTICS_LEGENDS[mode];
+    if (!definition) {
+        if (legend) legend.remove();
+        return;
+    }
+    
+    if (!legend) {
+        legend = document.createElement('div');
+        legend.id = 'diagnostics-legend';
+        Object.assign(legend.style, {
+            position: 'absolute',
+            left: '20px',
+            bottom: '20px',
+            width: '260px',
+            background: 'rgba(40, 40, 45, 0.85)',
+            border: '1px solid #555',
+            borderRadius: '8px',
+            padding: '10px',
+            color: 'white',
+            fontSize: '12px',
+            pointerEvents: 'none',
+            zIndex: '1000'
+        });
+        document.body.appendChild(legend);
+    }
+    legend.replaceChildren();
+    
+    const title = document.createElement('div');
+    title.textContent = definition.title;
+    title.style.marginBottom = '6px';
+    legend.appendChild(title);
+    
+    if (definition.swatches) {
+        definition.swatches.forEach(([label, color]) => {
+            const row = document.createElement('div');
+            const swatch = document.createElement('span');
+            Object.assign(swatch.style, {
+                display: 'inline-block',
+                width: '12px',
+                height: '12px',
+                marginRight: '6px',
+                verticalAlign: 'middle',
+                background: color
+            });
+            row.append(swatch, label);
+            legend.appendChild(row);
+        });
+        return;
+    }
+    
+    const bar = document.createElement('div');
+    Object.assign(bar.style, { height: '12px', background: heatmapGradient() });
+    const labels = document.createElement('div');
+    Object.assign(labels.style, { display: 'flex', justifyContent: 'space-between', marginTop: '4px' });
+    definition.labels.forEach(text => {
+        const label = document.createElement('span');
+        label.textContent = text;
+        labels.appendChild(label);
+    });
+    legend.append(bar, labels);
+}
+
 /**
  * Updates adaptive steps uniform
  */
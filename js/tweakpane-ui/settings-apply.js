@@ -12,22 +12,40 @@ import {
     orbitTrapSettings,
     physicsColorSettings,
     crossSectionSettings,
-    qualitySettings
+    setQualitySettings,
+    interiorSettings,
+    setCsgScene,
+    setLightRig,
+    defaultKeyLight,
+    environmentSettings,
+    setAtmosphere,
+    setPostFx,
+    setBackground
 } from '../fractal.js';
 
 import { 
     updateFractalParamsUniform,
+    updatePowerUniform,
+    updateFractalModeUniforms,
+    updateAlgebraUniform,
+    updateHybridUniforms,
+    updateSymmetryUniforms,
+    updateEstimatorUniforms,
+    updateSliceRotationUniform,
     updateColorUniforms,
     updateColorDynamicsUniforms,
     updateOrbitTrapUniforms,
     updatePhysicsColorUniforms,
+    updateInteriorUniforms,
     updateClipModeUniform,
-    updateClipDistanceUniform
+    updateClipDistanceUniform,
+    updateEnvironmentUniforms
 } from '../shaders.js';
 
+import { setCustomFormula } from '../formula.js';
 import { cameraState, updateCameraState } from '../camera.js';
+import { CONFIG } from '../config.js';
 import { refreshUI } from './core.js';
-import { updateQualityUniforms } from './rendering.js';
 
 /**
  * Applies saved settings to the application
@@ -39,7 +57,10 @@ export function applySettings(settings) {
     try {
         applyFractalParameters(settings.fractalParams);
         applyColorSettings(settings.color);
-        applyQualitySettings(settings.quality);
+        setQualitySettings(settings.quality || {});
+        applyLightingSettings(settings.lighting);
+        setAtmosphere(settings.atmosphere || {});
+        setPostFx(settings.postFx || {});
         applyCameraSettings(settings.camera);
         
         // Refresh UI
@@ -69,10 +90,95 @@ function applyFractalParameters(fractalParams) {
         updateFractalParamsUniform(fractalState.params);
     }
     
+    // Older presets have no power and always used z^2 + c
+    fractalState.power = fractalParams.power !== undefined ? fractalParams.power : CONFIG.FRACTAL.DEFAULT_POWER;
+    updatePowerUniform(fractalState.power);
+    
+    // Older presets have no mode and were always Julia sets
+    fractalState.mode = fractalParams.mode !== undefined ? fractalParams.mode : 0;
+    if (fractalParams.z0) {
+        fractalState.z0.set(
+            fractalParams.z0.x,
+            fractalParams.z0.y,
+            fractalParams.z0.z,
+            fractalParams.z0.w
+        );
+    }
+    updateFractalModeUniforms(fractalState.mode, fractalState.z0);
+    
+    // Older presets have no algebra and always used Hamilton quaternions
+    fractalState.algebra = fractalParams.algebra !== undefined ? fractalParams.algebra : 0;
+    updateAlgebraUniform(fractalState.algebra);
+    
+    // Older presets have no custom formula; a broken one keeps the current shader
+    setCustomFormula(fractalParams.customFormula || '');
+    
+    // Older presets have no hybrid sequence and iterate a single rule
+    const hybrid = fractalState.hybrid;
+    hybrid.enabled = false;
+    if (fractalParams.hybrid) {
+        hybrid.enabled = !!fractalParams.hybrid.enabled;
+        if (fractalParams.hybrid.sequence !== undefined) hybrid.sequence = fractalParams.hybrid.sequence;
+        if (fractalParams.hybrid.transform !== undefined) hybrid.transform = fractalParams.hybrid.transform;
+        if (fractalParams.hybrid.foldLimit !== undefined) hybrid.foldLimit = fractalParams.hybrid.foldLimit;
+        Object.assign(hybrid.rotation, fractalParams.hybrid.rotation);
+    }
+    updateHybridUniforms(hybrid);
+    
+    // Older presets used the fixed escape radius 4 and the logarithmic estimator
+    Object.assign(fractalState.estimator, {
+        bailout: CONFIG.RAYMARCHING.ESCAPE_RADIUS,
+        escapeNorm: 0,
+        escapeAxis: 0,
+        deMethod: 0,
+        fudge: 1.0
+    }, fractalParams.estimator);
+    updateEstimatorUniforms(fractalState.estimator);
+    
+    // Older presets have no symmetry folds
+    const symmetry = fractalState.symmetry;
+    symmetry.enabled = false;
+    if (fractalParams.symmetry) {
+        symmetry.enabled = !!fractalParams.symmetry.enabled;
+        if (fractalParams.symmetry.stage !== undefined) symmetry.stage = fractalParams.symmetry.stage;
+        if (fractalParams.symmetry.polyhedral !== undefined) symmetry.polyhedral = fractalParams.symmetry.polyhedral;
+        symmetry.mirror = !!fractalParams.symmetry.mirror;
+        Object.assign(symmetry.absFold, fractalParams.symmetry.absFold);
+        Object.assign(symmetry.mirrorNormal, fractalParams.symmetry.mirrorNormal);
+    }
+    updateSymmetryUniforms(symmetry);
+    
+    // Older presets render the Julia set on its own
+    setCsgScene(fractalParams.csg || { enabled: false });
+    
     if (fractalParams.slice) {
         fractalState.animateSlice = fractalParams.slice.animate;
         fractalState.sliceAmplitude = fractalParams.slice.amplitude;
         // Note: sliceValue will be calculated by animation if enabled
+        
+        // Older presets only sliced perpendicular to the w axis
+        Object.assign(fractalState.sliceRotation, { xw: 0.0, yw: 0.0, zw: 0.0 }, fractalParams.slice.rotation);
+        fractalState.animateSliceRotation = !!fractalParams.slice.animateRotation;
+        if (fractalParams.slice.rotationSpeed) {
+            Object.assign(fractalState.sliceRotationSpeed, fractalParams.slice.rotationSpeed);
+        }
+        updateSliceRotationUniform(fractalState.sliceRotation);
+    }
+    
+    // Older presets have a static c
+    const cPath = fractalState.cPath;
+    cPath.enabled = false;
+    if (fractalParams.cPath) {
+        const { center, frequencies, waypoints, ...options } = fractalParams.cPath;
+        Object.assign(cPath, options);
+        Object.assign(cPath.frequencies, frequencies);
+        cPath.waypoints = (waypoints || []).map(point => point.slice());
+        if (center) {
+            cPath.center.fromArray(center);
+        } else {
+            cPath.center.copy(fractalState.params);
+        }
+        cPath.time = 0.0;
     }
     
     if (fractalParams.crossSection) {
@@ -117,17 +223,29 @@ function applyColorSettings(color) {
         Object.assign(physicsColorSettings, color.physics);
         updatePhysicsColorUniforms(physicsColorSettings);
     }
+    
+    // Apply interior settings (older presets shade the interior like the surface)
+    Object.assign(interiorSettings, { mode: 0, volume: false }, color.interior);
+    updateInteriorUniforms(interiorSettings);
+    
+    // Apply background (older presets: black)
+    setBackground(color.background || {});
 }
 
 /**
- * Applies quality settings from settings
- * @param {Object} quality - The quality settings object
+ * Applies the light rig from settings
+ * @param {Object} lighting - The lighting settings object (absent in older settings:
+ *                            the original single point light)
  */
-function applyQualitySettings(quality) {
-    if (!quality) return;
+function applyLightingSettings(lighting) {
+    setLightRig(lighting || { lights: [defaultKeyLight()] });
     
-    Object.assign(qualitySettings, quality);
-    updateQualityUniforms(qualitySettings);
+    // Environment usage; the loaded image (and its fileName) stays as it is
+    if (lighting && lighting.environment) {
+        const { fileName, ...environment } = lighting.environment;
+        Object.assign(environmentSettings, environment);
+    }
+    updateEnvironmentUniforms(environmentSettings);
 }
 
 /**
@@ -143,5 +261,18 @@ function applyCameraSettings(camera) {
     if (camera.animationEnabled !== undefined) {
         cameraState.animationEnabled = camera.animationEnabled;
     }
+    // Depth of field (absent in older snapshots: pinhole camera)
+    cameraState.aperture = camera.aperture ?? 0.0;
+    cameraState.focusDistance = camera.focusDistance ?? CONFIG.CAMERA.DEFAULT_FOCUS_DISTANCE;
+    cameraState.bokehBlades = camera.bokehBlades ?? 0;
+    // Stereo (absent in older snapshots: mono)
+    cameraState.stereoMode = camera.stereoMode ?? 0;
+    cameraState.stereoAuto = camera.stereoAuto ?? true;
+    cameraState.interocular = camera.interocular ?? CONFIG.CAMERA.STEREO.DEFAULT_INTEROCULAR;
+    cameraState.convergence = camera.convergence ?? CONFIG.CAMERA.STEREO.DEFAULT_CONVERGENCE;
+    // Projection (absent in older snapshots: perspective)
+    cameraState.projection = camera.projection ?? 0;
+    cameraState.domeFov = camera.domeFov ?? CONFIG.CAMERA.PROJECTION.DEFAULT_DOME_FOV;
+    cameraState.domeTilt = camera.domeTilt ?? CONFIG.CAMERA.PROJECTION.DEFAULT_DOME_TILT;
     updateCameraState();
 }
@@ -13,18 +13,37 @@ import {
     physicsColorSettings,
     crossSectionSettings,
     resetFractalParams,
-    qualitySettings
+    setFractalPower,
+    setFractalMode,
+    setFractalAlgebra,
+    setSliceRotation,
+    setCPathEnabled,
+    setCsgScene,
+    qualitySettings,
+    interiorSettings,
+    setLightRig,
+    defaultKeyLight,
+    environmentSettings,
+    setAtmosphere,
+    setPostFx,
+    setBackground
 } from '../fractal.js';
 
 import { 
+    updateHybridUniforms,
+    updateSymmetryUniforms,
+    updateEstimatorUniforms,
     updateColorUniforms,
     updateColorDynamicsUniforms,
     updateOrbitTrapUniforms,
     updatePhysicsColorUniforms,
+    updateInteriorUniforms,
     updateClipModeUniform,
-    updateClipDistanceUniform
+    updateClipDistanceUniform,
+    updateEnvironmentUniforms
 } from '../shaders.js';
 
+import { setCustomFormula } from '../formula.js';
 import { cameraState, updateCameraState } from '../camera.js';
 import { CONFIG } from '../config.js';
 import { refreshUI } from './core.js';
@@ -35,7 +54,7 @@ import { updateQualityUniforms } from './rendering.js';
  */
 export function resetAllToDefaults() {
     try {
-        if (!confirm("Reset all settings to default values? This will reset fractal parameters, colors, quality settings and camera.")) {
+        if (!confirm("Reset all settings to default values? This will reset fractal parameters, colors, quality settings, lighting and camera.")) {
             return;
         }
         
@@ -45,6 +64,9 @@ export function resetAllToDefaults() {
         resetFractalParts();
         resetColorParts();
         resetQualityParts();
+        resetLightingParts();
+        setAtmosphere({});
+        setPostFx({});
         resetCameraParts();
         
         // Update UI to reflect changes
@@ -61,8 +83,64 @@ export function resetAllToDefaults() {
  * Resets fractal parameters
  */
 function resetFractalParts() {
+    // Stop the c path first - stopping restores c to the path center
+    setCPathEnabled(false);
+    Object.assign(fractalState.cPath, {
+        type: 0,
+        plane: 0,
+        speed: CONFIG.FRACTAL.C_PATH_SPEED,
+        phase: 0.0,
+        amplitude: CONFIG.FRACTAL.C_PATH_AMPLITUDE
+    });
+    
     // Reset fractal parameters (already has a function)
     resetFractalParams();
+    setFractalPower(CONFIG.FRACTAL.DEFAULT_POWER);
+    fractalState.z0.set(0, 0, 0, 0);
+    setFractalMode(0);
+    setFractalAlgebra(0);
+    setCustomFormula('');
+    
+    // Reset hybrid sequence
+    Object.assign(fractalState.hybrid, {
+        enabled: false,
+        sequence: 'A, A, B',
+        transform: 0,
+        foldLimit: 1.0
+    });
+    Object.assign(fractalState.hybrid.rotation, { xw: 0.5, yw: 0.0, zw: 0.0 });
+    updateHybridUniforms(fractalState.hybrid);
+    
+    // Reset escape test and distance estimator
+    Object.assign(fractalState.estimator, {
+        bailout: CONFIG.RAYMARCHING.ESCAPE_RADIUS,
+        escapeNorm: 0,
+        escapeAxis: 0,
+        deMethod: 0,
+        fudge: 1.0
+    });
+    updateEstimatorUniforms(fractalState.estimator);
+    
+    // Reset symmetry folds
+    Object.assign(fractalState.symmetry, {
+        enabled: false,
+        stage: 0,
+        mirror: false,
+        polyhedral: 0
+    });
+    Object.assign(fractalState.symmetry.absFold, { x: false, y: false, z: false, w: false });
+    Object.assign(fractalState.symmetry.mirrorNormal, { x: 1.0, y: 0.0, z: 0.0, w: 0.0 });
+    updateSymmetryUniforms(fractalState.symmetry);
+    
+    // Remove all CSG objects
+    setCsgScene({ enabled: false });
+    
+    // Reset the slicing hyperplane to the w axis
+    fractalState.animateSliceRotation = false;
+    fractalState.sliceRotationSpeed.xw = CONFIG.FRACTAL.SLICE_ROTATION_SPEED;
+    fractalState.sliceRotationSpeed.yw = 0.0;
+    fractalState.sliceRotationSpeed.zw = 0.0;
+    setSliceRotation({ xw: 0.0, yw: 0.0, zw: 0.0 });
     
     // Reset cross-section settings
     crossSectionSettings.clipMode = 0;
@@ -106,6 +184,16 @@ function resetColorParts() {
     physicsColorSettings.balance = 0.5;
     updatePhysicsColorUniforms(physicsColorSettings);
     
+    // Reset interior rendering
+    interiorSettings.mode = 0;
+    interiorSettings.volume = false;
+    interiorSettings.density = 4.0;
+    interiorSettings.depth = 1.0;
+    updateInteriorUniforms(interiorSettings);
+    
+    // Reset background to black
+    setBackground({});
+    
     // Update color uniforms
     updateColorUniforms({
         colorEnabled: false,
@@ -124,9 +212,38 @@ function resetQualityParts() {
     qualitySettings.enableSmoothColor = false;
     qualitySettings.enableSpecular = false;
     qualitySettings.enableAdaptiveSteps = false;
+    qualitySettings.analyticNormals = false;
+    qualitySettings.debugView = 0;
+    qualitySettings.progressiveRefinement = true;
+    qualitySettings.dynamicResolution = false;
+    qualitySettings.targetFps = CONFIG.SHADER.DYNAMIC_RESOLUTION.TARGET_FPS;
+    qualitySettings.minRenderScale = CONFIG.SHADER.DYNAMIC_RESOLUTION.MIN_SCALE;
+    qualitySettings.maxRenderScale = CONFIG.SHADER.DYNAMIC_RESOLUTION.MAX_SCALE;
+    qualitySettings.renderMode = 0;
+    qualitySettings.pathBounces = CONFIG.SHADER.PATH_TRACING.BOUNCES;
+    qualitySettings.pathSkyIntensity = 1.0;
     updateQualityUniforms(qualitySettings);
 }
 
+/**
+ * Resets the light rig to the single default point light
+ */
+function resetLightingParts() {
+    setLightRig({ lights: [defaultKeyLight()] });
+    
+    // The loaded environment image is kept but no longer used
+    Object.assign(environmentSettings, {
+        enabled: false,
+        intensity: 1.0,
+        rotation: 0.0,
+        background: true,
+        backgroundBlur: 0.0,
+        reflectivity: 0.04,
+        reflectionBlur: 0.3
+    });
+    updateEnvironmentUniforms(environmentSettings);
+}
+
 /**
  * Resets camera settings
  */
@@ -137,6 +254,16 @@ function resetCameraParts() {
     cameraState.moveVelocity = 0;
     cameraState.isMovingForward = false;
     cameraState.animationEnabled = true;
+    cameraState.aperture = 0.0;
+    cameraState.focusDistance = CONFIG.CAMERA.DEFAULT_FOCUS_DISTANCE;
+    cameraState.bokehBlades = 0;
+    cameraState.stereoMode = 0;
+    cameraState.stereoAuto = true;
+    cameraState.interocular = CONFIG.CAMERA.STEREO.DEFAULT_INTEROCULAR;
+    cameraState.convergence = CONFIG.CAMERA.STEREO.DEFAULT_CONVERGENCE;
+    cameraState.projection = 0;
+    cameraState.domeFov = CONFIG.CAMERA.PROJECTION.DEFAULT_DOME_FOV;
+    cameraState.domeTilt = CONFIG.CAMERA.PROJECTION.DEFAULT_DOME_TILT;
     
     // Set a faster animation duration for reset
     const originalDuration = cameraState.targetDuration;
@@ -11,7 +11,14 @@ import {
     colorDynamicsSettings,
     orbitTrapSettings,
     physicsColorSettings,
-    crossSectionSettings
+    crossSectionSettings,
+    qualitySettings,
+    interiorSettings,
+    lightSettings,
+    environmentSettings,
+    atmosphereSettings,
+    postFxSettings,
+    backgroundSettings
 } from '../fractal.js';
 
 import { cameraState } from '../camera.js';
@@ -21,6 +28,8 @@ import { cameraState } from '../camera.js';
  * @returns {Object} Settings object containing all parameters
  */
 export function getSettingsSnapshot() {
+    // Diagnostics views stay active while presets are compared, so they are not saved
+    const { debugView, ...quality } = qualitySettings;
     return {
         timestamp: new Date().toISOString(),
         fractalParams: {
@@ -30,10 +39,60 @@ export function getSettingsSnapshot() {
                 z: fractalState.params.z,
                 w: fractalState.params.w
             },
+            power: fractalState.power,
+            mode: fractalState.mode,
+            algebra: fractalState.algebra,
+            customFormula: fractalState.customFormula,
+            hybrid: {
+                ...fractalState.hybrid,
+                rotation: { ...fractalState.hybrid.rotation }
+            },
+            estimator: {
+                ...fractalState.estimator
+            },
+            symmetry: {
+                ...fractalState.symmetry,
+                absFold: { ...fractalState.symmetry.absFold },
+                mirrorNormal: { ...fractalState.symmetry.mirrorNormal }
+            },
+            csg: {
+                enabled: fractalState.csg.enabled,
+                objects: fractalState.csg.objects.map(object => ({
+                    ...object,
+                    position: { ...object.position },
+                    size: { ...object.size },
+                    c: { ...object.c }
+                }))
+            },
+            z0: {
+                x: fractalState.z0.x,
+                y: fractalState.z0.y,
+                z: fractalState.z0.z,
+                w: fractalState.z0.w
+            },
             slice: {
                 animate: fractalState.animateSlice,
                 amplitude: fractalState.sliceAmplitude,
-                value: fractalState.sliceValue
+                value: fractalState.sliceValue,
+                rotation: {
+                    ...fractalState.sliceRotation
+                },
+                animateRotation: fractalState.animateSliceRotation,
+                rotationSpeed: {
+                    ...fractalState.sliceRotationSpeed
+                }
+            },
+            cPath: {
+                enabled: fractalState.cPath.enabled,
+                type: fractalState.cPath.type,
+                plane: fractalState.cPath.plane,
+                speed: fractalState.cPath.speed,
+                phase: fractalState.cPath.phase,
+                amplitude: fractalState.cPath.amplitude,
+                frequencies: { ...fractalState.cPath.frequencies },
+                presetList: fractalState.cPath.presetList,
+                waypoints: fractalState.cPath.waypoints.map(point => point.slice()),
+                center: fractalState.cPath.center.toArray()
             },
             crossSection: {
                 mode: crossSectionSettings.clipMode,
@@ -50,14 +109,44 @@ export function getSettingsSnapshot() {
             },
             physics: {
                 ...physicsColorSettings
+            },
+            interior: {
+                ...interiorSettings
+            },
+            background: {
+                ...backgroundSettings
             }
         },
-        quality: {
-            ...fractalState.qualitySettings
+        quality,
+        lighting: {
+            ambient: lightSettings.ambient,
+            lights: lightSettings.lights.map(light => ({
+                ...light,
+                direction: { ...light.direction },
+                position: { ...light.position }
+            })),
+            // The HDR image is not embedded; fileName tells which one to load again
+            environment: { ...environmentSettings }
+        },
+        atmosphere: {
+            glow: { ...atmosphereSettings.glow },
+            fog: { ...atmosphereSettings.fog },
+            depthCue: { ...atmosphereSettings.depthCue }
         },
+        postFx: { ...postFxSettings },
         camera: {
             focalLength: cameraState.focalLength,
-            animationEnabled: cameraState.animationEnabled
+            animationEnabled: cameraState.animationEnabled,
+            aperture: cameraState.aperture,
+            focusDistance: cameraState.focusDistance,
+            bokehBlades: cameraState.bokehBlades,
+            stereoMode: cameraState.stereoMode,
+            stereoAuto: cameraState.stereoAuto,
+            interocular: cameraState.interocular,
+            convergence: cameraState.convergence,
+            projection: cameraState.projection,
+            domeFov: cameraState.domeFov,
+            domeTilt: cameraState.domeTilt
         }
     };
 }